@@ -1,15 +1,19 @@
 /**
  * SVG Namespace Normalizer (Auto-Execute Version)
  * 
- * base64 이미지가 포함된 SVG에서 발생하는 xlink 네임스페이스 문제를 해결합니다.
+ * 일부 SVG 편집기(Adobe Illustrator, Inkscape 등)에서 내보낸 SVG 파일에서
+ * ns1:, ns0: 등의 비표준 네임스페이스 접두사가 사용되어 로드 오류가 발생하는 문제를 해결합니다.
  * 
- * 일부 SVG 편집기에서 ns1:href 등 비표준 접두사로 xlink를 사용하면
- * XML 파싱 에러가 발생하는데, 이를 표준 xlink:href로 변환합니다.
+ * - xlink를 가리키는 ns1:href 등은 표준 xlink:href로 변환합니다. (base64 이미지가 포함된 SVG)
+ * - SVG 네임스페이스를 가리키는 ns0:svg, ns0:path 등은 접두사 없는 요소로 변환합니다.
+ * 
+ * Entry.js 모양 탭에서 벡터 모양을 불러올 때 네임스페이스가 ns1일 때 
+ * 에러가 발생해서 모양이 안 불러와지는 경우를 해결합니다.
  * 
  * ★ 이 스크립트는 로드 시 자동으로 실행되어 Entry.js에 통합됩니다. ★
  * 
  * @author Entry.js Team
- * @version 1.2.0
+ * @version 2.0.0
  * 
  * @example
  * // 브라우저에서 사용 - 스크립트 로드만 하면 자동 실행됨:
@@ -32,441 +36,6081 @@
         // 브라우저 전역 변수
         root.SvgNamespaceNormalizer = factory();
     }
-}(typeof self !== 'undefined' ? self : this, function () {
+}(typeof self !== 'undefined' ? self : this, function svgNamespaceNormalizerFactory() {
     'use strict';
 
     var SvgNamespaceNormalizer = {};
     var isInitialized = false;
     var originalFetch = null;
+    var originalXHR = null;
+    var originalFileApis = null;
+    var originalImageSrc = null;
+    var entryPaintPatch = null;
+    var entryUtilsBackup = null;
+    var propertyWatches = [];
+    var isIntegrating = false;
+
+    var SVG_NS = 'http://www.w3.org/2000/svg';
+    var XML_NS = 'http://www.w3.org/XML/1998/namespace';
+    var XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+    var XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+    var NAMESPACE_ACTIONS = ['prefix', 'default', 'drop'];
 
     /**
-     * SVG 문자열에서 xlink 네임스페이스 문제가 있는지 감지합니다.
-     * 
-     * @param {string} svgString - 검사할 SVG 문자열
-     * @returns {boolean} xlink 네임스페이스 문제가 있으면 true
+     * 네임스페이스 URI별 정규화 규칙
+     * 키는 네임스페이스 URI, 값은 { prefix: 표준 접두사, action: 처리 방식 }
+     *
+     * - prefix: 어떤 접두사로 선언되어 있든 표준 접두사로 바꿈 (ns1:href -> xlink:href)
+     * - default: 접두사를 없애고 기본 네임스페이스로 만듦 (ns0:path -> path)
+     * - drop: 해당 네임스페이스의 요소와 속성을 제거
      */
-    SvgNamespaceNormalizer.hasIssue = function (svgString) {
-        if (!svgString || typeof svgString !== 'string') {
-            return false;
+    var namespaceRules = {};
+
+    function setNamespaceRule(uri, prefix, action) {
+        namespaceRules[uri] = { prefix: prefix, action: action };
+    }
+
+    setNamespaceRule(SVG_NS, 'svg', 'default');
+    setNamespaceRule(XLINK_NS, 'xlink', 'prefix');
+    setNamespaceRule(XML_NS, 'xml', 'prefix');
+    // Inkscape
+    setNamespaceRule('http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd', 'sodipodi', 'prefix');
+    setNamespaceRule('http://www.inkscape.org/namespaces/inkscape', 'inkscape', 'prefix');
+    // 메타데이터 (Inkscape, Illustrator가 함께 사용)
+    setNamespaceRule('http://www.w3.org/1999/02/22-rdf-syntax-ns#', 'rdf', 'prefix');
+    setNamespaceRule('http://purl.org/dc/elements/1.1/', 'dc', 'prefix');
+    setNamespaceRule('http://creativecommons.org/ns#', 'cc', 'prefix');
+    // Adobe Illustrator
+    setNamespaceRule('http://ns.adobe.com/AdobeIllustrator/10.0/', 'i', 'prefix');
+    setNamespaceRule('http://ns.adobe.com/Extensibility/1.0/', 'x', 'prefix');
+    setNamespaceRule('http://ns.adobe.com/Graphs/1.0/', 'graph', 'prefix');
+    setNamespaceRule('http://ns.adobe.com/Variables/1.0/', 'v', 'prefix');
+    setNamespaceRule('http://ns.adobe.com/ImageReplacement/1.0/', 'imrep', 'prefix');
+    setNamespaceRule('http://ns.adobe.com/SaveForWeb/1.0/', 'sfw', 'prefix');
+    setNamespaceRule('http://ns.adobe.com/GenericCustomNamespace/1.0/', 'custom', 'prefix');
+    setNamespaceRule('http://ns.adobe.com/XPath/1.0/', 'xpath', 'prefix');
+    setNamespaceRule('adobe:ns:meta/', 'x', 'prefix');
+
+    var XLINK_RULE = { prefix: 'xlink', action: 'prefix' };
+    var STRIP_RULE = { prefix: '', action: 'strip' };
+
+    /**
+     * 정규화 전략
+     * ruleFor(uri, prefix)는 해당 접두사 바인딩에 적용할 규칙을 반환합니다. (없으면 null)
+     * 접두사 없는 요소의 기본 네임스페이스를 확인할 때는 prefix가 null입니다.
+     *
+     * - auto: 각 접두사가 실제로 가리키는 URI에 따라 등록된 규칙을 적용
+     *         (xlink를 가리키면 xlink:로, SVG를 가리키면 접두사 제거, 모르는 URI는 유지)
+     * - xlink-only: xlink를 가리키는 접두사만 xlink:로 변경 (이전 hummm.js 동작)
+     * - strip-all: ns0:, ns1: 등 자동 생성 접두사를 가리키는 URI와 관계없이 모두 제거하고
+     *              태그 안의 공백을 정리 (이전 hummmmm.js 동작)
+     */
+    var STRATEGIES = {
+        'auto': {
+            ruleFor: function (uri) {
+                return namespaceRules[uri] || null;
+            },
+            impliesSvg: true,
+            collapseWhitespace: false
+        },
+        'xlink-only': {
+            ruleFor: function (uri) {
+                return uri === XLINK_NS ? XLINK_RULE : null;
+            },
+            impliesSvg: false,
+            collapseWhitespace: false
+        },
+        'strip-all': {
+            ruleFor: function (uri, prefix) {
+                var rule = namespaceRules[uri] || null;
+                if (uri === SVG_NS || uri === XLINK_NS || uri === XML_NS) {
+                    return rule;
+                }
+                return prefix && /^ns\d+$/.test(prefix) ? STRIP_RULE : rule;
+            },
+            impliesSvg: true,
+            collapseWhitespace: true
         }
-        // xmlns:ns\d+="...xlink..." 패턴이 있는지 확인 (xlink를 가리키는 ns 접두사)
-        return /xmlns:ns\d+\s*=\s*["']http:\/\/www\.w3\.org\/1999\/xlink["']/i.test(svgString);
     };
 
     /**
-     * SVG 네임스페이스 정규화 함수
-     * 
-     * base64 이미지가 포함된 SVG에서 ns1:href 등의 비표준 xlink 네임스페이스 접두사를
-     * 표준 xlink:href로 변환합니다.
-     * 
-     * @param {string} svgString - 정규화할 SVG 문자열
-     * @returns {string} 정규화된 SVG 문자열
-     * 
-     * @example
-     * // 변환 전: <image xmlns:ns1="http://www.w3.org/1999/xlink" ns1:href="data:image/png;base64,..."/>
-     * // 변환 후: <image xlink:href="data:image/png;base64,..."/> (+ svg에 xmlns:xlink 추가)
+     * 호출 시 전달된 옵션을 기본 옵션(SvgNamespaceNormalizer.defaults)과 합칩니다.
      */
-    SvgNamespaceNormalizer.normalize = function (svgString) {
-        if (!svgString || typeof svgString !== 'string') {
-            return svgString;
+    function resolveOptions(options) {
+        var defaults = SvgNamespaceNormalizer.defaults;
+        var resolved = {};
+        var key;
+        for (key in defaults) {
+            resolved[key] = defaults[key];
         }
-
-        var result = svgString;
-        
-        // 1. base64 데이터 URL을 보호하기 위한 플레이스홀더 처리
-        var base64Placeholders = [];
-        var placeholderPrefix = '___BASE64_PLACEHOLDER_';
-        var placeholderSuffix = '___';
-        
-        // 큰따옴표로 감싸진 base64 데이터 URL (줄바꿈, 공백 포함 - [\s\S]*? 사용)
-        result = result.replace(/"data:image\/[^;]+;base64,[\s\S]*?"/g, function(match) {
-            var index = base64Placeholders.length;
-            base64Placeholders.push(match);
-            return placeholderPrefix + index + placeholderSuffix;
-        });
-        
-        // 작은따옴표로 감싸진 base64 데이터 URL (줄바꿈, 공백 포함 - [\s\S]*? 사용)
-        result = result.replace(/'data:image\/[^;]+;base64,[\s\S]*?'/g, function(match) {
-            var index = base64Placeholders.length;
-            base64Placeholders.push(match);
-            return placeholderPrefix + index + placeholderSuffix;
-        });
-
-        // 2. SVG 내부 ID 참조 보호 (url(#id), xlink:href="#id" 등)
-        var idRefPlaceholders = [];
-        var idRefPlaceholderPrefix = '___IDREF_PLACEHOLDER_';
-        var idRefPlaceholderSuffix = '___';
-        
-        // url(#...) 패턴 보호 (빈 ID도 처리: url(#) 등)
-        result = result.replace(/url\(\s*["']?#[^)"']*["']?\s*\)/gi, function(match) {
-            var index = idRefPlaceholders.length;
-            idRefPlaceholders.push(match);
-            return idRefPlaceholderPrefix + index + idRefPlaceholderSuffix;
-        });
-        
-        // xlink:href="#...", href="#...", ns1:href="#..." 등 내부 참조 보호 (빈 ID도 처리: href="#" 등)
-        result = result.replace(/(xlink:href|ns\d+:href|href)\s*=\s*["']#[^"']*["']/gi, function(match) {
-            var index = idRefPlaceholders.length;
-            idRefPlaceholders.push(match);
-            return idRefPlaceholderPrefix + index + idRefPlaceholderSuffix;
-        });
-
-        // 3. xlink 네임스페이스를 가리키는 ns 접두사 번호들을 추출
-        // 예: xmlns:ns1="http://www.w3.org/1999/xlink" -> ns1이 xlink를 가리킴
-        var xlinkNsPrefixes = [];
-        var xlinkNsPattern = /xmlns:ns(\d+)\s*=\s*["']http:\/\/www\.w3\.org\/1999\/xlink["']/gi;
-        var xlinkMatch;
-        while ((xlinkMatch = xlinkNsPattern.exec(result)) !== null) {
-            xlinkNsPrefixes.push(xlinkMatch[1]);
+        for (key in options || {}) {
+            if (options[key] !== undefined) {
+                resolved[key] = options[key];
+            }
         }
-
-        // xlink 관련 ns 접두사가 없으면 플레이스홀더 복원 후 조기 반환
-        if (xlinkNsPrefixes.length === 0) {
-            // ID 참조 복원
-            for (var n = 0; n < idRefPlaceholders.length; n++) {
-                var idRefPh = idRefPlaceholderPrefix + n + idRefPlaceholderSuffix;
-                result = result.split(idRefPh).join(idRefPlaceholders[n]);
+        // 패스 설정은 defaults.transforms 위에 호출 옵션을 덮어씀
+        if (options && options.transforms && defaults.transforms) {
+            resolved.transforms = {};
+            for (key in defaults.transforms) {
+                resolved.transforms[key] = defaults.transforms[key];
             }
-            // base64 복원
-            for (var m = 0; m < base64Placeholders.length; m++) {
-                var ph = placeholderPrefix + m + placeholderSuffix;
-                result = result.split(ph).join(base64Placeholders[m]);
+            for (key in options.transforms) {
+                resolved.transforms[key] = options.transforms[key];
             }
-            return result;
-        }
-
-        // 4. xlink를 가리키는 ns 접두사의 속성을 xlink:로 변환
-        // 예: ns1:href -> xlink:href (ns1이 xlink를 가리킬 때)
-        for (var j = 0; j < xlinkNsPrefixes.length; j++) {
-            var nsNum = xlinkNsPrefixes[j];
-            var nsToXlinkPattern = new RegExp('\\s+ns' + nsNum + ':([a-zA-Z][a-zA-Z0-9-]*)\\s*=', 'gi');
-            result = result.replace(nsToXlinkPattern, ' xlink:$1=');
-        }
-
-        // 5. xlink ns의 xmlns 선언을 표준 xmlns:xlink로 변환
-        // 예: xmlns:ns1="http://www.w3.org/1999/xlink" -> xmlns:xlink="http://www.w3.org/1999/xlink"
-        for (var k = 0; k < xlinkNsPrefixes.length; k++) {
-            var nsNumForXmlns = xlinkNsPrefixes[k];
-            var xmlnsPattern = new RegExp('xmlns:ns' + nsNumForXmlns + '(\\s*=\\s*["\']http://www\\.w3\\.org/1999/xlink["\'])', 'gi');
-            result = result.replace(xmlnsPattern, 'xmlns:xlink$1');
         }
-
-        // 6. xlink:href가 있는데 xmlns:xlink 선언이 없으면 svg 태그에 추가
-        if (result.indexOf('xlink:href') !== -1 && result.indexOf('xmlns:xlink') === -1) {
-            result = result.replace(
-                /<svg([^>]*)>/i,
-                '<svg$1 xmlns:xlink="http://www.w3.org/1999/xlink">'
-            );
+        if (!STRATEGIES.hasOwnProperty(resolved.strategy)) {
+            throw new Error('Unknown normalization strategy: ' + resolved.strategy);
         }
-
-        // 7. ID 참조 플레이스홀더를 원래 데이터로 복원 (split/join 사용하여 $ 문제 방지)
-        for (var p = 0; p < idRefPlaceholders.length; p++) {
-            var idRefPlaceholder = idRefPlaceholderPrefix + p + idRefPlaceholderSuffix;
-            result = result.split(idRefPlaceholder).join(idRefPlaceholders[p]);
+        var canvas = resolved.defaultCanvas;
+        if (!canvas || !(canvas.width > 0) || !(canvas.height > 0)) {
+            throw new Error('defaultCanvas must have a positive width and height');
         }
+        return resolved;
+    }
 
-        // 8. base64 플레이스홀더를 원래 데이터로 복원 (split/join 사용하여 $ 문제 방지)
-        for (var i = 0; i < base64Placeholders.length; i++) {
-            var placeholder = placeholderPrefix + i + placeholderSuffix;
-            result = result.split(placeholder).join(base64Placeholders[i]);
-        }
+    // ------------------------------------------------------------------
+    // 변환 패스
+    // normalize()는 활성화된 패스를 order 순서로 실행합니다.
+    // 네임스페이스 관련 기본 패스(order 100~130)는 토큰을 한 번 순회하면서 함께 실행되고,
+    // registerTransform()으로 추가한 패스는 SVG 문자열을 받아 SVG 문자열을 반환합니다.
+    // ------------------------------------------------------------------
 
-        return result;
-    };
+    var transforms = {};
+    var transformCount = 0;
 
     /**
-     * SVG URL에서 SVG를 가져와서 네임스페이스를 정규화합니다.
-     * 
-     * @param {string} url - SVG 파일 URL
-     * @param {Object} [options] - 옵션
-     * @param {Object} [options.fetchOptions] - fetch 옵션
-     * @returns {Promise<string>} 정규화된 SVG 문자열
+     * 패스를 등록합니다.
+     * enabled는 boolean이거나 해석된 옵션을 받아 기본 활성화 여부를 반환하는 함수입니다.
+     * tokenPass가 true인 패스는 createNamespaceRewriter()에서 토큰 단위로 실행됩니다.
+     * prolog가 true인 패스는 detect가 루트 요소 앞부분만 보고 판단하므로, 스트리밍 정규화에서는
+     * 필요할 때만 문서 전체를 모읍니다. (createPrologRewriter 참고)
      */
-    SvgNamespaceNormalizer.fetchAndNormalize = function (url, options) {
-        options = options || {};
-        var fetchOptions = options.fetchOptions || {};
+    function defineTransform(name, spec, builtin) {
+        transforms[name] = {
+            name: name,
+            detect: spec.detect || null,
+            apply: spec.apply || null,
+            order: spec.order,
+            enabled: spec.enabled,
+            tokenPass: !!spec.tokenPass,
+            prolog: !!spec.prolog,
+            builtin: builtin,
+            index: transformCount++
+        };
+    }
 
-        return fetch(url, fetchOptions)
-            .then(function (response) {
-                if (!response.ok) {
-                    throw new Error('Failed to fetch SVG: ' + response.status);
-                }
-                return response.text();
-            })
-            .then(function (svgText) {
-                return SvgNamespaceNormalizer.normalize(svgText);
-            });
-    };
+    // 접두사 이름 변경, 선언 정리, 기본 네임스페이스 복원
+    defineTransform('namespaces', { order: 100, enabled: true, tokenPass: true }, true);
+    // 이름이 바뀐 뒤 겹치게 된 속성 제거
+    defineTransform('duplicate-attributes', { order: 110, enabled: true, tokenPass: true }, true);
+    // 속성 값에 포함된 SVG Data URL 정규화 (options.nestedDepth 단계까지)
+    defineTransform('embedded-svg', {
+        order: 120,
+        enabled: function (options) {
+            return options.nestedDepth > 0;
+        },
+        tokenPass: true
+    }, true);
+    // 태그 안의 공백 정리 (options.collapseWhitespace, strip-all 전략)
+    defineTransform('collapse-whitespace', {
+        order: 130,
+        enabled: function (options) {
+            return !!(options.collapseWhitespace || STRATEGIES[options.strategy].collapseWhitespace);
+        },
+        tokenPass: true
+    }, true);
 
     /**
-     * SVG 문자열을 정규화된 Data URL로 변환합니다.
-     * 
-     * @param {string} svgString - SVG 문자열
-     * @returns {string} 정규화된 SVG의 Data URL
+     * 호출 옵션의 transforms({ 이름: boolean })가 우선하고, 없으면 패스의 기본값을 따릅니다.
      */
-    SvgNamespaceNormalizer.toDataUrl = function (svgString) {
-        var normalized = SvgNamespaceNormalizer.normalize(svgString);
-        var encoded = encodeURIComponent(normalized)
-            .replace(/'/g, '%27')
-            .replace(/"/g, '%22');
-        return 'data:image/svg+xml,' + encoded;
-    };
+    function isTransformEnabled(transform, options) {
+        var overrides = options.transforms;
+        if (overrides && Object.prototype.hasOwnProperty.call(overrides, transform.name)) {
+            return !!overrides[transform.name];
+        }
+        return typeof transform.enabled === 'function' ? transform.enabled(options) : transform.enabled !== false;
+    }
 
     /**
-     * SVG 문자열을 정규화된 Blob URL로 변환합니다.
-     * 
-     * @param {string} svgString - SVG 문자열
-     * @returns {string} 정규화된 SVG의 Blob URL
+     * 실행할 패스를 order 순서로 반환합니다. order가 같으면 먼저 등록된 패스가 먼저 실행됩니다.
      */
-    SvgNamespaceNormalizer.toBlobUrl = function (svgString) {
-        var normalized = SvgNamespaceNormalizer.normalize(svgString);
-        var blob = new Blob([normalized], { type: 'image/svg+xml' });
-        return URL.createObjectURL(blob);
-    };
+    function getActiveTransforms(options) {
+        var active = [];
+        for (var name in transforms) {
+            if (isTransformEnabled(transforms[name], options)) {
+                active.push(transforms[name]);
+            }
+        }
+        return active.sort(function (a, b) {
+            return a.order - b.order || a.index - b.index;
+        });
+    }
 
     /**
-     * XMLHttpRequest를 사용하여 SVG를 가져와서 정규화합니다.
-     * (fetch를 지원하지 않는 환경용)
-     * 
-     * @param {string} url - SVG 파일 URL
-     * @param {function} callback - 콜백 함수 (error, normalizedSvg)
+     * 문서 전체를 받아야 하는 문자열 패스가 켜져 있는지 (스트리밍 불가, 프롤로그 패스 제외)
      */
-    SvgNamespaceNormalizer.loadAndNormalize = function (url, callback) {
-        var xhr = new XMLHttpRequest();
-        xhr.open('GET', url, true);
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState === 4) {
-                if (xhr.status === 200) {
-                    try {
-                        var normalized = SvgNamespaceNormalizer.normalize(xhr.responseText);
-                        callback(null, normalized);
-                    } catch (e) {
-                        callback(e, null);
-                    }
-                } else {
-                    callback(new Error('Failed to load SVG: ' + xhr.status), null);
-                }
-            }
-        };
-        xhr.onerror = function () {
-            callback(new Error('Network error while loading SVG'), null);
-        };
-        xhr.send();
-    };
+    function hasStringTransforms(options) {
+        return getActiveTransforms(options).some(function (transform) {
+            return !transform.tokenPass && !transform.prolog;
+        });
+    }
+
+    function getPrologTransforms(options) {
+        return getActiveTransforms(options).filter(function (transform) {
+            return transform.prolog;
+        });
+    }
+
+    function hasCustomTransforms(options) {
+        return getActiveTransforms(options).some(function (transform) {
+            return !transform.builtin;
+        });
+    }
 
     /**
-     * DOM에서 SVG 요소의 네임스페이스를 정규화합니다.
-     * 
-     * @param {Element} svgElement - SVG DOM 요소
-     * @returns {Element} 정규화된 SVG DOM 요소 (새로 생성됨)
+     * 활성화된 패스를 차례로 실행합니다. 기본 패스는 첫 번째 기본 패스의 위치에서 rewriteDocument()로 함께 실행됩니다.
+     *
+     * @returns {{svg: string, rewrites: Array<Object>, issues: Array<Object>,
+     *   passes: Array<{name: string, changed: boolean, bytesSaved: (number|undefined)}>}}
      */
-    SvgNamespaceNormalizer.normalizeElement = function (svgElement) {
-        if (!svgElement) {
-            return svgElement;
-        }
-
-        var serializer = new XMLSerializer();
-        var svgString = serializer.serializeToString(svgElement);
-        var normalized = SvgNamespaceNormalizer.normalize(svgString);
+    function runTransforms(svgString, options) {
+        var active = getActiveTransforms(options);
+        var svg = svgString;
+        var rewrites = [];
+        var issues = [];
+        var passes = [];
+        var tokenPassesDone = false;
 
-        var parser = new DOMParser();
-        var doc = parser.parseFromString(normalized, 'image/svg+xml');
+        for (var i = 0; i < active.length; i++) {
+            var transform = active[i];
+            if (transform.tokenPass) {
+                if (!tokenPassesDone) {
+                    tokenPassesDone = true;
+                    var result = rewriteDocument(svg, options);
+                    svg = result.svg;
+                    rewrites = rewrites.concat(result.rewrites);
+                    issues = issues.concat(result.issues);
+                    passes = passes.concat(result.passes);
+                }
+                continue;
+            }
+            if (transform.detect && !transform.detect(svg, options)) {
+                continue;
+            }
 
-        // 파싱 에러 체크
-        var parserError = doc.querySelector('parsererror');
-        if (parserError) {
-            console.error('SVG parsing error:', parserError.textContent);
-            return svgElement; // 원본 반환
+            var output = transform.apply(svg, options);
+            var next = typeof output === 'string' ? output : output && output.svg;
+            if (typeof next !== 'string') {
+                throw new Error('Transform "' + transform.name + '" must return an SVG string');
+            }
+            var changes = output.rewrites || (next !== svg ? [{ type: 'transform' }] : []);
+            for (var j = 0; j < changes.length; j++) {
+                rewrites.push({
+                    type: changes[j].type || 'transform',
+                    element: changes[j].element || null,
+                    from: changes[j].from === undefined ? null : changes[j].from,
+                    to: changes[j].to === undefined ? null : changes[j].to,
+                    uri: changes[j].uri || null,
+                    offset: typeof changes[j].offset === 'number' ? changes[j].offset : null,
+                    pass: transform.name
+                });
+                if (typeof changes[j].bytes === 'number') {
+                    rewrites[rewrites.length - 1].bytes = changes[j].bytes;
+                }
+            }
+            passes.push({ name: transform.name, changed: next !== svg, bytesSaved: utf8Length(svg) - utf8Length(next) });
+            svg = next;
         }
 
-        return doc.documentElement;
-    };
+        return { svg: svg, rewrites: rewrites, issues: issues, passes: passes };
+    }
 
     /**
-     * Entry.js와 통합하기 위한 함수
-     * Entry.Utils에 함수들을 추가하고, 기존 함수들을 덮어씁니다.
+     * 정규화 패스를 등록합니다. 같은 이름으로 다시 등록하면 덮어씁니다.
+     * 등록한 패스는 normalize(), normalizeAsync(), 자동 패치 모두에 적용되며,
+     * 호출마다 options.transforms로 켜고 끌 수 있습니다.
+     *
+     * 기본 패스: doctype-entities(50), namespaces(100), duplicate-attributes(110), embedded-svg(120), collapse-whitespace(130).
+     * 선택 기본 패스: inline-styles(140, options.inlineStyles), normalize-size(150, options.normalizeSize),
+     *   cleanup(160, options.cleanup), expand-use(170, options.expandUse).
+     * 기본 패스는 한 번의 토큰 순회로 함께 실행되므로, order가 100보다 작은 패스는 그 전에,
+     * 나머지는 그 뒤에 실행됩니다. 함수는 워커로 보낼 수 없으므로 등록한 패스가 켜져 있으면
+     * 큰 SVG도 메인 스레드에서 정규화합니다.
+     *
+     * @param {string} name - 패스 이름
+     * @param {Object} spec
+     * @param {function(string, Object): (string|{svg: string, rewrites: Array<Object>})} spec.apply -
+     *   SVG 문자열과 해석된 옵션을 받아 변환한 SVG 문자열(또는 { svg, rewrites })을 반환
+     * @param {function(string, Object): boolean} [spec.detect] - 고칠 것이 있으면 true.
+     *   false를 반환하면 apply를 건너뛰며, hasIssue()도 이 결과를 사용합니다.
+     * @param {number} [spec.order=200] - 실행 순서 (작을수록 먼저)
+     * @param {boolean} [spec.enabled=true] - 기본 활성화 여부
+     *
+     * @example
+     * SvgNamespaceNormalizer.registerTransform('remove-sketch-ids', {
+     *     detect: function (svg) { return svg.indexOf('sketch:type') !== -1; },
+     *     apply: function (svg) { return svg.replace(/\s+sketch:type="[^"]*"/g, ''); }
+     * });
+     * SvgNamespaceNormalizer.normalize(svg, { transforms: { 'remove-sketch-ids': false } });
      */
-    SvgNamespaceNormalizer.integrateWithEntry = function () {
-        // 이미 통합되었으면 중복 실행 방지
-        if (SvgNamespaceNormalizer._entryIntegrated) {
-            return true;
+    SvgNamespaceNormalizer.registerTransform = function (name, spec) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Transform name must be a non-empty string');
         }
+        if (transforms[name] && transforms[name].builtin) {
+            throw new Error('Cannot replace built-in transform: ' + name);
+        }
+        if (!spec || typeof spec.apply !== 'function') {
+            throw new Error('Transform "' + name + '" must have an apply() function');
+        }
+        if (spec.detect !== undefined && typeof spec.detect !== 'function') {
+            throw new Error('Transform "' + name + '" detect must be a function');
+        }
+        if (spec.order !== undefined && (typeof spec.order !== 'number' || isNaN(spec.order))) {
+            throw new Error('Transform "' + name + '" order must be a number');
+        }
+        defineTransform(name, {
+            detect: spec.detect,
+            apply: spec.apply,
+            order: spec.order === undefined ? 200 : spec.order,
+            enabled: spec.enabled !== false
+        }, false);
+    };
 
-        if (typeof Entry === 'undefined') {
+    /**
+     * registerTransform()으로 등록한 패스를 제거합니다. 기본 패스는 제거할 수 없습니다.
+     * (끄려면 options.transforms를 사용하세요)
+     *
+     * @param {string} name - 패스 이름
+     * @returns {boolean} 패스가 있었으면 true
+     */
+    SvgNamespaceNormalizer.unregisterTransform = function (name) {
+        if (!Object.prototype.hasOwnProperty.call(transforms, name)) {
             return false;
         }
-        
-        // Entry.Utils가 없으면 생성
-        if (!Entry.Utils) {
-            Entry.Utils = {};
+        if (transforms[name].builtin) {
+            throw new Error('Cannot remove built-in transform: ' + name);
         }
-
-        // SVG 네임스페이스 정규화 함수들 추가 (기존 함수 덮어쓰기)
-        Entry.Utils.normalizeSvgNamespace = SvgNamespaceNormalizer.normalize;
-        Entry.Utils.hasSvgNamespaceIssue = SvgNamespaceNormalizer.hasIssue;
-        Entry.Utils.fetchAndNormalizeSvg = SvgNamespaceNormalizer.fetchAndNormalize;
-        Entry.Utils.svgToNormalizedDataUrl = SvgNamespaceNormalizer.toDataUrl;
-        Entry.Utils.svgToNormalizedBlobUrl = SvgNamespaceNormalizer.toBlobUrl;
-        Entry.Utils.loadAndNormalizeSvg = SvgNamespaceNormalizer.loadAndNormalize;
-        Entry.Utils.normalizeSvgElement = SvgNamespaceNormalizer.normalizeElement;
-
-        // 통합 완료 플래그 설정
-        SvgNamespaceNormalizer._entryIntegrated = true;
-
-        console.log('[SvgNamespaceNormalizer] Entry.Utils에 통합 완료 (기존 함수 덮어쓰기)');
+        delete transforms[name];
         return true;
     };
 
     /**
-     * fetch API를 패치하여 SVG 요청을 자동으로 정규화합니다.
+     * 등록된 패스 목록을 실행 순서대로 반환합니다.
+     *
+     * @returns {Array<{name: string, order: number, builtin: boolean, enabled: boolean}>}
+     *   enabled는 현재 defaults 기준의 활성화 여부
      */
-    SvgNamespaceNormalizer.patchFetch = function () {
-        if (typeof fetch === 'undefined' || originalFetch) {
-            return; // fetch가 없거나 이미 패치됨
+    SvgNamespaceNormalizer.getTransforms = function () {
+        var options = resolveOptions();
+        var list = [];
+        for (var name in transforms) {
+            list.push(transforms[name]);
         }
+        list.sort(function (a, b) {
+            return a.order - b.order || a.index - b.index;
+        });
+        return list.map(function (transform) {
+            return {
+                name: transform.name,
+                order: transform.order,
+                builtin: transform.builtin,
+                enabled: !!isTransformEnabled(transform, options)
+            };
+        });
+    };
 
-        originalFetch = fetch;
+    // ------------------------------------------------------------------
+    // XML 토크나이저
+    // DOM 없이 동작하므로 Node.js, Web Worker에서도 사용할 수 있습니다.
+    // ------------------------------------------------------------------
 
-        window.fetch = function (url, options) {
-            return originalFetch.apply(this, arguments).then(function (response) {
-                // SVG 요청인지 확인
-                var urlStr = typeof url === 'string' ? url : (url.url || '');
-                var contentType = response.headers.get('content-type') || '';
-                var isSvg = urlStr.toLowerCase().endsWith('.svg') || 
-                            contentType.includes('image/svg');
+    function isWhitespace(ch) {
+        return ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r';
+    }
 
-                if (isSvg) {
-                    // 원본 response를 복제하여 text를 읽고 정규화
-                    return response.clone().text().then(function (svgText) {
-                        if (SvgNamespaceNormalizer.hasIssue(svgText)) {
-                            var normalized = SvgNamespaceNormalizer.normalize(svgText);
-                            console.log('[SvgNamespaceNormalizer] SVG 네임스페이스 정규화:', urlStr);
-                            
-                            // 새로운 Response 객체 생성
-                            return new Response(normalized, {
-                                status: response.status,
-                                statusText: response.statusText,
-                                headers: response.headers
-                            });
-                        }
-                        return response;
-                    });
-                }
+    function isNameStart(ch) {
+        return /[A-Za-z_:\u00C0-\uFFFF]/.test(ch);
+    }
 
-                return response;
-            });
+    /**
+     * 시작 태그를 읽습니다. 태그가 닫히지 않았으면 null을 반환합니다.
+     * 속성값은 따옴표 안의 원본 그대로 보관하므로 값 안의 '>'도 안전합니다.
+     *
+     * allowPartial이 true이면 닫히지 않은 태그도 end가 -1인 토큰으로 반환합니다. (스트리밍용)
+     */
+    function scanStartTag(source, start, allowPartial) {
+        var len = source.length;
+        var pos = start + 1;
+        var nameStart = pos;
+
+        while (pos < len && !isWhitespace(source[pos]) && source[pos] !== '>' &&
+               !(source[pos] === '/' && source[pos + 1] === '>')) {
+            pos++;
+        }
+
+        var token = {
+            type: 'start',
+            name: source.slice(nameStart, pos),
+            attrs: [],
+            tail: '',
+            selfClosing: false,
+            start: start,
+            end: -1,
+            raw: null,
+            dirty: false,
+            pending: null
         };
 
-        console.log('[SvgNamespaceNormalizer] fetch API 패치 완료');
-    };
+        // 이름이 끝나기 전에 입력이 끝났으면 이름이 잘렸을 수 있음
+        if (pos < len) {
+            scanAttributes(source, pos, token);
+        }
+
+        if (token.end === -1) {
+            return allowPartial ? token : null;
+        }
+        token.raw = source.slice(start, token.end);
+        return token;
+    }
 
     /**
-     * XMLHttpRequest를 패치하여 SVG 요청을 자동으로 정규화합니다.
+     * pos부터 태그 끝('>' 또는 '/>')까지 속성을 읽어 token.attrs에 추가합니다.
+     * 태그가 끝나지 않았으면 token.end는 -1로 남고, 따옴표로 감싼 값 안에서 끊겼다면
+     * token.pending에 { attr, valueStart }를 기록합니다.
      */
-    SvgNamespaceNormalizer.patchXHR = function () {
-        var originalXHROpen = XMLHttpRequest.prototype.open;
-        var originalXHRSend = XMLHttpRequest.prototype.send;
+    function scanAttributes(source, pos, token) {
+        var len = source.length;
 
-        XMLHttpRequest.prototype.open = function (method, url) {
-            this._svgNormalizerUrl = url;
-            return originalXHROpen.apply(this, arguments);
-        };
+        while (pos < len) {
+            var wsStart = pos;
+            while (pos < len && isWhitespace(source[pos])) {
+                pos++;
+            }
+            var ws = source.slice(wsStart, pos);
 
-        XMLHttpRequest.prototype.send = function () {
-            var xhr = this;
-            var url = xhr._svgNormalizerUrl || '';
-            var isSvg = typeof url === 'string' && url.toLowerCase().endsWith('.svg');
-
-            if (isSvg) {
-                var originalOnReadyStateChange = xhr.onreadystatechange;
-                xhr.onreadystatechange = function () {
-                    if (xhr.readyState === 4 && xhr.status === 200) {
-                        var responseText = xhr.responseText;
-                        if (SvgNamespaceNormalizer.hasIssue(responseText)) {
-                            var normalized = SvgNamespaceNormalizer.normalize(responseText);
-                            console.log('[SvgNamespaceNormalizer] XHR SVG 네임스페이스 정규화:', url);
-                            
-                            // responseText를 재정의 (가능한 경우)
-                            try {
-                                Object.defineProperty(xhr, 'responseText', {
-                                    value: normalized,
-                                    writable: false
-                                });
-                                Object.defineProperty(xhr, 'response', {
-                                    value: normalized,
-                                    writable: false
-                                });
-                            } catch (e) {
-                                // 일부 브라우저에서는 재정의가 불가능할 수 있음
-                            }
-                        }
-                    }
-                    if (originalOnReadyStateChange) {
-                        originalOnReadyStateChange.apply(this, arguments);
-                    }
-                };
+            if (source[pos] === '>') {
+                token.tail = ws;
+                token.end = pos + 1;
+                return;
+            }
+            if (source[pos] === '/' && source[pos + 1] === '>') {
+                token.tail = ws;
+                token.selfClosing = true;
+                token.end = pos + 2;
+                return;
+            }
+            if (pos >= len || (source[pos] === '/' && pos + 1 >= len)) {
+                return;
             }
 
-            return originalXHRSend.apply(this, arguments);
-        };
+            var attrStart = pos;
+            while (pos < len && !isWhitespace(source[pos]) && source[pos] !== '=' && source[pos] !== '>' &&
+                   !(source[pos] === '/' && source[pos + 1] === '>')) {
+                pos++;
+            }
+            var attr = {
+                ws: ws,
+                name: source.slice(attrStart, pos),
+                eq: null,
+                quote: '',
+                value: '',
+                start: attrStart
+            };
 
-        console.log('[SvgNamespaceNormalizer] XMLHttpRequest 패치 완료');
-    };
+            // '=' 앞뒤 공백까지 원본 그대로 보관
+            var eqStart = pos;
+            while (pos < len && isWhitespace(source[pos])) {
+                pos++;
+            }
+            if (pos >= len) {
+                return;
+            }
+            if (source[pos] === '=') {
+                pos++;
+                while (pos < len && isWhitespace(source[pos])) {
+                    pos++;
+                }
+                if (pos >= len) {
+                    return;
+                }
+                attr.eq = source.slice(eqStart, pos);
+
+                var quote = source[pos];
+                if (quote === '"' || quote === '\'') {
+                    attr.quote = quote;
+                    var close = source.indexOf(quote, pos + 1);
+                    if (close === -1) {
+                        token.pending = { attr: attr, valueStart: pos + 1 };
+                        return;
+                    }
+                    attr.value = source.slice(pos + 1, close);
+                    pos = close + 1;
+                } else {
+                    var valueStart = pos;
+                    while (pos < len && !isWhitespace(source[pos]) && source[pos] !== '>') {
+                        pos++;
+                    }
+                    if (pos >= len) {
+                        return;
+                    }
+                    attr.value = source.slice(valueStart, pos);
+                }
+            } else {
+                // 값 없는 속성: 읽은 공백은 다음 속성의 앞 공백으로 돌려줌
+                pos = eqStart;
+            }
+            token.attrs.push(attr);
+        }
+    }
 
     /**
-     * EntryPaint (window.EntryPaint)의 addSVG 메서드를 패치합니다.
+     * DOCTYPE 선언의 끝을 찾습니다. 내부 서브셋([ ... ])과 따옴표 안의 '>'는 무시합니다.
      */
-    SvgNamespaceNormalizer.patchEntryPaint = function () {
-        // EntryPaint가 로드될 때까지 기다림
-        var checkInterval = setInterval(function () {
-            if (typeof window.EntryPaint !== 'undefined' && window.EntryPaint.default) {
-                var originalCreate = window.EntryPaint.default.create;
-                if (originalCreate) {
-                    window.EntryPaint.default.create = function (options) {
-                        var instance = originalCreate.call(this, options);
-                        
-                        // addSVG 메서드 패치
-                        if (instance && instance.addSVG) {
-                            var originalAddSVG = instance.addSVG.bind(instance);
-                            instance.addSVG = function (svgUrl, options) {
-                                // URL에서 SVG를 가져와서 정규화 후 전달
-                                return SvgNamespaceNormalizer.fetchAndNormalize(svgUrl)
-                                    .then(function (normalizedSvg) {
-                                        // Data URL로 변환하여 전달
-                                        var dataUrl = SvgNamespaceNormalizer.toDataUrl(normalizedSvg);
-                                        return originalAddSVG(dataUrl, options);
-                                    })
-                                    .catch(function (error) {
-                                        console.warn('[SvgNamespaceNormalizer] SVG 정규화 실패, 원본 사용:', error);
-                                        return originalAddSVG(svgUrl, options);
-                                    });
-                            };
-                        }
-                        
-                        return instance;
-                    };
-                    console.log('[SvgNamespaceNormalizer] EntryPaint 패치 완료');
+    function findDoctypeEnd(source, start) {
+        var depth = 0;
+        var quote = null;
+        for (var pos = start + 2; pos < source.length; pos++) {
+            var ch = source[pos];
+            if (quote) {
+                if (ch === quote) {
+                    quote = null;
                 }
-                clearInterval(checkInterval);
+            } else if (ch === '"' || ch === '\'') {
+                quote = ch;
+            } else if (ch === '[') {
+                depth++;
+            } else if (ch === ']') {
+                depth--;
+            } else if (ch === '>' && depth <= 0) {
+                return pos + 1;
             }
-        }, 100);
-
-        // 10초 후 타임아웃
-        setTimeout(function () {
-            clearInterval(checkInterval);
-        }, 10000);
-    };
+        }
+        return -1;
+    }
 
     /**
-     * 자동 초기화 - 스크립트 로드 시 자동 실행
+     * XML 문자열을 토큰 배열로 나눕니다.
+     * 토큰의 raw를 순서대로 이어 붙이면 원본 문자열과 정확히 같습니다.
+     *
+     * @param {string} source - XML 문자열
+     * @returns {Array<Object>} 토큰 배열 (start, end, text, comment, cdata, pi, doctype)
      */
-    SvgNamespaceNormalizer.autoInit = function () {
-        if (isInitialized) {
-            return;
+    function tokenize(source) {
+        var tokens = [];
+        var len = source.length;
+        var pos = 0;
+
+        function pushRaw(type, start, end, malformed) {
+            var token = { type: type, raw: source.slice(start, end), start: start, end: end };
+            if (malformed) {
+                token.malformed = true;
+            }
+            tokens.push(token);
         }
-        isInitialized = true;
 
-        console.log('[SvgNamespaceNormalizer] 자동 초기화 시작 (v' + SvgNamespaceNormalizer.version + ')');
+        function pushDelimited(type, start, terminator) {
+            var close = source.indexOf(terminator, start);
+            var end = close === -1 ? len : close + terminator.length;
+            if (close === -1) {
+                // 닫히지 않은 토큰은 나머지를 텍스트로 보존
+                pushRaw('text', start, end, true);
+            } else {
+                pushRaw(type, start, end);
+            }
+            return end;
+        }
+
+        while (pos < len) {
+            var lt = source.indexOf('<', pos);
+            if (lt === -1) {
+                pushRaw('text', pos, len);
+                break;
+            }
+            if (lt > pos) {
+                pushRaw('text', pos, lt);
+            }
+            pos = lt;
+
+            if (source.substr(pos, 4) === '<!--') {
+                pos = pushDelimited('comment', pos, '-->');
+            } else if (source.substr(pos, 9) === '<![CDATA[') {
+                pos = pushDelimited('cdata', pos, ']]>');
+            } else if (source.substr(pos, 2) === '<?') {
+                pos = pushDelimited('pi', pos, '?>');
+            } else if (source.substr(pos, 2) === '<!') {
+                var doctypeEnd = findDoctypeEnd(source, pos);
+                if (doctypeEnd === -1) {
+                    pushRaw('text', pos, len, true);
+                    pos = len;
+                } else {
+                    pushRaw('doctype', pos, doctypeEnd);
+                    pos = doctypeEnd;
+                }
+            } else if (source[pos + 1] === '/') {
+                var gt = source.indexOf('>', pos);
+                if (gt === -1) {
+                    pushRaw('text', pos, len, true);
+                    pos = len;
+                } else {
+                    var inner = source.slice(pos + 2, gt);
+                    var nameLength = inner.search(/\s|$/);
+                    tokens.push({
+                        type: 'end',
+                        name: inner.slice(0, nameLength),
+                        tail: inner.slice(nameLength),
+                        raw: source.slice(pos, gt + 1),
+                        start: pos,
+                        end: gt + 1,
+                        dirty: false
+                    });
+                    pos = gt + 1;
+                }
+            } else if (isNameStart(source[pos + 1] || '')) {
+                var startTag = scanStartTag(source, pos);
+                if (startTag) {
+                    tokens.push(startTag);
+                    pos = startTag.end;
+                } else {
+                    pushRaw('text', pos, len, true);
+                    pos = len;
+                }
+            } else {
+                // 태그가 아닌 '<'는 텍스트로 취급
+                pushRaw('text', pos, pos + 1);
+                pos++;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 토큰을 문자열로 되돌립니다. 변경되지 않은 토큰은 원본 그대로 출력합니다.
+     */
+    function serializeToken(token) {
+        if (!token.dirty) {
+            return token.raw;
+        }
+        if (token.type === 'end') {
+            return '</' + token.name + token.tail + '>';
+        }
+        return '<' + token.name + serializeAttributes(token.attrs) + token.tail + (token.selfClosing ? '/>' : '>');
+    }
+
+    function serializeAttributes(attrs) {
+        var out = '';
+        for (var i = 0; i < attrs.length; i++) {
+            var attr = attrs[i];
+            out += attr.ws + attr.name;
+            if (attr.eq !== null) {
+                out += attr.eq + attr.quote + attr.value + attr.quote;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * 속성값의 기본 엔티티와 문자 참조를 해석합니다. (네임스페이스 URI 비교용)
+     */
+    function decodeAttrValue(value) {
+        if (value.indexOf('&') === -1) {
+            return value;
+        }
+        return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, function (match, ref) {
+            switch (ref.toLowerCase()) {
+                case 'amp': return '&';
+                case 'lt': return '<';
+                case 'gt': return '>';
+                case 'quot': return '"';
+                case 'apos': return '\'';
+            }
+            var code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF ? codePointToString(code) : match;
+        });
+    }
+
+    // String.fromCodePoint가 없는 ES5 환경을 위해 BMP 밖의 문자는 서로게이트 쌍으로 만듦
+    function codePointToString(code) {
+        if (code <= 0xFFFF) {
+            return String.fromCharCode(code);
+        }
+        code -= 0x10000;
+        return String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+    }
+
+    function splitQName(name) {
+        var colon = name.indexOf(':');
+        if (colon <= 0) {
+            return { prefix: null, local: name };
+        }
+        return { prefix: name.slice(0, colon), local: name.slice(colon + 1) };
+    }
+
+    /**
+     * 선언 없이 쓰인 접두사가 어떤 URI를 뜻하는지 규칙에서 찾습니다.
+     * 같은 표준 접두사를 쓰는 URI가 여러 개면 추측하지 않습니다.
+     */
+    function findRuleByPrefix(prefix, strategy) {
+        var found = null;
+        for (var uri in namespaceRules) {
+            if (namespaceRules[uri].prefix === prefix && strategy.ruleFor(uri, prefix)) {
+                if (found) {
+                    return null;
+                }
+                found = uri;
+            }
+        }
+        return found;
+    }
+
+    // ------------------------------------------------------------------
+    // 네임스페이스 재작성기
+    // 요소마다 입력 측/출력 측 접두사 바인딩을 스코프 스택으로 추적하면서
+    // 요소 이름과 속성 이름의 접두사만 정확히 바꿉니다.
+    //
+    // prefixMap은 입력 접두사 -> 출력 접두사 매핑입니다.
+    // 값이 ''이면 기본 네임스페이스(접두사 없음), null이면 제거 대상입니다.
+    // ------------------------------------------------------------------
+
+    /**
+     * 태그 안의 연속된 공백을 하나로 줄이고 '>' 앞의 공백을 제거합니다. (strip-all 전략)
+     */
+    function collapseTagWhitespace(token) {
+        var changed = false;
+        if (token.type === 'start') {
+            for (var i = 0; i < token.attrs.length; i++) {
+                var attr = token.attrs[i];
+                if (attr.ws.length > 1) {
+                    attr.ws = ' ';
+                    changed = true;
+                }
+                if (attr.eq !== null && attr.eq !== '=') {
+                    attr.eq = '=';
+                    changed = true;
+                }
+            }
+        }
+        var tail = token.type === 'start' && token.selfClosing && token.tail ? ' ' : '';
+        if (token.tail !== tail) {
+            token.tail = tail;
+            changed = true;
+        }
+        if (changed) {
+            token.dirty = true;
+        }
+        return changed;
+    }
+
+    // namespaces 패스를 끈 경우: 어떤 접두사에도 규칙을 적용하지 않음
+    var NO_NAMESPACE_STRATEGY = {
+        ruleFor: function () {
+            return null;
+        },
+        impliesSvg: false,
+        collapseWhitespace: false
+    };
+
+    /**
+     * 토큰 단위로 실행되는 기본 패스(변환 패스 참고) 중 켜진 것을 실행 순서대로 반환합니다.
+     */
+    function getTokenPasses(options) {
+        return getActiveTransforms(options).filter(function (transform) {
+            return transform.tokenPass;
+        });
+    }
+
+    function createNamespaceRewriter(options) {
+        var tokenPasses = getTokenPasses(options);
+        var enabled = {};
+        tokenPasses.forEach(function (transform) {
+            enabled[transform.name] = true;
+        });
+        var strategy = enabled.namespaces ? STRATEGIES[options.strategy] : NO_NAMESPACE_STRATEGY;
+        var collapseWhitespace = !!enabled['collapse-whitespace'];
+        var rootPrefixes = Object.create(null);
+        rootPrefixes.xml = XML_NS;
+        rootPrefixes.xmlns = XMLNS_NS;
+
+        var stack = [{
+            inPrefixes: rootPrefixes,
+            outPrefixes: rootPrefixes,
+            prefixMap: Object.create(null),
+            inDefault: '',
+            outDefault: '',
+            inName: null,
+            outName: null
+        }];
+        var rewrites = [];
+        var issues = [];
+        var dropDepth = 0;
+        var openState = null;
+        var elementName = null;
+        var changedPasses = {};
+
+        function record(type, token, from, to, uri, pass) {
+            pass = pass || 'namespaces';
+            changedPasses[pass] = true;
+            rewrites.push({ type: type, element: token.name, from: from, to: to, uri: uri, offset: token.start, pass: pass });
+        }
+
+        /**
+         * analyze()에서 보고할 문제를 기록합니다. (정규화 결과에는 영향 없음)
+         */
+        function report(kind, offset, prefix, uri, fixable, attribute) {
+            issues.push({
+                kind: kind,
+                prefix: prefix,
+                uri: uri,
+                element: elementName,
+                attribute: attribute || null,
+                offset: offset,
+                fixable: fixable
+            });
+        }
+
+        function addAttribute(token, name, value) {
+            token.attrs.push({ ws: ' ', name: name, eq: '=', quote: '"', value: value, start: token.start });
+            token.dirty = true;
+            record('add-declaration', token, null, name, value);
+        }
+
+        /**
+         * 출력 측에서 접두사가 해당 URI로 선언되어 있도록 보장합니다.
+         */
+        function ensurePrefix(token, frame, prefix, uri) {
+            if (frame.outPrefixes[prefix] !== uri) {
+                frame.outPrefixes[prefix] = uri;
+                addAttribute(token, 'xmlns:' + prefix, uri);
+            }
+        }
+
+        /**
+         * 이 요소의 선언을 읽고, 규칙에 따라 선언 이름을 바꾸거나 제거합니다.
+         */
+        function processDeclarations(token, frame) {
+            var attrs = token.attrs;
+            var declared = [];
+            var renames = [];
+            var i, attr, prefix, uri, rule;
+
+            for (i = 0; i < attrs.length; i++) {
+                attr = attrs[i];
+                if (attr.name === 'xmlns') {
+                    frame.ownDefault = frame.inDefault = frame.outDefault = decodeAttrValue(attr.value);
+                } else if (attr.name.indexOf('xmlns:') === 0) {
+                    frame.inPrefixes[attr.name.slice(6)] = decodeAttrValue(attr.value);
+                    declared.push(attr);
+                }
+            }
+
+            // 이름을 유지하는 선언을 먼저 출력 스코프에 반영 (표준 접두사와의 충돌 판단용)
+            for (i = 0; i < declared.length; i++) {
+                attr = declared[i];
+                prefix = attr.name.slice(6);
+                uri = frame.inPrefixes[prefix];
+                rule = strategy.ruleFor(uri, prefix);
+
+                if (!rule || (rule.action === 'prefix' && rule.prefix === prefix)) {
+                    frame.outPrefixes[prefix] = uri;
+                    frame.prefixMap[prefix] = prefix;
+                    if (!rule && /^ns\d+$/.test(prefix)) {
+                        report('unregistered-namespace', attr.start, prefix, uri, false);
+                    }
+                } else if (rule.action === 'prefix') {
+                    renames.push(attr);
+                } else {
+                    // default/strip/drop: 사용처에서 접두사가 사라지므로 선언도 제거
+                    report(rule.action === 'default' ? 'prefixed-default-namespace' :
+                        (rule.action === 'drop' ? 'dropped-namespace' : 'nonstandard-prefix'),
+                        attr.start, prefix, uri, true);
+                    attrs.splice(attrs.indexOf(attr), 1);
+                    frame.prefixMap[prefix] = rule.action === 'drop' ? null : '';
+                    token.dirty = true;
+                    record('remove-declaration', token, attr.name, null, uri);
+                }
+            }
+
+            // 비표준 접두사 선언을 표준 접두사로 변경하거나, 이미 선언되어 있으면 제거
+            for (i = 0; i < renames.length; i++) {
+                attr = renames[i];
+                prefix = attr.name.slice(6);
+                uri = frame.inPrefixes[prefix];
+                var canonical = strategy.ruleFor(uri, prefix).prefix;
+                var bound = frame.outPrefixes[canonical];
+
+                if (bound === uri) {
+                    report('nonstandard-prefix', attr.start, prefix, uri, true);
+                    attrs.splice(attrs.indexOf(attr), 1);
+                    record('remove-declaration', token, attr.name, null, uri);
+                } else if (bound === undefined) {
+                    report('nonstandard-prefix', attr.start, prefix, uri, true);
+                    record('rename-declaration', token, attr.name, 'xmlns:' + canonical, uri);
+                    attr.name = 'xmlns:' + canonical;
+                    frame.outPrefixes[canonical] = uri;
+                } else {
+                    // 표준 접두사가 다른 URI에 묶여 있으면 원래 접두사를 유지
+                    report('prefix-conflict', attr.start, prefix, uri, false);
+                    frame.outPrefixes[prefix] = uri;
+                    frame.prefixMap[prefix] = prefix;
+                    continue;
+                }
+                frame.prefixMap[prefix] = canonical;
+                token.dirty = true;
+            }
+        }
+
+        /**
+         * 접두사가 붙은 이름을 출력 이름으로 바꿉니다. 제거 대상이면 null을 반환합니다.
+         */
+        function resolvePrefixedName(token, frame, qname, isElement, offset) {
+            var prefix = qname.prefix;
+            var attribute = isElement ? null : prefix + ':' + qname.local;
+
+            // 선언되지 않았지만 표준 접두사(xlink 등)이면 규칙의 URI로 간주
+            if (!(prefix in frame.inPrefixes)) {
+                var implied = findRuleByPrefix(prefix, strategy);
+                report('undeclared-prefix', offset, prefix, implied, !!implied, attribute);
+                if (!implied) {
+                    return prefix + ':' + qname.local;
+                }
+                var impliedRule = strategy.ruleFor(implied, prefix);
+                frame.inPrefixes[prefix] = implied;
+                frame.prefixMap[prefix] = impliedRule.action === 'prefix' ? prefix :
+                    (impliedRule.action === 'drop' ? null : '');
+            }
+
+            var uri = frame.inPrefixes[prefix];
+            var target = frame.prefixMap[prefix];
+            if (target === undefined) {
+                target = prefix;
+            }
+
+            if (target === null) {
+                return null;
+            }
+            if (target === '' && isElement && strategy.ruleFor(uri, prefix).action !== 'strip') {
+                // 요소 자신이 다른 기본 네임스페이스를 선언했다면 접두사를 유지해야 함
+                if (frame.ownDefault !== null && frame.ownDefault !== uri) {
+                    report('prefix-conflict', offset, prefix, uri, false);
+                    target = prefix;
+                } else if (frame.outDefault !== uri) {
+                    frame.outDefault = uri;
+                    addAttribute(token, 'xmlns', uri);
+                }
+            }
+            if (target !== '' && frame.outPrefixes[target] !== uri) {
+                // 표준 접두사가 이 위치에서 다른 URI로 가려졌으면 원래 접두사로 되돌림
+                if (target !== prefix) {
+                    report('prefix-conflict', offset, prefix, uri, false, attribute);
+                }
+                target = prefix;
+                ensurePrefix(token, frame, prefix, uri);
+            }
+
+            var outName = target ? target + ':' + qname.local : qname.local;
+            if (target !== prefix) {
+                record(isElement ? 'rename-element' : 'rename-attribute', token,
+                    prefix + ':' + qname.local, outName, uri);
+                token.dirty = true;
+            }
+            return outName;
+        }
+
+        /**
+         * 시작 태그를 엽니다. 스트리밍 중에는 속성 일부만 가진 토큰으로 먼저 호출한 뒤
+         * appendAttributes()로 나머지 속성을, closeStartTag()로 태그 끝을 알려줍니다.
+         *
+         * @returns {boolean} 출력해야 하면 true, 제거되는 요소면 false
+         */
+        function openElement(token) {
+            if (dropDepth > 0) {
+                openState = 'skip';
+                return false;
+            }
+
+            var parent = stack[stack.length - 1];
+            var frame = {
+                inPrefixes: Object.create(parent.inPrefixes),
+                outPrefixes: Object.create(parent.outPrefixes),
+                prefixMap: Object.create(parent.prefixMap),
+                inDefault: parent.inDefault,
+                outDefault: parent.outDefault,
+                ownDefault: null,
+                inName: token.name,
+                outName: token.name,
+                seen: Object.create(null)
+            };
+            var qname;
+
+            elementName = token.name;
+            processDeclarations(token, frame);
+
+            qname = splitQName(token.name);
+            if (qname.prefix) {
+                var outName = resolvePrefixedName(token, frame, qname, true, token.start);
+                if (outName === null) {
+                    return dropElement(token);
+                }
+                token.name = frame.outName = outName;
+            } else {
+                // 루트 <svg>에 기본 네임스페이스가 없으면 SVG 네임스페이스로 간주
+                // (기본 네임스페이스가 SVG로 바뀐 요소 아래의 네임스페이스 없는 요소도 편집기 실수로 보고 SVG로 간주)
+                if (strategy.impliesSvg && frame.inDefault === '' && frame.ownDefault === null &&
+                    ((stack.length === 1 && qname.local === 'svg') || frame.outDefault === SVG_NS)) {
+                    frame.inDefault = SVG_NS;
+                    if (frame.outDefault !== SVG_NS) {
+                        report('missing-default-namespace', token.start, null, SVG_NS, true);
+                    }
+                }
+                var defaultRule = strategy.ruleFor(frame.inDefault, null);
+                if (defaultRule && defaultRule.action === 'drop') {
+                    return dropElement(token);
+                }
+                // 조상 요소의 기본 네임스페이스가 바뀌었으면 원래 기본 네임스페이스를 다시 선언
+                if (frame.outDefault !== frame.inDefault) {
+                    frame.outDefault = frame.inDefault;
+                    addAttribute(token, 'xmlns', frame.inDefault);
+                }
+            }
+
+            processAttributes(token, frame);
+            stack.push(frame);
+            openState = 'open';
+            return true;
+        }
+
+        /**
+         * 접두사가 붙은 속성 이름을 바꾸고, 제거 대상이거나 중복된 속성을 없앱니다.
+         */
+        function processAttributes(token, frame) {
+            var attrs = token.attrs;
+            for (var i = 0; i < attrs.length; i++) {
+                var attr = attrs[i];
+                var sourceName = attr.name;
+                var qname = splitQName(attr.name);
+                if (qname.prefix && qname.prefix !== 'xmlns') {
+                    var attrName = resolvePrefixedName(token, frame, qname, false, attr.start);
+                    if (attrName === null) {
+                        attrs.splice(i, 1);
+                        i--;
+                        token.dirty = true;
+                        record('remove-attribute', token, attr.name, null, frame.inPrefixes[qname.prefix]);
+                        continue;
+                    }
+                    attr.name = attrName;
+                }
+                // 같은 이름의 속성이 중복되면 뒤의 것을 제거
+                if (frame.seen[attr.name] && enabled['duplicate-attributes']) {
+                    report('duplicate-attribute', attr.start, qname.prefix, null, true, attr.name);
+                    attrs.splice(i, 1);
+                    i--;
+                    token.dirty = true;
+                    record('remove-attribute', token, attr.name, null, null, 'duplicate-attributes');
+                    continue;
+                }
+                frame.seen[attr.name] = true;
+                processEmbeddedSvg(token, attr, sourceName);
+            }
+        }
+
+        /**
+         * 속성 값이 SVG Data URL이면 그 안의 SVG도 정규화합니다. (options.nestedDepth 단계까지)
+         */
+        function processEmbeddedSvg(token, attr, sourceName) {
+            var depth = options.embedDepth || 0;
+            if (!enabled['embedded-svg'] || !(depth < options.nestedDepth) || attr.value.indexOf('data:') === -1) {
+                return;
+            }
+            var value = decodeAttrValue(attr.value);
+            if (!isSvgDataUrl(value)) {
+                return;
+            }
+            var childOptions = {};
+            for (var key in options) {
+                childOptions[key] = options[key];
+            }
+            childOptions.embedDepth = depth + 1;
+
+            var normalized = SvgNamespaceNormalizer.normalizeDataUrl(value, childOptions);
+            if (normalized === value) {
+                return;
+            }
+            report('embedded-svg', attr.start, null, null, true, sourceName);
+            // base64와 퍼센트 인코딩 결과에는 속성 값에서 이스케이프할 문자가 없음
+            attr.value = normalized;
+            token.dirty = true;
+            record('rewrite-embedded-svg', token, attr.name, attr.name, null, 'embedded-svg');
+        }
+
+        /**
+         * 이미 출력한 시작 태그 앞부분 뒤에 이어지는 속성을 처리합니다. (스트리밍 전용)
+         * 요소 이름과 앞쪽 속성은 이미 내보냈으므로, 뒤늦게 나온 선언은 이름을 바꾸지 않고 그대로 둡니다.
+         *
+         * @param {Object} token - 이어지는 속성만 담은 토큰 ({ attrs })
+         */
+        function appendAttributes(token) {
+            if (openState !== 'open') {
+                return false;
+            }
+            var frame = stack[stack.length - 1];
+            var attrs = token.attrs;
+            for (var i = 0; i < attrs.length; i++) {
+                var attr = attrs[i];
+                if (attr.name === 'xmlns') {
+                    if (frame.seen.xmlns && enabled['duplicate-attributes']) {
+                        attrs.splice(i, 1);
+                        i--;
+                        token.dirty = true;
+                        record('remove-attribute', token, attr.name, null, null, 'duplicate-attributes');
+                        continue;
+                    }
+                    frame.ownDefault = frame.inDefault = frame.outDefault = decodeAttrValue(attr.value);
+                } else if (attr.name.indexOf('xmlns:') === 0) {
+                    var prefix = attr.name.slice(6);
+                    frame.inPrefixes[prefix] = frame.outPrefixes[prefix] = decodeAttrValue(attr.value);
+                    frame.prefixMap[prefix] = prefix;
+                }
+            }
+            processAttributes(token, frame);
+            return true;
+        }
+
+        /**
+         * 시작 태그가 끝났음을 알립니다. 자체 닫힘 태그면 스코프를 바로 닫습니다.
+         */
+        function closeStartTag(token) {
+            var state = openState;
+            openState = null;
+            if (state === 'skip' || state === 'drop') {
+                if (!token.selfClosing) {
+                    dropDepth = state === 'skip' ? dropDepth + 1 : 1;
+                }
+            } else if (state === 'open' && token.selfClosing) {
+                stack.pop();
+            }
+        }
+
+        function startElement(token) {
+            var keep = openElement(token);
+            closeStartTag(token);
+            return keep;
+        }
+
+        function dropElement(token) {
+            record('remove-element', token, token.name, null, null);
+            openState = 'drop';
+            return false;
+        }
+
+        function endElement(token) {
+            if (dropDepth > 0) {
+                dropDepth--;
+                return false;
+            }
+            // 짝이 맞는 시작 태그를 찾을 때까지 스택을 되감음 (닫히지 않은 요소 허용)
+            for (var i = stack.length - 1; i > 0; i--) {
+                if (stack[i].inName === token.name) {
+                    if (stack[i].outName !== token.name) {
+                        token.name = stack[i].outName;
+                        token.dirty = true;
+                    }
+                    stack.length = i;
+                    break;
+                }
+            }
+            return true;
+        }
+
+        /**
+         * 토큰 하나를 처리하고 출력할 문자열을 반환합니다.
+         */
+        function write(token) {
+            var keep = true;
+            if (token.type === 'start') {
+                keep = startElement(token);
+            } else if (token.type === 'end') {
+                keep = endElement(token);
+            } else if (dropDepth > 0) {
+                keep = false;
+            }
+            if (keep && collapseWhitespace && (token.type === 'start' || token.type === 'end')) {
+                collapseWhitespaceOf(token);
+            }
+            return keep ? serializeToken(token) : '';
+        }
+
+        function collapseWhitespaceOf(token) {
+            if (collapseTagWhitespace(token)) {
+                changedPasses['collapse-whitespace'] = true;
+            }
+        }
+
+        return {
+            write: write,
+            openElement: openElement,
+            appendAttributes: appendAttributes,
+            closeStartTag: closeStartTag,
+            collapseWhitespace: collapseWhitespace ? collapseWhitespaceOf : null,
+            isDropping: function () {
+                return dropDepth > 0;
+            },
+            /**
+             * 실행한 토큰 패스와 각 패스가 바꾼 것이 있는지를 반환합니다.
+             */
+            passes: function () {
+                return tokenPasses.map(function (transform) {
+                    return { name: transform.name, changed: !!changedPasses[transform.name] };
+                });
+            },
+            rewrites: rewrites,
+            issues: issues
+        };
+    }
+
+    /**
+     * 토큰화 후 네임스페이스를 재작성하고 결과 문자열과 변경 내역을 반환합니다.
+     */
+    function rewriteDocument(svgString, options) {
+        var tokens = tokenize(svgString);
+        var rewriter = createNamespaceRewriter(options);
+        var out = [];
+
+        for (var i = 0; i < tokens.length; i++) {
+            out.push(rewriter.write(tokens[i]));
+        }
+
+        return {
+            svg: out.join(''),
+            rewrites: rewriter.rewrites,
+            issues: rewriter.issues,
+            passes: rewriter.passes(),
+            tokens: tokens
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // 스트리밍 재작성기
+    // ------------------------------------------------------------------
+
+    /**
+     * 속성값이 이 길이(문자 수)를 넘으면 태그를 끝까지 모으지 않고 앞부분을 먼저 내보냅니다.
+     */
+    var STREAM_PAYLOAD_THRESHOLD = 64 * 1024;
+
+    /**
+     * 조각으로 들어오는 SVG 텍스트를 순서대로 정규화하는 스트리밍 재작성기를 만듭니다.
+     *
+     * 시작 태그는 완성될 때까지 모았다가 재작성하지만, 속성값이 매우 길면(내장 base64 비트맵 등)
+     * 요소 이름과 앞쪽 속성을 먼저 재작성해 내보내고 값은 모으지 않고 그대로 흘려보냅니다.
+     * 따라서 메모리 사용량은 입력 크기와 관계없이 일정하게 유지됩니다.
+     *
+     * @returns {{push: function(string): string, end: function(): string, rewrites: Array}}
+     */
+    function createStreamRewriter(options) {
+        var rewriter = createNamespaceRewriter(options);
+        var collapseWhitespace = rewriter.collapseWhitespace;
+        var buffer = '';
+        var mode = 'content';   // content | tag | special | value | rest
+        var terminator = null;  // special 모드(주석, CDATA, PI)의 끝 문자열
+        var quote = null;       // value 모드의 닫는 따옴표
+        var discard = false;    // value 모드에서 값을 버리는지 (제거되는 요소/속성)
+        var out = [];
+
+        function emitText(text) {
+            if (text && !rewriter.isDropping()) {
+                out.push(text);
+            }
+        }
+
+        /**
+         * 값이 끝나지 않은 속성까지의 태그 앞부분을 내보내고 value 모드로 전환합니다.
+         */
+        function commitPending(token, head, keep) {
+            var pending = token.pending;
+            var attrs = token.attrs;
+            var index = attrs.indexOf(pending.attr);
+            var keepValue = keep && index !== -1;
+
+            if (keep) {
+                if (collapseWhitespace) {
+                    collapseWhitespace(token);
+                }
+                if (index !== -1) {
+                    attrs.splice(index, 1);
+                }
+                out.push(head + serializeAttributes(attrs));
+                if (keepValue) {
+                    var attr = pending.attr;
+                    out.push(attr.ws + attr.name + attr.eq + attr.quote + buffer.slice(pending.valueStart));
+                }
+            }
+            quote = pending.attr.quote;
+            discard = !keepValue;
+            buffer = '';
+            mode = 'value';
+        }
+
+        function isLongPending(token) {
+            return token.pending && buffer.length - token.pending.valueStart >= STREAM_PAYLOAD_THRESHOLD &&
+                token.pending.attr.name !== 'xmlns' && token.pending.attr.name.indexOf('xmlns:') !== 0 &&
+                !isEmbeddedSvgValue(token.pending.valueStart);
+        }
+
+        // 포함된 SVG는 값 전체를 모아야 정규화할 수 있으므로 흘려보내지 않음
+        function isEmbeddedSvgValue(valueStart) {
+            return options.nestedDepth > 0 && /^data:image\/svg\+xml/i.test(buffer.substr(valueStart, 18));
+        }
+
+        function drain(final) {
+            var token;
+            while (buffer) {
+                if (mode === 'content') {
+                    var lt = buffer.indexOf('<');
+                    if (lt === -1) {
+                        emitText(buffer);
+                        buffer = '';
+                        return;
+                    }
+                    emitText(buffer.slice(0, lt));
+                    buffer = buffer.slice(lt);
+
+                    // '<!--', '<![CDATA['인지 판단할 수 있을 만큼 모일 때까지 대기
+                    if (!final && buffer.length < 9 &&
+                        ('<![CDATA['.indexOf(buffer) === 0 || '<!--'.indexOf(buffer) === 0)) {
+                        return;
+                    }
+
+                    var opener = buffer.substr(0, 4) === '<!--' ? '<!--' :
+                        (buffer.substr(0, 9) === '<![CDATA[' ? '<![CDATA[' :
+                        (buffer.substr(0, 2) === '<?' ? '<?' : null));
+                    if (opener) {
+                        terminator = opener === '<!--' ? '-->' : (opener === '<?' ? '?>' : ']]>');
+                        emitText(opener);
+                        buffer = buffer.slice(opener.length);
+                        mode = 'special';
+                    } else if (buffer[1] === '!') {
+                        var doctypeEnd = findDoctypeEnd(buffer, 0);
+                        if (doctypeEnd === -1) {
+                            break;
+                        }
+                        emitText(buffer.slice(0, doctypeEnd));
+                        buffer = buffer.slice(doctypeEnd);
+                    } else if (buffer[1] === '/') {
+                        var gt = buffer.indexOf('>');
+                        if (gt === -1) {
+                            break;
+                        }
+                        var inner = buffer.slice(2, gt);
+                        var nameLength = inner.search(/\s|$/);
+                        out.push(rewriter.write({
+                            type: 'end',
+                            name: inner.slice(0, nameLength),
+                            tail: inner.slice(nameLength),
+                            raw: buffer.slice(0, gt + 1),
+                            start: 0,
+                            end: gt + 1,
+                            dirty: false
+                        }));
+                        buffer = buffer.slice(gt + 1);
+                    } else if (isNameStart(buffer[1] || '')) {
+                        mode = 'tag';
+                    } else if (buffer.length > 1 || final) {
+                        emitText('<');
+                        buffer = buffer.slice(1);
+                    } else {
+                        return;
+                    }
+                } else if (mode === 'special') {
+                    var close = buffer.indexOf(terminator);
+                    if (close === -1) {
+                        // 끝 문자열이 조각 경계에 걸칠 수 있으므로 마지막 몇 글자는 남겨둠
+                        var keepLength = final ? 0 : terminator.length - 1;
+                        emitText(buffer.slice(0, Math.max(0, buffer.length - keepLength)));
+                        buffer = buffer.slice(Math.max(0, buffer.length - keepLength));
+                        return;
+                    }
+                    emitText(buffer.slice(0, close + terminator.length));
+                    buffer = buffer.slice(close + terminator.length);
+                    mode = 'content';
+                } else if (mode === 'tag') {
+                    token = scanStartTag(buffer, 0, true);
+                    if (token.end !== -1) {
+                        out.push(rewriter.write(token));
+                        buffer = buffer.slice(token.end);
+                        mode = 'content';
+                    } else if (isLongPending(token)) {
+                        token.attrs.push(token.pending.attr);
+                        var keep = rewriter.openElement(token);
+                        commitPending(token, '<' + token.name, keep);
+                    } else {
+                        break;
+                    }
+                } else if (mode === 'value') {
+                    var end = buffer.indexOf(quote);
+                    if (end === -1) {
+                        if (!discard) {
+                            out.push(buffer);
+                        }
+                        buffer = '';
+                        return;
+                    }
+                    if (!discard) {
+                        out.push(buffer.slice(0, end + 1));
+                    }
+                    buffer = buffer.slice(end + 1);
+                    mode = 'rest';
+                } else {
+                    // rest: 긴 값 뒤에 이어지는 나머지 속성
+                    token = { type: 'start', attrs: [], tail: '', selfClosing: false, start: 0, end: -1, dirty: true, pending: null };
+                    scanAttributes(buffer, 0, token);
+                    if (token.end !== -1) {
+                        if (rewriter.appendAttributes(token)) {
+                            if (collapseWhitespace) {
+                                collapseWhitespace(token);
+                            }
+                            out.push(serializeAttributes(token.attrs) + token.tail + (token.selfClosing ? '/>' : '>'));
+                        }
+                        rewriter.closeStartTag(token);
+                        buffer = buffer.slice(token.end);
+                        mode = 'content';
+                    } else if (isLongPending(token)) {
+                        token.attrs.push(token.pending.attr);
+                        commitPending(token, '', rewriter.appendAttributes(token));
+                    } else {
+                        break;
+                    }
+                }
+            }
+
+            // 입력이 끝났는데 남은 조각은 해석하지 않고 그대로 출력
+            if (final && buffer) {
+                emitText(buffer);
+                buffer = '';
+            }
+        }
+
+        function flushOutput() {
+            var text = out.join('');
+            out = [];
+            return text;
+        }
+
+        return {
+            push: function (text) {
+                buffer += text;
+                drain(false);
+                return flushOutput();
+            },
+            end: function () {
+                drain(true);
+                return flushOutput();
+            },
+            // 아직 내보내지 않은 원본 입력 (push()가 정상적으로 반환한 뒤에만 의미가 있음)
+            pending: function () {
+                return buffer;
+            },
+            rewrites: rewriter.rewrites
+        };
+    }
+
+    /**
+     * createStreamRewriter()와 같은 모양이지만, 입력을 모두 모았다가 끝에서 모든 패스를 한 번에 실행합니다.
+     * 문자열 패스가 켜져 있어 조각 단위로 처리할 수 없을 때 사용합니다.
+     */
+    function createBufferedRewriter(options) {
+        var chunks = [];
+        var rewrites = [];
+        return {
+            push: function (text) {
+                chunks.push(text);
+                return '';
+            },
+            end: function () {
+                var result = runTransforms(chunks.join(''), options);
+                chunks = [];
+                for (var i = 0; i < result.rewrites.length; i++) {
+                    rewrites.push(result.rewrites[i]);
+                }
+                return result.svg;
+            },
+            pending: function () {
+                return chunks.join('');
+            },
+            rewrites: rewrites
+        };
+    }
+
+    // 스트리밍에서 루트 요소를 찾기 위해 모을 프롤로그의 최대 길이
+    var PROLOG_LIMIT = 64 * 1024;
+
+    /**
+     * 루트 요소가 나올 때까지 입력(프롤로그)을 모았다가, 프롤로그 패스(DOCTYPE 엔티티 등)의 detect가
+     * true이면 createBufferedRewriter()로, 아니면 createStreamRewriter()로 이어서 처리합니다.
+     * 프롤로그가 PROLOG_LIMIT보다 길면 그때까지 모은 내용으로 판단합니다.
+     */
+    function createPrologRewriter(options, prologPasses) {
+        var buffer = '';
+        var rewriter = {
+            push: function (text) {
+                buffer += text;
+                var complete = buffer.length > PROLOG_LIMIT || tokenize(buffer).some(function (token) {
+                    return token.type === 'start';
+                });
+                return complete ? choose() : '';
+            },
+            end: function () {
+                var out = choose();
+                return out + rewriter.end();
+            },
+            pending: function () {
+                return buffer;
+            },
+            rewrites: []
+        };
+
+        function choose() {
+            var needsDocument = prologPasses.some(function (transform) {
+                return transform.detect(buffer, options);
+            });
+            var inner = needsDocument ? createBufferedRewriter(options) : createStreamRewriter(options);
+            rewriter.push = inner.push;
+            rewriter.end = inner.end;
+            rewriter.pending = inner.pending;
+            rewriter.rewrites = inner.rewrites;
+            var out = inner.push(buffer);
+            buffer = '';
+            return out;
+        }
+
+        return rewriter;
+    }
+
+    // ------------------------------------------------------------------
+    // DOCTYPE 엔티티 패스 (doctype-entities)
+    // 예전 Illustrator는 <!DOCTYPE svg [<!ENTITY ns_svg "http://www.w3.org/2000/svg">]>를 선언하고
+    // xmlns="&ns_svg;"처럼 씁니다. 내부 엔티티를 펼치고 DOCTYPE을 제거해야
+    // 뒤의 네임스페이스 패스가 실제 URI를 볼 수 있습니다.
+    // ------------------------------------------------------------------
+
+    // 엔티티 폭탄(billion laughs) 방지: 중첩 깊이, 참조를 펼친 횟수, 펼쳐서 넣은 전체 문자 수
+    var ENTITY_LIMITS = { depth: 16, expansions: 100000, length: 4 * 1024 * 1024 };
+
+    var PREDEFINED_ENTITIES = ['amp', 'lt', 'gt', 'quot', 'apos'];
+
+    /**
+     * DOCTYPE 내부 부분집합의 일반 엔티티 선언을 읽습니다. 선언이 없으면 null을 반환합니다.
+     * 외부 엔티티(SYSTEM, PUBLIC)는 펼칠 수 없으므로 값이 null이고, 매개변수 엔티티(%)는 무시합니다.
+     */
+    function parseEntityDeclarations(doctype) {
+        var open = doctype.indexOf('[');
+        var close = doctype.lastIndexOf(']');
+        if (open === -1 || close < open) {
+            return null;
+        }
+        var subset = doctype.slice(open + 1, close).replace(/<!--[\s\S]*?-->/g, '');
+        var pattern = /<!ENTITY\s+(%\s+)?([^\s"'>]+)\s+(?:"([^"]*)"|'([^']*)'|[^>]*)>/g;
+        var entities = Object.create(null);
+        var found = false;
+        var match;
+        while ((match = pattern.exec(subset))) {
+            // 같은 이름이 여러 번 선언되면 처음 것이 유효
+            if (!match[1] && !(match[2] in entities)) {
+                entities[match[2]] = match[3] !== undefined ? match[3] : (match[4] !== undefined ? match[4] : null);
+                found = true;
+            }
+        }
+        return found ? entities : null;
+    }
+
+    function findDoctype(tokens) {
+        for (var i = 0; i < tokens.length && tokens[i].type !== 'start'; i++) {
+            if (tokens[i].type === 'doctype') {
+                return tokens[i];
+            }
+        }
+        return null;
+    }
+
+    function entityLimitError(limit) {
+        var error = new Error('Entity expansion exceeds the ' + limit + ' limit');
+        error.entityLimit = limit;
+        return error;
+    }
+
+    /**
+     * DOCTYPE 내부 엔티티의 참조를 텍스트와 속성 값에서 펼치고 DOCTYPE을 제거합니다.
+     * 펼칠 수 없는 참조(외부 엔티티, 선언되지 않은 엔티티)가 남으면 DOCTYPE을 유지합니다.
+     * 제한을 넘으면 경고를 남기고 원본을 그대로 반환합니다.
+     */
+    function expandDoctypeEntities(svg) {
+        var tokens = tokenize(svg);
+        var doctype = findDoctype(tokens);
+        var entities = doctype && parseEntityDeclarations(doctype.raw);
+        if (!entities) {
+            return svg;
+        }
+
+        var expanded = Object.create(null);
+        var expanding = Object.create(null);
+        var used = [];
+        var usedAt = Object.create(null);
+        var unresolved = false;
+        var expansions = 0;
+        var length = 0;
+
+        function replacementOf(name, depth) {
+            if (!(name in expanded)) {
+                if (expanding[name] || depth >= ENTITY_LIMITS.depth) {
+                    throw entityLimitError('depth');
+                }
+                expanding[name] = true;
+                expanded[name] = expand(entities[name], depth + 1, null, null);
+                expanding[name] = false;
+            }
+            return expanded[name];
+        }
+
+        function expand(text, depth, encode, token) {
+            if (text.indexOf('&') === -1) {
+                return text;
+            }
+            return text.replace(/&([A-Za-z_:][\w.:-]*);/g, function (match, name) {
+                if (PREDEFINED_ENTITIES.indexOf(name) !== -1) {
+                    return match;
+                }
+                if (!(name in entities) || entities[name] === null) {
+                    unresolved = true;
+                    return match;
+                }
+                if (++expansions > ENTITY_LIMITS.expansions) {
+                    throw entityLimitError('expansions');
+                }
+                var value = replacementOf(name, depth);
+                length += value.length;
+                if (length > ENTITY_LIMITS.length) {
+                    throw entityLimitError('length');
+                }
+                if (token && used.indexOf(name) === -1) {
+                    used.push(name);
+                    usedAt[name] = token.start;
+                }
+                return encode ? encode(value) : value;
+            });
+        }
+
+        var out = [];
+        var doctypeIndex = -1;
+        try {
+            tokens.forEach(function (token) {
+                if (token === doctype) {
+                    doctypeIndex = out.length;
+                    out.push(token.raw);
+                } else if (token.type === 'text') {
+                    out.push(expand(token.raw, 0, null, token));
+                } else if (token.type === 'start') {
+                    token.attrs.forEach(function (attr) {
+                        if (attr.eq === null) {
+                            return;
+                        }
+                        var value = expand(attr.value, 0, function (text) {
+                            // 펼친 값에 들어 있는 <와 따옴표는 속성 값 안에서 이스케이프
+                            text = text.replace(/</g, '&lt;');
+                            return attr.quote === '\'' ? text.replace(/'/g, '&apos;') : text.replace(/"/g, '&quot;');
+                        }, token);
+                        if (value !== attr.value) {
+                            attr.value = value;
+                            token.dirty = true;
+                        }
+                    });
+                    out.push(serializeToken(token));
+                } else {
+                    out.push(token.raw);
+                }
+            });
+        } catch (error) {
+            if (!error.entityLimit) {
+                throw error;
+            }
+            log('warn', 'entity-limit', { limit: error.entityLimit });
+            return svg;
+        }
+
+        var rewrites = used.map(function (name) {
+            return { type: 'expand-entity', from: '&' + name + ';', to: expanded[name], offset: usedAt[name] };
+        });
+        if (!unresolved) {
+            out[doctypeIndex] = '';
+            rewrites.push({ type: 'remove-doctype', offset: doctype.start });
+        }
+
+        // 토큰마다 출력 위치와 원본 위치 (analyze()가 진단 위치를 원본 기준으로 되돌릴 때 사용)
+        var segments = [];
+        var position = 0;
+        tokens.forEach(function (token, index) {
+            segments.push({ output: position, start: token.start, end: token.end });
+            position += out[index].length;
+        });
+        return { svg: out.join(''), rewrites: rewrites, segments: segments };
+    }
+
+    /**
+     * 펼친 문서의 위치를 원본 위치로 바꾸는 함수를 만듭니다. 펼친 참조 안의 위치는 그 토큰 안으로 맞춥니다.
+     */
+    function createOffsetMapper(segments) {
+        return function (offset) {
+            var low = 0;
+            var high = segments.length - 1;
+            while (low < high) {
+                var mid = (low + high + 1) >> 1;
+                if (segments[mid].output <= offset) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            var segment = segments[low];
+            return segment ? Math.min(segment.start + offset - segment.output, Math.max(segment.start, segment.end - 1)) : offset;
+        };
+    }
+
+    function hasDoctypeEntities(svg) {
+        var start = svg.search(/<!DOCTYPE/i);
+        if (start === -1) {
+            return false;
+        }
+        var end = findDoctypeEnd(svg, start);
+        return parseEntityDeclarations(svg.slice(start, end === -1 ? svg.length : end)) !== null;
+    }
+
+    // detect에서 펼친 결과를 바로 다음 apply가 다시 쓰도록 마지막 한 건만 보관
+    var lastEntityExpansion = null;
+
+    /**
+     * 제한 안에서 엔티티를 펼쳐 문서가 바뀔 때만 true를 반환합니다.
+     * 엔티티 폭탄처럼 제한을 넘는 문서는 apply가 원본을 그대로 반환하므로 고칠 문제로 보지 않습니다.
+     * DOCTYPE이 아직 닫히지 않은 앞부분(스트리밍의 프롤로그 버퍼)이면 전체 문서를 보고 판단하도록 true를 반환합니다.
+     */
+    function detectDoctypeEntities(svg) {
+        lastEntityExpansion = null;
+        if (!hasDoctypeEntities(svg)) {
+            return false;
+        }
+        if (findDoctypeEnd(svg, svg.search(/<!DOCTYPE/i)) === -1) {
+            return true;
+        }
+        var result = expandDoctypeEntities(svg);
+        if (typeof result === 'string' || result.svg === svg) {
+            return false;
+        }
+        lastEntityExpansion = { svg: svg, result: result };
+        return true;
+    }
+
+    function applyDoctypeEntities(svg) {
+        var memo = lastEntityExpansion;
+        lastEntityExpansion = null;
+        return memo && memo.svg === svg ? memo.result : expandDoctypeEntities(svg);
+    }
+
+    defineTransform('doctype-entities', {
+        order: 50,
+        enabled: true,
+        prolog: true,
+        detect: detectDoctypeEntities,
+        apply: applyDoctypeEntities
+    }, true);
+
+    // ------------------------------------------------------------------
+    // 스타일 인라인 패스 (inline-styles)
+    // Illustrator, Figma는 <style>.cls-1{fill:#f00}</style>과 class="cls-1"로 색을 지정하는데
+    // 엔트리 그림판은 <style>을 무시하므로, 단순한 선택자의 규칙을 각 요소에 직접 적어 넣습니다.
+    // ------------------------------------------------------------------
+
+    // SVG 표현 속성으로 쓸 수 있는 CSS 속성 (그 밖의 속성은 style 속성에 씀)
+    var PRESENTATION_ATTRIBUTES = [
+        'alignment-baseline', 'baseline-shift', 'clip', 'clip-path', 'clip-rule', 'color',
+        'color-interpolation', 'color-interpolation-filters', 'color-profile', 'color-rendering',
+        'cursor', 'direction', 'display', 'dominant-baseline', 'enable-background', 'fill',
+        'fill-opacity', 'fill-rule', 'filter', 'flood-color', 'flood-opacity', 'font-family',
+        'font-size', 'font-size-adjust', 'font-stretch', 'font-style', 'font-variant', 'font-weight',
+        'glyph-orientation-horizontal', 'glyph-orientation-vertical', 'image-rendering', 'kerning',
+        'letter-spacing', 'lighting-color', 'marker-end', 'marker-mid', 'marker-start', 'mask',
+        'opacity', 'overflow', 'pointer-events', 'shape-rendering', 'stop-color', 'stop-opacity',
+        'stroke', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin',
+        'stroke-miterlimit', 'stroke-opacity', 'stroke-width', 'text-anchor', 'text-decoration',
+        'text-rendering', 'unicode-bidi', 'visibility', 'word-spacing', 'writing-mode'
+    ];
+
+    // 타입, 클래스, ID만으로 된 선택자 (예: path, .cls-1, #logo, path.cls-1)
+    var SIMPLE_SELECTOR_PATTERN = /^(\*|[A-Za-z][\w-]*)?((?:[.#][A-Za-z_-][\w-]*)*)$/;
+
+    function escapeAttrValue(value) {
+        return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 괄호와 따옴표 밖에 있는 구분자로 문자열을 나눕니다. (url(data:...;base64,...) 보호)
+     */
+    function splitOutside(text, separator) {
+        var parts = [];
+        var depth = 0;
+        var quote = null;
+        var last = 0;
+        for (var i = 0; i < text.length; i++) {
+            var ch = text[i];
+            if (quote) {
+                if (ch === '\\') {
+                    i++;
+                } else if (ch === quote) {
+                    quote = null;
+                }
+            } else if (ch === '"' || ch === '\'') {
+                quote = ch;
+            } else if (ch === '(') {
+                depth++;
+            } else if (ch === ')') {
+                depth = Math.max(0, depth - 1);
+            } else if (ch === separator && depth === 0) {
+                parts.push(text.slice(last, i));
+                last = i + 1;
+            }
+        }
+        parts.push(text.slice(last));
+        return parts;
+    }
+
+    /**
+     * "fill: red; stroke: blue !important" 형식을 선언 배열로 바꿉니다.
+     */
+    function parseDeclarations(text) {
+        var declarations = [];
+        splitOutside(text, ';').forEach(function (part) {
+            var colon = part.indexOf(':');
+            if (colon === -1) {
+                return;
+            }
+            var property = part.slice(0, colon).trim().toLowerCase();
+            var value = part.slice(colon + 1).trim();
+            var important = /!\s*important$/i.test(value);
+            if (important) {
+                value = value.replace(/\s*!\s*important$/i, '');
+            }
+            if (property && value) {
+                declarations.push({ property: property, value: value, important: important });
+            }
+        });
+        return declarations;
+    }
+
+    function serializeDeclarations(declarations) {
+        return declarations.map(function (declaration) {
+            return declaration.property + ':' + declaration.value + (declaration.important ? '!important' : '');
+        }).join(';');
+    }
+
+    function parseSimpleSelector(text) {
+        var match = SIMPLE_SELECTOR_PATTERN.exec(text);
+        if (!match || !text) {
+            return null;
+        }
+        var selector = { type: match[1] && match[1] !== '*' ? match[1] : null, classes: [], ids: [] };
+        (match[2].match(/[.#][^.#]+/g) || []).forEach(function (part) {
+            (part[0] === '.' ? selector.classes : selector.ids).push(part.slice(1));
+        });
+        selector.specificity = selector.ids.length * 10000 + selector.classes.length * 100 + (selector.type ? 1 : 0);
+        return selector;
+    }
+
+    /**
+     * 스타일시트를 규칙 단위로 나눕니다. @규칙과 단순하지 않은 선택자가 있는 규칙은 consumable이 false입니다.
+     * start/end는 css 문자열에서의 위치입니다.
+     */
+    function parseStyleSheet(css) {
+        // 주석은 같은 길이의 공백으로 바꿔서 위치를 유지
+        var text = css.replace(/\/\*[\s\S]*?\*\//g, function (comment) {
+            return comment.replace(/[^\n]/g, ' ');
+        });
+        var rules = [];
+        var pos = 0;
+        while (pos < text.length) {
+            while (pos < text.length && isWhitespace(text[pos])) {
+                pos++;
+            }
+            if (pos >= text.length) {
+                break;
+            }
+            var open = text.indexOf('{', pos);
+            var semicolon = text.indexOf(';', pos);
+            if (text[pos] === '@' && semicolon !== -1 && (open === -1 || semicolon < open)) {
+                // @import, @charset 등 블록 없는 @규칙
+                rules.push({ consumable: false, start: pos, end: semicolon + 1 });
+                pos = semicolon + 1;
+                continue;
+            }
+            if (open === -1) {
+                break;
+            }
+            var end = open + 1;
+            for (var depth = 1; end < text.length && depth > 0; end++) {
+                if (text[end] === '{') {
+                    depth++;
+                } else if (text[end] === '}') {
+                    depth--;
+                }
+            }
+            var selectorText = text.slice(pos, open).trim();
+            var selectors = text[pos] === '@' ? [null] : selectorText.split(',').map(function (part) {
+                return parseSimpleSelector(part.trim());
+            });
+            var consumable = selectors.every(function (selector) {
+                return selector !== null;
+            });
+            rules.push({
+                consumable: consumable,
+                selectorText: selectorText,
+                selectors: consumable ? selectors : null,
+                declarations: consumable ? parseDeclarations(text.slice(open + 1, end - 1)) : null,
+                body: text.slice(open + 1, end - 1),
+                start: pos,
+                end: end
+            });
+            pos = end;
+        }
+        return rules;
+    }
+
+    /**
+     * <style> 요소를 찾아 내용을 읽습니다. type이 text/css가 아니거나 media가 있는 블록,
+     * 내용에 요소가 들어 있는 블록은 건드리지 않습니다.
+     */
+    function findStyleBlocks(tokens) {
+        var blocks = [];
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            if (token.type !== 'start' || token.selfClosing || splitQName(token.name).local !== 'style') {
+                continue;
+            }
+            var type = getAttr(token, 'type');
+            if ((type !== null && !/^\s*(text\/css)?\s*$/i.test(type)) || getAttr(token, 'media') !== null) {
+                continue;
+            }
+            var parts = [];
+            var cdata = false;
+            var j = i + 1;
+            for (; j < tokens.length && tokens[j].type !== 'end'; j++) {
+                if (tokens[j].type === 'text') {
+                    parts.push(decodeAttrValue(tokens[j].raw));
+                } else if (tokens[j].type === 'cdata') {
+                    parts.push(tokens[j].raw.slice(9, -3));
+                    cdata = true;
+                } else if (tokens[j].type !== 'comment') {
+                    break;
+                }
+            }
+            if (j < tokens.length && tokens[j].type === 'end' && tokens[j].name === token.name) {
+                blocks.push({ start: i, end: j, css: parts.join(''), cdata: cdata, rules: parseStyleSheet(parts.join('')) });
+            }
+            i = j;
+        }
+        return blocks;
+    }
+
+    function getAttr(token, name) {
+        for (var i = 0; i < token.attrs.length; i++) {
+            if (token.attrs[i].name === name) {
+                return token.attrs[i].eq === null ? '' : decodeAttrValue(token.attrs[i].value);
+            }
+        }
+        return null;
+    }
+
+    function setAttr(token, name, value) {
+        var escaped = escapeAttrValue(value);
+        for (var i = 0; i < token.attrs.length; i++) {
+            if (token.attrs[i].name === name) {
+                token.attrs[i].eq = '=';
+                token.attrs[i].quote = '"';
+                token.attrs[i].value = escaped;
+                token.dirty = true;
+                return;
+            }
+        }
+        token.attrs.push({ ws: ' ', name: name, eq: '=', quote: '"', value: escaped, start: token.start });
+        token.dirty = true;
+    }
+
+    function matchesSelector(selector, name, classes, id) {
+        if (selector.type && selector.type !== name) {
+            return false;
+        }
+        for (var i = 0; i < selector.ids.length; i++) {
+            if (selector.ids[i] !== id) {
+                return false;
+            }
+        }
+        for (i = 0; i < selector.classes.length; i++) {
+            if (classes.indexOf(selector.classes[i]) === -1) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 요소 하나에 적용되는 규칙의 선언을 속성별로 계산합니다. (!important, 명시도, 순서 순)
+     */
+    function cascadeDeclarations(token, rules) {
+        var name = splitQName(token.name).local;
+        var classAttr = getAttr(token, 'class');
+        var classes = classAttr ? classAttr.split(/\s+/) : [];
+        var id = getAttr(token, 'id');
+        var winners = {};
+
+        rules.forEach(function (rule) {
+            var specificity = -1;
+            rule.selectors.forEach(function (selector) {
+                if (selector.specificity > specificity && matchesSelector(selector, name, classes, id)) {
+                    specificity = selector.specificity;
+                }
+            });
+            if (specificity === -1) {
+                return;
+            }
+            rule.declarations.forEach(function (declaration) {
+                var current = winners[declaration.property];
+                if (!current || (declaration.important && !current.declaration.important) ||
+                    (declaration.important === current.declaration.important && specificity >= current.specificity)) {
+                    winners[declaration.property] = { declaration: declaration, specificity: specificity, rule: rule };
+                }
+            });
+        });
+        return winners;
+    }
+
+    /**
+     * 단순하지 않은 규칙(@규칙 포함)이 선언하는 속성 이름. 선택자의 :hover 등도 섞일 수 있지만
+     * 옮기지 않을 규칙을 넉넉하게 고르는 데만 쓰므로 문제없습니다.
+     */
+    function collectKeptProperties(blocks) {
+        var properties = Object.create(null);
+        blocks.forEach(function (block) {
+            block.rules.forEach(function (rule) {
+                var pattern = /(?:^|[;{\s])(-?[A-Za-z][\w-]*)\s*:/g;
+                var match;
+                while (!rule.consumable && rule.body && (match = pattern.exec(rule.body))) {
+                    properties[match[1].toLowerCase()] = true;
+                }
+            });
+        });
+        return properties;
+    }
+
+    /**
+     * 단순한 선택자로 된 <style> 규칙을 각 요소의 표현 속성으로 옮기고(표현 속성이 없는 CSS 속성은 style 속성),
+     * 옮긴 규칙을 스타일시트에서 제거합니다. 남는 규칙이 없으면 <style> 요소도 제거합니다.
+     *
+     * 표현 속성은 모든 스타일시트 규칙보다 우선순위가 낮으므로, 남는 규칙이 같은 CSS 속성을 선언하면
+     * 그 속성을 선언한 단순한 규칙은 옮기지 않고 그대로 둡니다. 그래서 옮긴 값은 남는 규칙과 겨루지 않습니다.
+     */
+    function inlineStyles(svg) {
+        var tokens = tokenize(svg);
+        var blocks = findStyleBlocks(tokens);
+        var keptProperties = collectKeptProperties(blocks);
+        var rules = [];
+        blocks.forEach(function (block) {
+            block.rules.forEach(function (rule) {
+                if (rule.consumable) {
+                    rule.consumed = true;
+                    rules.push(rule);
+                }
+            });
+        });
+        // 남겨 둔 단순한 규칙의 속성도 남는 규칙과 겨루게 되므로, 더 남길 규칙이 없을 때까지 반복
+        var changed = true;
+        while (changed) {
+            changed = false;
+            rules.forEach(function (rule) {
+                var conflicts = rule.consumed && rule.declarations.some(function (declaration) {
+                    return keptProperties[declaration.property];
+                });
+                if (conflicts) {
+                    rule.consumed = false;
+                    rule.declarations.forEach(function (declaration) {
+                        keptProperties[declaration.property] = true;
+                    });
+                    changed = true;
+                }
+            });
+        }
+        if (!rules.some(function (rule) { return rule.consumed; })) {
+            return svg;
+        }
+
+        var rewrites = [];
+        var inStyle = {};
+        blocks.forEach(function (block) {
+            for (var k = block.start; k <= block.end; k++) {
+                inStyle[k] = true;
+            }
+        });
+
+        tokens.forEach(function (token, index) {
+            if (token.type !== 'start' || inStyle[index]) {
+                return;
+            }
+            var winners = cascadeDeclarations(token, rules);
+            var properties = Object.keys(winners);
+            if (properties.length === 0) {
+                return;
+            }
+            var styleAttr = getAttr(token, 'style');
+            var inline = styleAttr ? parseDeclarations(styleAttr) : [];
+            var inlineChanged = false;
+            var applied = [];
+
+            properties.forEach(function (property) {
+                // 이기는 선언이 남겨 둘 규칙에 있으면 스타일시트가 계속 적용하도록 둠
+                if (!winners[property].rule.consumed) {
+                    return;
+                }
+                var declaration = winners[property].declaration;
+                var existing = null;
+                for (var i = 0; i < inline.length; i++) {
+                    if (inline[i].property === property) {
+                        existing = inline[i];
+                    }
+                }
+                if (existing) {
+                    // style 속성이 이기고, !important 규칙만 style 속성을 덮어씀
+                    if (existing.important || !declaration.important) {
+                        return;
+                    }
+                    existing.value = declaration.value;
+                    inlineChanged = true;
+                } else if (PRESENTATION_ATTRIBUTES.indexOf(property) !== -1) {
+                    setAttr(token, property, declaration.value);
+                } else {
+                    inline.push({ property: property, value: declaration.value, important: false });
+                    inlineChanged = true;
+                }
+                applied.push(property + ':' + declaration.value);
+            });
+
+            if (inlineChanged) {
+                setAttr(token, 'style', serializeDeclarations(inline));
+            }
+            if (applied.length > 0) {
+                rewrites.push({ type: 'inline-style', element: token.name, to: applied.join(';'), offset: token.start });
+            }
+        });
+
+        // 옮긴 규칙을 스타일시트에서 제거
+        var out = [];
+        var blockAt = {};
+        blocks.forEach(function (block) {
+            blockAt[block.start] = block;
+        });
+        for (var i = 0; i < tokens.length; i++) {
+            var block = blockAt[i];
+            if (!block) {
+                out.push(serializeToken(tokens[i]));
+                continue;
+            }
+            var remaining = '';
+            var last = 0;
+            block.rules.forEach(function (rule) {
+                if (rule.consumed) {
+                    remaining += block.css.slice(last, rule.start);
+                    last = rule.end;
+                    rewrites.push({ type: 'remove-style-rule', element: 'style', from: rule.selectorText, offset: tokens[block.start].start });
+                }
+            });
+            remaining += block.css.slice(last);
+
+            if (block.rules.every(function (rule) { return rule.consumed; })) {
+                rewrites.push({ type: 'remove-element', element: tokens[block.start].name, offset: tokens[block.start].start });
+            } else {
+                out.push(serializeToken(tokens[block.start]));
+                out.push(block.cdata ? '<![CDATA[' + remaining + ']]>' : remaining.replace(/&/g, '&amp;').replace(/</g, '&lt;'));
+                out.push(serializeToken(tokens[block.end]));
+            }
+            i = block.end;
+        }
+        return { svg: out.join(''), rewrites: rewrites };
+    }
+
+    defineTransform('inline-styles', {
+        order: 140,
+        enabled: function (options) {
+            return !!options.inlineStyles;
+        },
+        detect: function (svg) {
+            return /<(?:[\w.-]+:)?style[\s>]/.test(svg);
+        },
+        apply: inlineStyles
+    }, true);
+
+    // ------------------------------------------------------------------
+    // 크기 정규화 패스 (normalize-size)
+    // width="210mm", width="100%"처럼 단위가 있거나 viewBox가 없는 SVG는 모양 탭에서
+    // 크기가 잘못되거나 0으로 불러와지므로, 루트 <svg>의 width/height/viewBox를 px 기준으로 맞춥니다.
+    // ------------------------------------------------------------------
+
+    // 단위 -> px 배율 (CSS 기준 1in = 96px, em/ex는 기본 글꼴 크기 16px 기준)
+    var UNIT_TO_PX = {
+        '': 1,
+        px: 1,
+        pt: 4 / 3,
+        pc: 16,
+        'in': 96,
+        cm: 96 / 2.54,
+        mm: 96 / 25.4,
+        q: 96 / 101.6,
+        em: 16,
+        ex: 8
+    };
+
+    var LENGTH_PATTERN = /^\s*([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*([a-z]*|%)\s*$/i;
+
+    /**
+     * 소수점 아래 digits자리(기본 3)에서 반올림한 숫자 문자열
+     */
+    function formatNumber(value, digits) {
+        var scale = Math.pow(10, digits === undefined ? 3 : digits);
+        return String(Math.round(value * scale) / scale);
+    }
+
+    /**
+     * 길이 값을 px로 바꿉니다. 백분율은 기준 길이에 대해 계산하며, 해석할 수 없으면 NaN을 반환합니다.
+     */
+    function lengthToPx(value, reference) {
+        var match = value === null ? null : LENGTH_PATTERN.exec(value);
+        if (!match) {
+            return NaN;
+        }
+        var number = parseFloat(match[1]);
+        var unit = match[2].toLowerCase();
+        return unit === '%' ? number / 100 * reference : (UNIT_TO_PX.hasOwnProperty(unit) ? number * UNIT_TO_PX[unit] : NaN);
+    }
+
+    /**
+     * 크기 값을 px로 바꿉니다. 해석할 수 없거나 0 이하이면 null을 반환합니다.
+     */
+    function parseLength(value, reference) {
+        var px = lengthToPx(value, reference);
+        return px > 0 && isFinite(px) ? px : null;
+    }
+
+    function parseViewBox(value) {
+        var parts = value === null ? [] : value.trim().split(/[\s,]+/).map(Number);
+        if (parts.length !== 4 || !parts.every(isFinite) || !(parts[2] > 0) || !(parts[3] > 0)) {
+            return null;
+        }
+        return parts;
+    }
+
+    /**
+     * 루트 <svg>에 필요한 변경을 계산합니다. 바꿀 것이 없으면 빈 배열을 반환합니다.
+     * @returns {Array<{name: string, from: (string|null), to: string}>}
+     */
+    function planSize(token, options) {
+        var canvas = options.defaultCanvas;
+        var width = getAttr(token, 'width');
+        var height = getAttr(token, 'height');
+        var viewBoxValue = getAttr(token, 'viewBox');
+        var viewBox = parseViewBox(viewBoxValue);
+        var w = parseLength(width, canvas.width);
+        var h = parseLength(height, canvas.height);
+        var changes = [];
+
+        if (viewBox) {
+            // viewBox의 비율로 빠진 크기를 채움
+            if (w === null && h === null) {
+                w = viewBox[2];
+                h = viewBox[3];
+            } else if (w === null) {
+                w = h * viewBox[2] / viewBox[3];
+            } else if (h === null) {
+                h = w * viewBox[3] / viewBox[2];
+            }
+        } else {
+            // viewBox가 없으면 사용자 단위가 px이므로 크기에서 viewBox를 만듦
+            if (w === null) {
+                w = canvas.width;
+            }
+            if (h === null) {
+                h = canvas.height;
+            }
+            changes.push({ name: 'viewBox', from: viewBoxValue, to: '0 0 ' + formatNumber(w) + ' ' + formatNumber(h) });
+        }
+
+        if (width !== formatNumber(w)) {
+            changes.push({ name: 'width', from: width, to: formatNumber(w) });
+        }
+        if (height !== formatNumber(h)) {
+            changes.push({ name: 'height', from: height, to: formatNumber(h) });
+        }
+        return changes;
+    }
+
+    function findRootElement(tokens) {
+        for (var i = 0; i < tokens.length; i++) {
+            if (tokens[i].type === 'start') {
+                return splitQName(tokens[i].name).local === 'svg' ? tokens[i] : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 루트 <svg>의 width/height를 px 숫자로 바꾸고, 빠진 viewBox나 크기를 채웁니다.
+     */
+    function normalizeSize(svg, options) {
+        var root = findRootElement(tokenize(svg));
+        var changes = root ? planSize(root, options) : [];
+        if (changes.length === 0) {
+            return svg;
+        }
+        var rewrites = changes.map(function (change) {
+            setAttr(root, change.name, change.to);
+            return {
+                type: change.from === null ? 'add-size' : 'convert-size',
+                element: root.name,
+                from: change.from === null ? null : change.name + '="' + change.from + '"',
+                to: change.name + '="' + change.to + '"',
+                offset: root.start
+            };
+        });
+        return { svg: svg.slice(0, root.start) + serializeToken(root) + svg.slice(root.end), rewrites: rewrites };
+    }
+
+    defineTransform('normalize-size', {
+        order: 150,
+        enabled: function (options) {
+            return !!options.normalizeSize;
+        },
+        detect: function (svg, options) {
+            var root = findRootElement(tokenize(svg));
+            return !!root && planSize(root, options).length > 0;
+        },
+        apply: normalizeSize
+    }, true);
+
+    // ------------------------------------------------------------------
+    // 편집기 데이터 정리 패스 (cleanup)
+    // Inkscape, Illustrator 등이 남기는 비렌더링 네임스페이스의 요소/속성, <metadata>,
+    // 편집기 주석, 편집기 속성 말고는 속성이 없는 빈 그룹을 제거합니다. 렌더링에 영향을 주는 내용은 건드리지 않습니다.
+    // ------------------------------------------------------------------
+
+    // 렌더링에 쓰이지 않는 편집기 전용 네임스페이스
+    var EDITOR_NAMESPACES = [
+        'http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd',
+        'http://www.inkscape.org/namespaces/inkscape',
+        'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+        'http://purl.org/dc/elements/1.1/',
+        'http://creativecommons.org/ns#',
+        'http://ns.adobe.com/AdobeIllustrator/10.0/',
+        'http://ns.adobe.com/Extensibility/1.0/',
+        'http://ns.adobe.com/Graphs/1.0/',
+        'http://ns.adobe.com/Variables/1.0/',
+        'http://ns.adobe.com/ImageReplacement/1.0/',
+        'http://ns.adobe.com/SaveForWeb/1.0/',
+        'http://ns.adobe.com/GenericCustomNamespace/1.0/',
+        'http://ns.adobe.com/XPath/1.0/',
+        'adobe:ns:meta/',
+        'http://www.bohemiancoding.com/sketch/ns',
+        'http://www.serif.com/'
+    ];
+
+    // 편집기가 남기는 주석 (<!-- Generator: Adobe Illustrator ... -->, <!-- Created with Inkscape ... -->)
+    var EDITOR_COMMENT_PATTERN = /Generator:|Created with|Adobe Illustrator|Inkscape|Sketch|Figma|SVG Export Plug-In|Affinity|CorelDRAW/i;
+
+    function isEditorNamespace(uri) {
+        return EDITOR_NAMESPACES.indexOf(uri) !== -1;
+    }
+
+    /**
+     * 접두사가 가리키는 URI. 선언되지 않은 표준 접두사(sodipodi: 등)는 편집기 네임스페이스 규칙에서 찾습니다.
+     * 전략과 관계없이 판단하므로 findRuleByPrefix() 대신 namespaceRules를 직접 봅니다.
+     */
+    function resolveCleanupPrefix(frame, prefix) {
+        if (prefix in frame.prefixes) {
+            return frame.prefixes[prefix];
+        }
+        for (var i = 0; i < EDITOR_NAMESPACES.length; i++) {
+            var rule = namespaceRules[EDITOR_NAMESPACES[i]];
+            if (rule && rule.prefix === prefix) {
+                return EDITOR_NAMESPACES[i];
+            }
+        }
+        return null;
+    }
+
+    function isRemovableElement(token, frame) {
+        var qname = splitQName(token.name);
+        var uri = qname.prefix ? resolveCleanupPrefix(frame, qname.prefix) : frame.defaultUri;
+        if (isEditorNamespace(uri)) {
+            return true;
+        }
+        if (uri !== SVG_NS && uri !== '') {
+            return false;
+        }
+        // Illustrator가 원본 데이터를 담는 <foreignObject requiredExtensions="...AdobeIllustrator...">
+        return qname.local === 'metadata' ||
+            (qname.local === 'foreignObject' && isEditorNamespace(getAttr(token, 'requiredExtensions')));
+    }
+
+    /**
+     * 편집기 네임스페이스의 속성과 그 선언을 제거하고 변경 내역을 rewrites에 추가합니다.
+     */
+    function stripEditorAttributes(token, frame, rewrites) {
+        for (var i = 0; i < token.attrs.length; i++) {
+            var attr = token.attrs[i];
+            var qname = splitQName(attr.name);
+            var uri;
+            if (qname.prefix === 'xmlns') {
+                uri = decodeAttrValue(attr.value);
+            } else if (qname.prefix) {
+                uri = resolveCleanupPrefix(frame, qname.prefix);
+            }
+            if (!qname.prefix || !isEditorNamespace(uri)) {
+                continue;
+            }
+            var raw = attr.ws + attr.name + (attr.eq === null ? '' : attr.eq + attr.quote + attr.value + attr.quote);
+            token.attrs.splice(i, 1);
+            i--;
+            token.dirty = true;
+            rewrites.push({
+                type: qname.prefix === 'xmlns' ? 'remove-declaration' : 'remove-attribute',
+                element: token.name,
+                from: attr.name,
+                uri: uri,
+                offset: token.start,
+                bytes: utf8Length(raw)
+            });
+        }
+    }
+
+    /**
+     * 편집기 속성과 네임스페이스 선언을 빼고도 남는 속성이 있는지 확인합니다.
+     * id나 transform 등이 있는 빈 그룹은 <use>가 참조하거나 렌더링에 영향을 줄 수 있으므로 남깁니다.
+     */
+    function hasKeptAttributes(token, frame) {
+        return token.attrs.some(function (attr) {
+            var prefix = splitQName(attr.name).prefix;
+            if (attr.name === 'xmlns' || prefix === 'xmlns') {
+                return false;
+            }
+            return !prefix || !isEditorNamespace(resolveCleanupPrefix(frame, prefix));
+        });
+    }
+
+    /**
+     * 편집기 데이터를 제거합니다. 제거한 항목마다 bytes(UTF-8 바이트 수)를 기록합니다.
+     */
+    function cleanupDocument(svg) {
+        var tokens = tokenize(svg);
+        var out = [];
+        var rewrites = [];
+        var rootPrefixes = Object.create(null);
+        rootPrefixes.xml = XML_NS;
+        var stack = [{ prefixes: rootPrefixes, defaultUri: '', group: false, hasContent: true }];
+        var skipDepth = 0;
+        var skipped = null;
+
+        function removed(type, token, raw) {
+            rewrites.push({ type: type, element: token.name || null, offset: token.start, bytes: utf8Length(raw) });
+        }
+
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            var parent = stack[stack.length - 1];
+
+            if (skipDepth > 0) {
+                if (token.type === 'start' && !token.selfClosing) {
+                    skipDepth++;
+                } else if (token.type === 'end') {
+                    skipDepth--;
+                }
+                if (skipDepth === 0) {
+                    removed('remove-element', skipped, svg.slice(skipped.start, token.end));
+                }
+                continue;
+            }
+
+            if (token.type === 'start') {
+                var frame = {
+                    prefixes: Object.create(parent.prefixes),
+                    defaultUri: parent.defaultUri,
+                    name: token.name,
+                    index: out.length,
+                    group: false,
+                    hasContent: false
+                };
+                token.attrs.forEach(function (attr) {
+                    if (attr.name === 'xmlns') {
+                        frame.defaultUri = decodeAttrValue(attr.value);
+                    } else if (attr.name.indexOf('xmlns:') === 0) {
+                        frame.prefixes[attr.name.slice(6)] = decodeAttrValue(attr.value);
+                    }
+                });
+                if (stack.length === 1 && frame.defaultUri === '' && splitQName(token.name).local === 'svg') {
+                    frame.defaultUri = SVG_NS;
+                }
+                // 편집기 속성 말고 다른 속성이 없는 그룹만 비었을 때 제거
+                frame.group = splitQName(token.name).local === 'g' && !hasKeptAttributes(token, frame);
+                if (isRemovableElement(token, frame) || (frame.group && token.selfClosing)) {
+                    if (token.selfClosing) {
+                        removed('remove-element', token, token.raw);
+                    } else {
+                        skipDepth = 1;
+                        skipped = token;
+                    }
+                    continue;
+                }
+                stripEditorAttributes(token, frame, rewrites);
+                out.push(serializeToken(token));
+                if (token.selfClosing) {
+                    parent.hasContent = true;
+                } else {
+                    stack.push(frame);
+                }
+            } else if (token.type === 'end') {
+                out.push(serializeToken(token));
+                // 짝이 맞는 시작 태그까지 되감음 (닫히지 않은 요소 허용)
+                for (var j = stack.length - 1; j > 0; j--) {
+                    if (stack[j].name === token.name) {
+                        var closed = stack[j];
+                        stack.length = j;
+                        if (closed.group && !closed.hasContent) {
+                            removed('remove-element', { name: closed.name, start: tokens[i].start }, out.splice(closed.index).join(''));
+                        } else {
+                            stack[j - 1].hasContent = true;
+                        }
+                        break;
+                    }
+                }
+            } else if (token.type === 'comment' && EDITOR_COMMENT_PATTERN.test(token.raw)) {
+                removed('remove-comment', token, token.raw);
+            } else {
+                if (token.type !== 'comment' && (token.type !== 'text' || /\S/.test(token.raw))) {
+                    parent.hasContent = true;
+                }
+                out.push(token.raw);
+            }
+        }
+
+        if (rewrites.length === 0) {
+            return svg;
+        }
+        return { svg: out.join(''), rewrites: rewrites };
+    }
+
+    defineTransform('cleanup', {
+        order: 160,
+        enabled: function (options) {
+            return !!options.cleanup;
+        },
+        apply: cleanupDocument
+    }, true);
+
+    // ------------------------------------------------------------------
+    // <use> 펼치기 패스 (expand-use)
+    // 엔트리 벡터 편집기는 <symbol>이나 <defs>를 가리키는 <use>를 제대로 다루지 못하므로
+    // 각 <use>를 참조 대상의 복사본으로 바꾸고 x/y, width/height, symbol의 viewBox를 transform으로 옮깁니다.
+    // 중첩된 <svg>를 참조하면 <use>의 width/height를 복사본의 width/height로 씁니다.
+    // 심볼 영역 밖을 자르는 효과(overflow)는 옮기지 않습니다.
+    // ------------------------------------------------------------------
+
+    // 중첩된 <use>를 펼칠 최대 깊이와 문서 하나에서 펼칠 최대 횟수 (복사본이 기하급수적으로 늘어나는 것 방지)
+    var MAX_USE_DEPTH = 16;
+    var MAX_USE_EXPANSIONS = 2000;
+
+    // <g>로 옮기지 않는 <use> 속성 (transform은 위치와 합쳐서 따로 씀)
+    var USE_GEOMETRY_ATTRIBUTES = ['x', 'y', 'width', 'height', 'transform'];
+    // 복사본의 <g>로 옮기지 않는 <symbol> 속성
+    var SYMBOL_VIEWPORT_ATTRIBUTES = ['id', 'x', 'y', 'width', 'height', 'viewBox', 'preserveAspectRatio', 'refX', 'refY'];
+
+    function getHref(token) {
+        for (var i = 0; i < token.attrs.length; i++) {
+            if (splitQName(token.attrs[i].name).local === 'href' && token.attrs[i].eq !== null) {
+                return decodeAttrValue(token.attrs[i].value).trim();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 요소마다 짝이 되는 닫는 태그의 인덱스와 id 목록을 만듭니다.
+     */
+    function indexElements(tokens) {
+        var ends = {};
+        var ids = Object.create(null);
+        var open = [];
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            if (token.type === 'start') {
+                var id = getAttr(token, 'id');
+                if (id && !(id in ids)) {
+                    ids[id] = i;
+                }
+                if (token.selfClosing) {
+                    ends[i] = i;
+                } else {
+                    open.push(i);
+                }
+            } else if (token.type === 'end') {
+                for (var j = open.length - 1; j >= 0; j--) {
+                    if (tokens[open[j]].name === token.name) {
+                        while (open.length > j) {
+                            ends[open.pop()] = i;
+                        }
+                        break;
+                    }
+                }
+            }
+        }
+        while (open.length > 0) {
+            ends[open.pop()] = tokens.length - 1;
+        }
+        return { ends: ends, ids: ids };
+    }
+
+    /**
+     * symbol의 viewBox를 <use>의 영역에 맞추는 transform (preserveAspectRatio 적용)
+     */
+    function viewBoxTransform(viewBox, width, height, aspect) {
+        var sx = width / viewBox[2];
+        var sy = height / viewBox[3];
+        var tx = 0;
+        var ty = 0;
+        var match = /^\s*(none|x(Min|Mid|Max)Y(Min|Mid|Max))(?:\s+(meet|slice))?\s*$/.exec(aspect || '') ||
+            [null, 'xMidYMid', 'Mid', 'Mid', 'meet'];
+        if (match[1] !== 'none') {
+            sx = sy = match[4] === 'slice' ? Math.max(sx, sy) : Math.min(sx, sy);
+            var factor = { Min: 0, Mid: 0.5, Max: 1 };
+            tx = (width - viewBox[2] * sx) * factor[match[2]];
+            ty = (height - viewBox[3] * sy) * factor[match[3]];
+        }
+        return { tx: tx, ty: ty, sx: sx, sy: sy };
+    }
+
+    function cloneStartTag(token, name, keep) {
+        return {
+            type: 'start',
+            name: name,
+            attrs: token.attrs.filter(keep),
+            tail: token.tail,
+            selfClosing: token.selfClosing,
+            dirty: true
+        };
+    }
+
+    function isNotId(attr) {
+        return attr.name !== 'id';
+    }
+
+    /**
+     * 모든 <use>를 참조 대상의 복사본으로 바꿉니다.
+     * 복사본에서는 id를 지워 id가 중복되지 않게 하고, 복사본 안의 url(#id) 참조는 원본을 가리키게 둡니다.
+     * 문서 밖을 가리키거나 대상이 없는 <use>는 그대로 두고, 자기 자신을 참조하는 <use>는 제거합니다.
+     */
+    function expandUses(svg, options) {
+        var tokens = tokenize(svg);
+        var index = indexElements(tokens);
+        var rewrites = [];
+        var expansions = 0;
+
+        function render(from, to, chain, isClone) {
+            var out = '';
+            for (var i = from; i <= to; i++) {
+                var token = tokens[i];
+                if (token.type === 'start' && splitQName(token.name).local === 'use') {
+                    out += expand(i, chain, isClone);
+                    i = index.ends[i];
+                } else {
+                    out += copy(i, isClone);
+                }
+            }
+            return out;
+        }
+
+        function copy(i, isClone) {
+            var token = tokens[i];
+            if (isClone && token.type === 'start' && getAttr(token, 'id') !== null) {
+                return serializeToken(cloneStartTag(token, token.name, isNotId));
+            }
+            return serializeToken(token);
+        }
+
+        function expand(useIndex, chain, isClone) {
+            var use = tokens[useIndex];
+            var href = getHref(use);
+            var id = href && href[0] === '#' ? href.slice(1) : null;
+            var target = id === null ? undefined : index.ids[id];
+            if (target === undefined || chain.length >= MAX_USE_DEPTH || expansions >= MAX_USE_EXPANSIONS) {
+                var kept = '';
+                for (var i = useIndex; i <= index.ends[useIndex]; i++) {
+                    kept += copy(i, isClone);
+                }
+                return kept;
+            }
+            var targetEnd = index.ends[target];
+            if (chain.indexOf(target) !== -1 || (target <= useIndex && useIndex <= targetEnd)) {
+                rewrites.push({ type: 'remove-element', element: use.name, from: href, offset: use.start });
+                return '';
+            }
+            expansions++;
+
+            var prefix = splitQName(use.name).prefix;
+            var groupName = prefix ? prefix + ':g' : 'g';
+            var targetToken = tokens[target];
+            var canvas = options.defaultCanvas;
+            var x = lengthToPx(getAttr(use, 'x'), canvas.width) || 0;
+            var y = lengthToPx(getAttr(use, 'y'), canvas.height) || 0;
+            var transform = [];
+            if (getAttr(use, 'transform')) {
+                transform.push(getAttr(use, 'transform').trim());
+            }
+
+            var content;
+            var inner = null;
+            var nextChain = chain.concat(target);
+            if (splitQName(targetToken.name).local === 'symbol') {
+                var viewBox = parseViewBox(getAttr(targetToken, 'viewBox'));
+                if (viewBox) {
+                    var width = parseLength(getAttr(use, 'width'), canvas.width) ||
+                        parseLength(getAttr(targetToken, 'width'), canvas.width) || viewBox[2];
+                    var height = parseLength(getAttr(use, 'height'), canvas.height) ||
+                        parseLength(getAttr(targetToken, 'height'), canvas.height) || viewBox[3];
+                    var fit = viewBoxTransform(viewBox, width, height, getAttr(targetToken, 'preserveAspectRatio'));
+                    x += fit.tx;
+                    y += fit.ty;
+                    if (fit.sx !== 1 || fit.sy !== 1) {
+                        transform.push('scale(' + formatNumber(fit.sx, 6) +
+                            (fit.sx === fit.sy ? '' : ' ' + formatNumber(fit.sy, 6)) + ')');
+                    }
+                    if (viewBox[0] !== 0 || viewBox[1] !== 0) {
+                        transform.push('translate(' + formatNumber(-viewBox[0], 6) + ' ' + formatNumber(-viewBox[1], 6) + ')');
+                    }
+                }
+                content = targetToken.selfClosing ? '' : render(target + 1, index.ends[target] - 1, nextChain, true);
+                inner = cloneStartTag(targetToken, groupName, function (attr) {
+                    return SYMBOL_VIEWPORT_ATTRIBUTES.indexOf(attr.name) === -1;
+                });
+                inner.selfClosing = false;
+            } else if (splitQName(targetToken.name).local === 'svg') {
+                // 중첩된 <svg>는 <use>의 width/height가 자신의 width/height를 대신함
+                var size = ['width', 'height'].filter(function (name) {
+                    var value = getAttr(use, name);
+                    return value !== null && value.trim() !== '' && value.trim() !== 'auto';
+                });
+                var viewport = cloneStartTag(targetToken, targetToken.name, function (attr) {
+                    return attr.name !== 'id' && size.indexOf(attr.name) === -1;
+                });
+                size.forEach(function (name) {
+                    setAttr(viewport, name, getAttr(use, name).trim());
+                });
+                content = serializeToken(viewport) +
+                    (targetToken.selfClosing ? '' : render(target + 1, index.ends[target], nextChain, true));
+            } else {
+                content = render(target, index.ends[target], nextChain, true);
+            }
+            if (x !== 0 || y !== 0) {
+                // use의 transform 뒤, viewBox 변환 앞에 적용
+                transform.splice(getAttr(use, 'transform') ? 1 : 0, 0,
+                    'translate(' + formatNumber(x, 6) + ' ' + formatNumber(y, 6) + ')');
+            }
+
+            var group = cloneStartTag(use, groupName, function (attr) {
+                var qname = splitQName(attr.name);
+                return qname.local !== 'href' && USE_GEOMETRY_ATTRIBUTES.indexOf(attr.name) === -1 &&
+                    !(isClone && attr.name === 'id');
+            });
+            group.selfClosing = false;
+            if (transform.length > 0) {
+                group.attrs.push({ ws: ' ', name: 'transform', eq: '=', quote: '"', value: escapeAttrValue(transform.join(' ')) });
+            }
+            if (inner && inner.attrs.length > 0) {
+                content = serializeToken(inner) + content + '</' + groupName + '>';
+            }
+            rewrites.push({ type: 'expand-use', element: use.name, from: href, to: groupName, offset: use.start });
+            return serializeToken(group) + content + '</' + groupName + '>';
+        }
+
+        var output = render(0, tokens.length - 1, [], false);
+        return rewrites.length > 0 ? { svg: output, rewrites: rewrites } : svg;
+    }
+
+    defineTransform('expand-use', {
+        order: 170,
+        enabled: function (options) {
+            return !!options.expandUse;
+        },
+        detect: function (svg) {
+            return /<(?:[\w.-]+:)?use[\s\/>]/.test(svg);
+        },
+        apply: expandUses
+    }, true);
+
+    /**
+     * 기본 옵션. normalize(), hasIssue(), analyze()에 옵션을 생략하면 이 값을 사용하며,
+     * 자동 패치(fetch, XHR, EntryPaint)도 이 값을 따릅니다.
+     *
+     * @example
+     * SvgNamespaceNormalizer.defaults.strategy = 'xlink-only';
+     */
+    SvgNamespaceNormalizer.defaults = {
+        strategy: 'auto',
+        collapseWhitespace: false,
+        // fetch 패치에서 응답 본문을 스트리밍으로 정규화 (TransformStream 지원 시)
+        streaming: true,
+        // 자동 패치에서 이 길이(문자 수) 이상인 SVG는 normalizeAsync()로 워커에서 정규화
+        asyncThreshold: 256 * 1024,
+        // 속성 값에 포함된 SVG Data URL을 정규화할 최대 깊이 (0이면 포함된 SVG는 그대로 둠)
+        nestedDepth: 3,
+        // 보고 전용 모드: 자동 패치가 원본을 그대로 전달하고 바뀌었을 내용만 기록 (getReport 참고)
+        reportOnly: false,
+        // install() 시 HTMLImageElement.src 설정도 가로채서 SVG Data URL을 정규화
+        patchImageSrc: false,
+        // fetch/XHR로 보내는 본문의 SVG(문자열, SVG Blob/File, FormData의 SVG 파일)도 정규화
+        normalizeUploads: true,
+        // 같은 입력의 정규화 결과를 캐시에서 재사용 (켜면 호출마다 입력 전체를 해시함, configureCache 참고)
+        cache: false,
+        // fetchAndNormalize()와 패치된 addSVG에서 SVG 옆의 이미지 파일을 Data URL로 넣음 (resolveImages 참고)
+        resolveImages: false,
+        // 넣을 이미지 하나와 전체의 최대 크기 (바이트)
+        imageMaxSize: 2 * 1024 * 1024,
+        imageTotalMaxSize: 8 * 1024 * 1024,
+        // 가져오지 못한 이미지: 'keep'이면 그대로 두고, 'drop'이면 요소를 제거
+        unresolvedImages: 'keep',
+        // <style>의 단순한 선택자 규칙을 각 요소의 속성으로 옮김 (inline-styles 패스)
+        inlineStyles: false,
+        // 루트 <svg>의 단위를 px로 바꾸고 빠진 viewBox/크기를 채움 (normalize-size 패스)
+        normalizeSize: false,
+        // 백분율 크기의 기준이자 크기 정보가 없을 때 쓰는 캔버스 크기 (엔트리 무대 크기)
+        defaultCanvas: { width: 480, height: 270 },
+        // 편집기 전용 요소/속성, <metadata>, 편집기 주석, 빈 그룹 제거 (cleanup 패스)
+        cleanup: false,
+        // <use>를 참조 대상의 복사본으로 바꿈 (expand-use 패스)
+        expandUse: false,
+        // 패스 이름 -> 켜기/끄기 (registerTransform 참고, 없는 패스는 기본값을 따름)
+        transforms: {}
+    };
+
+    /**
+     * SVG를 조각 단위로 정규화하는 TransformStream을 만듭니다.
+     * 입력은 바이트(Uint8Array, UTF-8) 또는 문자열 조각이며, 출력은 UTF-8 바이트입니다.
+     *
+     * @param {Object} [options] - normalize()와 같은 옵션
+     * @param {function(Array<Object>, Object)} [options.onFinish] - 스트림이 끝나면 변경 내역과
+     *     { inputLength, outputLength } (문자 수)와 함께 호출
+     * @param {function(Error)} [options.onError] - 지정하면 정규화 중 예외가 나도 스트림을 실패시키지 않고,
+     *     아직 내보내지 않은 입력부터 끝까지 원본 그대로 전달한 뒤 예외와 함께 호출 (onFinish는 호출하지 않음)
+     * @returns {TransformStream} 정규화 스트림
+     *
+     * @example
+     * fetch('shape.svg').then(function (response) {
+     *     return new Response(response.body.pipeThrough(SvgNamespaceNormalizer.createNormalizeStream())).text();
+     * });
+     */
+    SvgNamespaceNormalizer.createNormalizeStream = function (options) {
+        if (typeof TransformStream === 'undefined' || typeof TextDecoder === 'undefined') {
+            throw new Error('TransformStream is not supported in this environment');
+        }
+        var onFinish = options && options.onFinish;
+        var onError = options && options.onError;
+        var failed = false;
+        var resolved = resolveOptions(options);
+        var prologPasses = getPrologTransforms(resolved);
+        var rewriter = hasStringTransforms(resolved) ? createBufferedRewriter(resolved) :
+            (prologPasses.length > 0 ? createPrologRewriter(resolved, prologPasses) : createStreamRewriter(resolved));
+        var decoder = new TextDecoder('utf-8');
+        var encoder = new TextEncoder();
+        var stats = { inputLength: 0, outputLength: 0 };
+
+        function enqueue(controller, text) {
+            if (text) {
+                stats.outputLength += text.length;
+                controller.enqueue(encoder.encode(text));
+            }
+        }
+
+        function push(text) {
+            stats.inputLength += text.length;
+            return rewriter.push(text);
+        }
+
+        /**
+         * onError가 있으면 예외를 삼키고, 정규화하지 못한 입력을 원본 그대로 내보낸 뒤 통과 모드로 바꿉니다.
+         */
+        function guard(controller, text, run) {
+            if (failed) {
+                enqueue(controller, text);
+                return;
+            }
+            var pending = rewriter.pending();
+            try {
+                run();
+            } catch (error) {
+                if (!onError) {
+                    throw error;
+                }
+                failed = true;
+                enqueue(controller, pending + text);
+                onError(error);
+            }
+        }
+
+        return new TransformStream({
+            transform: function (chunk, controller) {
+                var text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+                guard(controller, text, function () {
+                    enqueue(controller, push(text));
+                });
+            },
+            flush: function (controller) {
+                var text = decoder.decode();
+                guard(controller, text, function () {
+                    enqueue(controller, push(text) + rewriter.end());
+                });
+                if (onFinish && !failed) {
+                    onFinish(rewriter.rewrites, stats);
+                }
+            }
+        });
+    };
+
+    /**
+     * SVG 문자열에서 네임스페이스 문제가 있는지 감지합니다.
+     *
+     * @param {string} svgString - 검사할 SVG 문자열
+     * @param {Object} [options] - normalize()와 같은 옵션
+     * @returns {boolean} 정규화로 바뀌는 부분이 있으면 true (자세한 내용은 analyze 참고)
+     */
+    SvgNamespaceNormalizer.hasIssue = function (svgString, options) {
+        if (!svgString || typeof svgString !== 'string') {
+            return false;
+        }
+        var resolved = resolveOptions(options);
+        var active = getActiveTransforms(resolved);
+        // registerTransform()으로 추가한 패스는 detect로 판단
+        for (var i = 0; i < active.length; i++) {
+            if (!active[i].tokenPass && active[i].detect && active[i].detect(svgString, resolved)) {
+                return true;
+            }
+        }
+        return rewriteDocument(svgString, resolved).rewrites.length > 0;
+    };
+
+    var ISSUE_MESSAGES = {
+        'nonstandard-prefix': '접두사 "{prefix}:"가 {uri} 네임스페이스를 가리키지만 표준 접두사가 아닙니다.',
+        'prefixed-default-namespace': '접두사 "{prefix}:"가 기본 네임스페이스여야 하는 {uri}를 가리킵니다.',
+        'dropped-namespace': '접두사 "{prefix}:"의 {uri} 네임스페이스는 제거 대상으로 등록되어 있습니다.',
+        'prefix-conflict': '표준 접두사가 이미 다른 네임스페이스에 쓰이고 있어 "{prefix}:"를 바꿀 수 없습니다.',
+        'undeclared-prefix': '접두사 "{prefix}:"가 선언되지 않았습니다.',
+        'unregistered-namespace': '자동 생성된 접두사 "{prefix}:"가 등록되지 않은 네임스페이스 {uri}를 가리킵니다.',
+        'missing-default-namespace': '루트 <svg>에 SVG 기본 네임스페이스 선언이 없습니다.',
+        'duplicate-attribute': '속성 "{attribute}"이(가) 중복되어 있습니다.',
+        'malformed-markup': '닫히지 않은 태그, 주석 또는 CDATA가 있어 이후 내용을 해석할 수 없습니다.',
+        'embedded-svg': '속성 "{attribute}"에 포함된 SVG 이미지에 네임스페이스 문제가 있습니다.',
+        'doctype-entities': 'DOCTYPE에 선언된 엔티티를 펼친 뒤 DOCTYPE을 제거해야 네임스페이스를 확인할 수 있습니다.'
+    };
+
+    function formatIssueMessage(issue) {
+        return formatTemplate(ISSUE_MESSAGES[issue.kind], issue);
+    }
+
+    /**
+     * 템플릿의 {key}를 values의 값으로 채웁니다. 값이 없으면 빈 문자열로 채웁니다.
+     */
+    function formatTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, function (match, key) {
+            return values[key] === null || values[key] === undefined ? '' : values[key];
+        });
+    }
+
+    /**
+     * 문자열 오프셋을 1부터 시작하는 줄/열 번호로 바꾸는 함수를 만듭니다.
+     */
+    function createLocator(source) {
+        var lineStarts = [0];
+        for (var i = 0; i < source.length; i++) {
+            if (source[i] === '\n') {
+                lineStarts.push(i + 1);
+            }
+        }
+        return function (offset) {
+            var low = 0;
+            var high = lineStarts.length - 1;
+            while (low < high) {
+                var mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= offset) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return { line: low + 1, column: offset - lineStarts[low] + 1 };
+        };
+    }
+
+    /**
+     * SVG 문자열의 네임스페이스 문제를 진단하여 목록으로 반환합니다.
+     * 모양을 불러오지 못한 이유를 사용자에게 설명할 때 사용합니다.
+     *
+     * fixable이 true인 항목이 하나라도 있으면 hasIssue()도 true를 반환합니다.
+     *
+     * @param {string} svgString - 검사할 SVG 문자열
+     * @param {Object} [options] - normalize()와 같은 옵션
+     * @returns {Array<Object>} 진단 항목 배열
+     *   - kind: 문제 종류 (nonstandard-prefix, prefixed-default-namespace, dropped-namespace,
+     *           prefix-conflict, undeclared-prefix, unregistered-namespace,
+     *           missing-default-namespace, duplicate-attribute, malformed-markup, embedded-svg,
+     *           doctype-entities)
+     *   - message: 설명 문구
+     *   - prefix, uri: 관련 접두사와 그 접두사가 가리키는 네임스페이스 URI
+     *   - element, attribute: 문제가 발견된 요소 이름과 속성 이름 (원본 기준)
+     *   - offset, line, column: 원본 문자열에서의 위치 (line, column은 1부터 시작)
+     *   - fixable: normalize()로 해결되는지 여부
+     *
+     * @example
+     * SvgNamespaceNormalizer.analyze(svg).forEach(function (issue) {
+     *     console.log(issue.line + ':' + issue.column, issue.message);
+     * });
+     */
+    SvgNamespaceNormalizer.analyze = function (svgString, options) {
+        if (!svgString || typeof svgString !== 'string') {
+            return [];
+        }
+
+        var resolved = resolveOptions(options);
+        var source = svgString;
+        var toOriginal = null;
+        var entityIssue = null;
+
+        // 엔티티로 쓴 네임스페이스 URI는 normalize()와 같이 doctype-entities 패스로 펼친 문서에서 진단
+        if (isTransformEnabled(transforms['doctype-entities'], resolved) && hasDoctypeEntities(svgString)) {
+            var expanded = expandDoctypeEntities(svgString);
+            entityIssue = {
+                kind: 'doctype-entities',
+                prefix: null,
+                uri: null,
+                element: null,
+                attribute: null,
+                offset: svgString.search(/<!DOCTYPE/i),
+                fixable: typeof expanded !== 'string'
+            };
+            if (typeof expanded !== 'string') {
+                source = expanded.svg;
+                toOriginal = createOffsetMapper(expanded.segments);
+            }
+        }
+
+        var result = rewriteDocument(source, resolved);
+        var issues = result.issues.slice();
+
+        for (var i = 0; i < result.tokens.length; i++) {
+            if (result.tokens[i].malformed) {
+                issues.push({
+                    kind: 'malformed-markup',
+                    prefix: null,
+                    uri: null,
+                    element: null,
+                    attribute: null,
+                    offset: result.tokens[i].start,
+                    fixable: false
+                });
+            }
+        }
+        if (toOriginal) {
+            issues.forEach(function (issue) {
+                issue.offset = toOriginal(issue.offset);
+            });
+        }
+        if (entityIssue) {
+            issues.push(entityIssue);
+        }
+
+        var locate = createLocator(svgString);
+        issues.sort(function (a, b) {
+            return a.offset - b.offset;
+        });
+        return issues.map(function (issue) {
+            var position = locate(issue.offset);
+            return {
+                kind: issue.kind,
+                message: formatIssueMessage(issue),
+                prefix: issue.prefix,
+                uri: issue.uri,
+                element: issue.element,
+                attribute: issue.attribute,
+                offset: issue.offset,
+                line: position.line,
+                column: position.column,
+                fixable: issue.fixable
+            };
+        });
+    };
+
+    /**
+     * SVG 네임스페이스 정규화 함수
+     *
+     * 네임스페이스를 인식하는 토크나이저로 각 접두사가 가리키는 URI를 해석한 뒤,
+     * 선택한 전략과 등록된 네임스페이스 규칙(registerNamespace 참고)에 따라 접두사를 바꿉니다.
+     * 텍스트, 주석, CDATA, 속성값은 바이트 단위로 그대로 유지됩니다.
+     *
+     * @param {string} svgString - 정규화할 SVG 문자열
+     * @param {Object} [options] - 옵션 (생략한 값은 SvgNamespaceNormalizer.defaults 사용)
+     * @param {string} [options.strategy='auto'] - 'auto' | 'xlink-only' | 'strip-all'
+     * @param {boolean} [options.collapseWhitespace] - 태그 안의 공백 정리 (strip-all은 항상 정리)
+     * @param {boolean} [options.inlineStyles] - <style>의 단순한 선택자 규칙(타입, .클래스, #ID)을
+     *   각 요소의 속성으로 옮기고 옮긴 규칙을 제거
+     * @param {boolean} [options.normalizeSize] - 루트 <svg>의 width/height를 px로 바꾸고
+     *   빠진 viewBox나 크기를 채움
+     * @param {{width: number, height: number}} [options.defaultCanvas] - 백분율 크기의 기준 캔버스
+     * @param {boolean} [options.cleanup] - 편집기 전용 네임스페이스의 요소/속성, <metadata>, 편집기 주석,
+     *   편집기 속성 말고는 속성이 없는 빈 그룹 제거 (절약한 바이트 수는 transform()의 passes[].bytesSaved 참고)
+     * @param {boolean} [options.expandUse] - <use>를 참조한 <symbol>/요소의 복사본으로 바꿈
+     *   (x/y, width/height, symbol의 viewBox를 transform으로 적용, 중첩된 <svg>는 width/height를 덮어씀)
+     * @param {boolean} [options.cache] - 결과 캐시 사용 (configureCache 참고)
+     * @param {Object<string, boolean>} [options.transforms] - 패스별 켜기/끄기 (registerTransform 참고)
+     * @returns {string} 정규화된 SVG 문자열
+     *
+     * @example
+     * // 변환 전: <image xmlns:ns1="http://www.w3.org/1999/xlink" ns1:href="data:image/png;base64,..."/>
+     * // 변환 후: <image xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href="data:image/png;base64,..."/>
+     *
+     * @example
+     * // 변환 전: <ns1:svg xmlns:ns1="http://www.w3.org/2000/svg"><ns1:path ns1:d="M0 0"/></ns1:svg>
+     * // 변환 후: <svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0"/></svg>
+     *
+     * @example
+     * // 이전 hummmmm.js처럼 ns 접두사를 모두 제거
+     * SvgNamespaceNormalizer.normalize(svgString, { strategy: 'strip-all' });
+     */
+    SvgNamespaceNormalizer.normalize = function (svgString, options) {
+        if (!svgString || typeof svgString !== 'string') {
+            return svgString;
+        }
+        return normalizeCached(svgString, options).result.svg;
+    };
+
+    /**
+     * normalize()와 같지만 변경 내역과 발견한 문제(analyze()의 항목에서 위치 정보를 뺀 것)도
+     * 함께 반환합니다. (내부용, 워커에서도 사용)
+     *
+     * @returns {{svg: string, rewrites: Array<Object>, issues: Array<Object>}}
+     */
+    SvgNamespaceNormalizer._normalizeWithRewrites = function (svgString, options) {
+        if (!svgString || typeof svgString !== 'string') {
+            return { svg: svgString, rewrites: [], issues: [], passes: [] };
+        }
+        return runTransforms(svgString, resolveOptions(options));
+    };
+
+    /**
+     * normalize()와 같이 정규화하고, 실행한 패스와 변경 내역을 함께 반환합니다.
+     *
+     * @param {string} svgString - 정규화할 SVG 문자열
+     * @param {Object} [options] - normalize()와 같은 옵션
+     * @returns {{svg: string, passes: Array<{name: string, changed: boolean}>, rewrites: Array<Object>}}
+     *   passes는 실행한 패스를 실행 순서대로 담으며, 꺼져 있거나 detect가 false를 반환한 패스는 빠집니다.
+     *   rewrites의 각 항목에는 그 변경을 만든 패스 이름(pass)이 들어 있습니다.
+     *   기본 패스를 뺀 나머지 패스 항목에는 줄어든 UTF-8 바이트 수(bytesSaved)가 들어 있습니다.
+     *
+     * @example
+     * var result = SvgNamespaceNormalizer.transform(svg, { transforms: { 'duplicate-attributes': false } });
+     * result.passes; // [{ name: 'namespaces', changed: true }, { name: 'embedded-svg', changed: false }]
+     */
+    SvgNamespaceNormalizer.transform = function (svgString, options) {
+        var result = copyResult(normalizeCached(svgString, options).result);
+        return { svg: result.svg, passes: result.passes, rewrites: result.rewrites };
+    };
+
+    // ------------------------------------------------------------------
+    // 결과 캐시
+    // 같은 모양을 열거나 복제할 때마다 다시 정규화하지 않도록, 입력 내용의 해시로
+    // 정규화 결과를 기억합니다. normalize, fetchAndNormalize, toDataUrl, toBlobUrl과
+    // 자동 패치가 함께 사용하며, 저장소 어댑터를 지정하면 다음 세션에서도 재사용합니다.
+    // ------------------------------------------------------------------
+
+    // 결과에 영향을 주지 않는 옵션 (캐시 키에서 제외)
+    var RUNTIME_OPTIONS = ['streaming', 'asyncThreshold', 'reportOnly', 'patchImageSrc', 'normalizeUploads', 'cache',
+        'resolveImages', 'imageMaxSize', 'imageTotalMaxSize', 'unresolvedImages'];
+
+    var cacheConfig = { maxEntries: 200, maxSize: 16 * 1024 * 1024, storage: null };
+    var cacheEntries = Object.create(null);
+    var cacheOrder = [];  // 오래 사용하지 않은 키부터
+    var cacheSize = 0;
+    var cacheStats = { hits: 0, misses: 0, storageHits: 0 };
+
+    /**
+     * 문자열의 64비트 해시 (cyrb53 변형)
+     */
+    function hashString(text) {
+        var h1 = 0xdeadbeef;
+        var h2 = 0x41c6ce57;
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (h2 >>> 0).toString(36) + '.' + (h1 >>> 0).toString(36);
+    }
+
+    /**
+     * 버전, 결과에 영향을 주는 옵션, 네임스페이스 규칙, 입력 내용으로 캐시 키를 만듭니다.
+     * 캐시를 쓰지 않는 경우(defaults.cache가 false, 함수 옵션 등) null을 반환합니다.
+     */
+    function cacheKey(svgString, options) {
+        if (!svgString || typeof svgString !== 'string' || cacheConfig.maxEntries <= 0) {
+            return null;
+        }
+        var resolved = resolveOptions(options);
+        if (!resolved.cache) {
+            return null;
+        }
+        var plain = {};
+        for (var key in resolved) {
+            if (typeof resolved[key] === 'function') {
+                return null;
+            }
+            if (RUNTIME_OPTIONS.indexOf(key) === -1) {
+                plain[key] = resolved[key];
+            }
+        }
+        // registerTransform()으로 추가한 패스는 다시 등록할 때마다 바뀌는 등록 순번(index)으로 구분
+        var custom = getActiveTransforms(resolved).filter(function (transform) {
+            return !transform.builtin;
+        }).map(function (transform) {
+            return transform.name + ':' + transform.order + ':' + transform.index;
+        });
+        var settings = JSON.stringify(plain) + JSON.stringify(namespaceRules) + custom.join('|');
+        return SvgNamespaceNormalizer.version + '|' + hashString(settings) + '|' +
+            svgString.length + ':' + hashString(svgString);
+    }
+
+    /**
+     * 캐시에 보관한 결과를 호출자가 고쳐도 다음 결과에 영향이 없도록 배열과 항목을 복사합니다.
+     */
+    function copyResult(result) {
+        function copyItems(items) {
+            return (items || []).map(function (item) {
+                var copy = {};
+                for (var key in item) {
+                    copy[key] = item[key];
+                }
+                return copy;
+            });
+        }
+        return {
+            svg: result.svg,
+            rewrites: copyItems(result.rewrites),
+            issues: copyItems(result.issues),
+            passes: copyItems(result.passes)
+        };
+    }
+
+    function readCache(key) {
+        var entry = cacheEntries[key];
+        if (!entry) {
+            return null;
+        }
+        cacheOrder.splice(cacheOrder.indexOf(key), 1);
+        cacheOrder.push(key);
+        return entry;
+    }
+
+    function writeCache(key, result) {
+        var entry = { key: key, result: result, size: result.svg.length, dataUrl: null, blobUrl: null };
+        if (cacheEntries[key]) {
+            removeCacheEntry(key);
+        }
+        if (entry.size <= cacheConfig.maxSize) {
+            cacheEntries[key] = entry;
+            cacheOrder.push(key);
+            cacheSize += entry.size;
+            trimCache();
+        }
+        return entry;
+    }
+
+    /**
+     * 항목에 Data URL 등 파생 값을 붙인 뒤 크기를 반영합니다.
+     */
+    function growCacheEntry(entry, size) {
+        entry.size += size;
+        if (cacheEntries[entry.key] === entry) {
+            cacheSize += size;
+            trimCache();
+        }
+    }
+
+    function removeCacheEntry(key) {
+        var entry = cacheEntries[key];
+        delete cacheEntries[key];
+        cacheOrder.splice(cacheOrder.indexOf(key), 1);
+        cacheSize -= entry.size;
+        if (entry.blobUrl) {
+            URL.revokeObjectURL(entry.blobUrl);
+        }
+    }
+
+    function trimCache() {
+        while (cacheOrder.length > 0 &&
+            (cacheOrder.length > cacheConfig.maxEntries || cacheSize > cacheConfig.maxSize)) {
+            removeCacheEntry(cacheOrder[0]);
+        }
+    }
+
+    /**
+     * 캐시에서 정규화 결과를 찾고, 없으면 정규화해서 저장합니다. (동기, 메모리 캐시만 사용)
+     * 저장소 어댑터가 있으면 새 결과를 저장소에도 기록합니다.
+     *
+     * @returns {{result: Object, dataUrl: ?string, blobUrl: ?string}} 캐시 항목
+     */
+    function normalizeCached(svgString, options) {
+        var key = cacheKey(svgString, options);
+        var entry = key && readCache(key);
+        if (entry) {
+            cacheStats.hits++;
+            return entry;
+        }
+        var result = SvgNamespaceNormalizer._normalizeWithRewrites(svgString, options);
+        if (!key) {
+            return { key: null, result: result, size: 0, dataUrl: null, blobUrl: null };
+        }
+        cacheStats.misses++;
+        storeInStorage(key, result);
+        return writeCache(key, result);
+    }
+
+    /**
+     * normalizeCached()의 비동기 버전. 메모리 캐시에 없으면 저장소를 확인하고,
+     * 그래도 없으면 compute()로 정규화합니다.
+     *
+     * @param {Function} compute - { svg, rewrites, issues }로 이행하는 Promise를 반환하는 함수
+     * @returns {Promise<{svg: string, rewrites: Array<Object>, issues: Array<Object>}>}
+     */
+    function normalizeCachedAsync(svgString, options, compute) {
+        var key = cacheKey(svgString, options);
+        if (!key) {
+            return compute();
+        }
+        var entry = readCache(key);
+        if (entry) {
+            cacheStats.hits++;
+            return Promise.resolve(copyResult(entry.result));
+        }
+        return loadFromStorage(key).then(function (stored) {
+            if (stored) {
+                cacheStats.storageHits++;
+                return copyResult(writeCache(key, stored).result);
+            }
+            cacheStats.misses++;
+            return compute().then(function (result) {
+                storeInStorage(key, result);
+                return copyResult(writeCache(key, result).result);
+            });
+        });
+    }
+
+    function loadFromStorage(key) {
+        var storage = cacheConfig.storage;
+        if (!storage) {
+            return Promise.resolve(null);
+        }
+        return Promise.resolve().then(function () {
+            return storage.get(key);
+        }).then(function (stored) {
+            return stored && typeof stored.svg === 'string' ? stored : null;
+        }, function (error) {
+            log('debug', 'cache-storage-failed', null, error);
+            return null;
+        });
+    }
+
+    function storeInStorage(key, result) {
+        var storage = cacheConfig.storage;
+        if (!storage) {
+            return;
+        }
+        Promise.resolve().then(function () {
+            return storage.set(key, { svg: result.svg, rewrites: result.rewrites, issues: result.issues, passes: result.passes });
+        }).catch(function (error) {
+            log('debug', 'cache-storage-failed', null, error);
+        });
+    }
+
+    /**
+     * 결과 캐시를 설정합니다. 생략한 값은 그대로 유지됩니다.
+     * 캐시는 기본값으로 꺼져 있으며, defaults.cache = true로 하거나 호출마다 { cache: true }를 넘겨 켭니다.
+     * 켜면 호출마다 입력 전체를 해시하고, 결과를 최대 maxSize 문자(UTF-16이므로 약 2배 바이트)까지 보관합니다.
+     *
+     * @param {Object} config
+     * @param {number} [config.maxEntries=200] - 메모리에 보관할 최대 결과 수
+     * @param {number} [config.maxSize] - 메모리에 보관할 결과의 최대 크기 합계 (문자 수, 기본 16M)
+     * @param {?Object} [config.storage] - 영구 저장소 어댑터 { get(key), set(key, value), clear() }.
+     *   각 메서드는 Promise를 반환할 수 있습니다. null이면 저장소를 쓰지 않습니다.
+     *   (createIndexedDBStorage 참고)
+     *
+     * @example
+     * SvgNamespaceNormalizer.defaults.cache = true;
+     * SvgNamespaceNormalizer.configureCache({
+     *     maxEntries: 500,
+     *     storage: SvgNamespaceNormalizer.createIndexedDBStorage()
+     * });
+     */
+    SvgNamespaceNormalizer.configureCache = function (config) {
+        config = config || {};
+        if (config.maxEntries !== undefined) {
+            if (typeof config.maxEntries !== 'number' || config.maxEntries < 0) {
+                throw new Error('Cache maxEntries must be a non-negative number');
+            }
+            cacheConfig.maxEntries = config.maxEntries;
+        }
+        if (config.maxSize !== undefined) {
+            if (typeof config.maxSize !== 'number' || config.maxSize < 0) {
+                throw new Error('Cache maxSize must be a non-negative number');
+            }
+            cacheConfig.maxSize = config.maxSize;
+        }
+        if (config.storage !== undefined) {
+            if (config.storage !== null &&
+                (typeof config.storage.get !== 'function' || typeof config.storage.set !== 'function')) {
+                throw new Error('Cache storage must have get() and set() methods');
+            }
+            cacheConfig.storage = config.storage;
+        }
+        trimCache();
+    };
+
+    /**
+     * 메모리 캐시를 비우고 캐시 항목에 붙은 toBlobUrl()의 Blob URL을 해제합니다.
+     *
+     * @param {boolean} [persistent=false] - true이면 저장소 어댑터의 clear()도 호출
+     */
+    SvgNamespaceNormalizer.clearCache = function (persistent) {
+        while (cacheOrder.length > 0) {
+            removeCacheEntry(cacheOrder[0]);
+        }
+        cacheStats = { hits: 0, misses: 0, storageHits: 0 };
+        var storage = cacheConfig.storage;
+        if (persistent && storage && typeof storage.clear === 'function') {
+            Promise.resolve().then(function () {
+                return storage.clear();
+            }).catch(function (error) {
+                log('debug', 'cache-storage-failed', null, error);
+            });
+        }
+    };
+
+    /**
+     * 캐시 상태를 반환합니다.
+     *
+     * @returns {{entries: number, size: number, hits: number, misses: number, storageHits: number}}
+     */
+    SvgNamespaceNormalizer.getCacheStats = function () {
+        return {
+            entries: cacheOrder.length,
+            size: cacheSize,
+            hits: cacheStats.hits,
+            misses: cacheStats.misses,
+            storageHits: cacheStats.storageHits
+        };
+    };
+
+    /**
+     * IndexedDB에 정규화 결과를 보관하는 저장소 어댑터를 만듭니다. (configureCache 참고)
+     * 키에 버전이 들어가므로 라이브러리를 업데이트하면 이전 결과는 사용되지 않습니다.
+     * 결과마다 저장 시각을 함께 기록하고, 저장할 때 maxEntries를 넘으면 가장 먼저 저장한 결과부터 지웁니다.
+     * 이전 버전의 결과도 새 결과에 밀려 이렇게 지워집니다.
+     *
+     * @param {string} [dbName='svg-namespace-normalizer'] - 데이터베이스 이름
+     * @param {number} [maxEntries=1000] - 보관할 최대 결과 수
+     * @returns {{get: Function, set: Function, clear: Function}} 저장소 어댑터
+     */
+    SvgNamespaceNormalizer.createIndexedDBStorage = function (dbName, maxEntries) {
+        var STORE = 'results';
+        var opening = null;
+        if (maxEntries === undefined) {
+            maxEntries = 1000;
+        } else if (typeof maxEntries !== 'number' || !(maxEntries >= 1)) {
+            throw new Error('Storage maxEntries must be a positive number');
+        }
+
+        function open() {
+            if (!opening) {
+                opening = new Promise(function (resolve, reject) {
+                    if (typeof indexedDB === 'undefined') {
+                        throw new Error('IndexedDB is not available');
+                    }
+                    var request = indexedDB.open(dbName || 'svg-namespace-normalizer', 2);
+                    request.onupgradeneeded = function () {
+                        var db = request.result;
+                        // 1판의 결과에는 저장 시각이 없으므로 저장소를 새로 만듦
+                        if (db.objectStoreNames.contains(STORE)) {
+                            db.deleteObjectStore(STORE);
+                        }
+                        db.createObjectStore(STORE).createIndex('time', 'time');
+                    };
+                    request.onsuccess = function () {
+                        resolve(request.result);
+                    };
+                    request.onerror = function () {
+                        reject(request.error);
+                    };
+                });
+            }
+            return opening;
+        }
+
+        function run(mode, action) {
+            return open().then(function (db) {
+                return new Promise(function (resolve, reject) {
+                    var transaction = db.transaction(STORE, mode);
+                    var request = action(transaction.objectStore(STORE));
+                    transaction.oncomplete = function () {
+                        resolve(request.result);
+                    };
+                    transaction.onerror = transaction.onabort = function () {
+                        reject(transaction.error);
+                    };
+                });
+            });
+        }
+
+        return {
+            get: function (key) {
+                return run('readonly', function (store) {
+                    return store.get(key);
+                });
+            },
+            set: function (key, value) {
+                var record = { time: Date.now() };
+                for (var name in value) {
+                    record[name] = value[name];
+                }
+                return run('readwrite', function (store) {
+                    var request = store.put(record, key);
+                    var counting = store.count();
+                    counting.onsuccess = function () {
+                        var excess = counting.result - maxEntries;
+                        if (excess <= 0) {
+                            return;
+                        }
+                        store.index('time').openKeyCursor().onsuccess = function (event) {
+                            var cursor = event.target.result;
+                            if (cursor && excess-- > 0) {
+                                store.delete(cursor.primaryKey);
+                                cursor.continue();
+                            }
+                        };
+                    };
+                    return request;
+                });
+            },
+            clear: function () {
+                return run('readwrite', function (store) {
+                    return store.clear();
+                });
+            }
+        };
+    };
+
+    // ------------------------------------------------------------------
+    // 로그와 이벤트
+    // 로그는 setLogger()로 출력 대상, 수준, 언어를 바꿀 수 있고,
+    // 자동 패치의 결과는 on()으로 등록한 처리기에 이벤트로 전달됩니다.
+    // ------------------------------------------------------------------
+
+    var LOG_LEVELS = { silent: 0, warn: 1, info: 2, debug: 3 };
+    var LOG_LANGUAGES = ['ko', 'en'];
+    var EVENT_NAMES = ['normalized', 'skipped', 'error', 'patched'];
+
+    var logger = null;  // null이면 console 사용
+    var logLevel = 'info';
+    var logLanguage = 'ko';
+    var eventHandlers = { normalized: [], skipped: [], error: [], patched: [] };
+
+    var LOG_MESSAGES = {
+        'init-start': {
+            ko: '자동 초기화 시작 (v{version})',
+            en: 'Initializing (v{version})'
+        },
+        'init-done': {
+            ko: '자동 초기화 완료 - SVG 네임스페이스 문제가 자동으로 해결됩니다.',
+            en: 'Initialized - SVG namespace issues will be fixed automatically.'
+        },
+        'patched': {
+            ko: '{target} 패치 완료',
+            en: 'Patched {target}'
+        },
+        'unpatched': {
+            ko: '{target} 패치 해제',
+            en: 'Restored {target}'
+        },
+        'cannot-patch': {
+            ko: '{target}을(를) 패치할 수 없습니다.',
+            en: 'Cannot patch {target}.'
+        },
+        'normalized': {
+            ko: 'SVG 네임스페이스 정규화 ({source}): {url}',
+            en: 'Normalized SVG namespaces ({source}): {url}'
+        },
+        'skipped': {
+            ko: '정규화할 내용 없음 ({source}): {url}',
+            en: 'Nothing to normalize ({source}): {url}'
+        },
+        'failed': {
+            ko: 'SVG 정규화 실패, 원본 사용 ({source}): {url}',
+            en: 'SVG normalization failed, using the original ({source}): {url}'
+        },
+        'worker-unavailable': {
+            ko: '워커를 만들 수 없어 동기 정규화를 사용합니다:',
+            en: 'Cannot create a worker, normalizing synchronously:'
+        },
+        'worker-failed': {
+            ko: '워커 오류로 동기 정규화로 전환합니다:',
+            en: 'Worker failed, switching to synchronous normalization:'
+        },
+        'data-url-decode-failed': {
+            ko: 'SVG Data URL을 디코딩할 수 없습니다:',
+            en: 'Cannot decode SVG data URL:'
+        },
+        'parse-error': {
+            ko: 'SVG 파싱 오류:',
+            en: 'SVG parsing error:'
+        },
+        'cache-storage-failed': {
+            ko: '캐시 저장소를 사용할 수 없습니다:',
+            en: 'Cache storage failed:'
+        },
+        'repair-done': {
+            ko: '프로젝트 수리 완료 - 모양 {pictures}개 중 {repaired}개 수정, {needsRepair}개 수정 필요, {failed}개 실패',
+            en: 'Project repair finished - {pictures} pictures, {repaired} repaired, {needsRepair} need repair, {failed} failed'
+        },
+        'image-unresolved': {
+            ko: '이미지를 넣지 못했습니다 ({url}): {reason}',
+            en: 'Cannot inline image ({url}): {reason}'
+        },
+        'entity-limit': {
+            ko: 'DOCTYPE 엔티티를 펼친 결과가 제한({limit})을 넘어 펼치지 않았습니다.',
+            en: 'DOCTYPE entities were not expanded because the {limit} limit was exceeded.'
+        },
+        'repair-refresh-failed': {
+            ko: '고친 모양을 화면에 반영하지 못했습니다 ({name}):',
+            en: 'Cannot refresh repaired pictures ({name}):'
+        },
+        'handler-failed': {
+            ko: '"{event}" 이벤트 처리기에서 오류가 발생했습니다:',
+            en: 'Error in "{event}" event handler:'
+        }
+    };
+
+    // 패치 대상 -> 로그에 표시할 이름
+    var PATCH_TARGETS = {
+        'fetch': 'fetch API',
+        'xhr': 'XMLHttpRequest',
+        'file-reader': 'FileReader/Blob',
+        'entry-paint': 'EntryPaint',
+        'image-src': 'Image src',
+        'entry-utils': 'Entry.Utils'
+    };
+
+    /**
+     * 로그를 남깁니다. severity가 'error'인 로그는 'warn' 수준에서 함께 출력됩니다.
+     *
+     * @param {string} severity - 'error' | 'warn' | 'info' | 'debug'
+     * @param {string} key - LOG_MESSAGES의 키
+     * @param {Object} [values] - 메시지 템플릿에 채울 값
+     * @param {*} [detail] - 메시지 뒤에 그대로 붙일 값 (오류 객체 등)
+     */
+    function log(severity, key, values, detail) {
+        var rank = severity === 'error' ? LOG_LEVELS.warn : LOG_LEVELS[severity];
+        if (rank > LOG_LEVELS[logLevel]) {
+            return;
+        }
+        var target = logger || (typeof console !== 'undefined' ? console : null);
+        var method = target && (target[severity] || target.log);
+        if (typeof method !== 'function') {
+            return;
+        }
+        var message = '[SvgNamespaceNormalizer] ' + formatTemplate(LOG_MESSAGES[key][logLanguage], values || {});
+        if (detail === undefined) {
+            method.call(target, message);
+        } else {
+            method.call(target, message, detail);
+        }
+    }
+
+    function emit(event, detail) {
+        var handlers = eventHandlers[event].slice();
+        for (var i = 0; i < handlers.length; i++) {
+            try {
+                handlers[i](detail);
+            } catch (error) {
+                log('warn', 'handler-failed', { event: event }, error);
+            }
+        }
+    }
+
+    function reportPatched(target) {
+        log('info', 'patched', { target: PATCH_TARGETS[target] });
+        emit('patched', { target: target });
+    }
+
+    /**
+     * 자동 패치에서 SVG 하나를 처리한 결과를 알립니다.
+     *
+     * @param {string} source - 'fetch' | 'xhr' | 'file' | 'upload' | 'entry-paint' | 'image-src' | 'repair'
+     * @param {string} url - 요청 URL, 파일 이름 또는 Data URL
+     * @param {number} originalSize - 원본 SVG 길이 (문자 수)
+     * @param {Object} result - { svg 또는 normalizedSize, rewrites }
+     */
+    function reportNormalization(source, url, originalSize, result) {
+        var normalizedSize = typeof result.normalizedSize === 'number' ? result.normalizedSize : result.svg.length;
+        var detail = {
+            source: source,
+            url: url,
+            originalSize: originalSize,
+            normalizedSize: normalizedSize,
+            rewrites: result.rewrites
+        };
+        var values = { source: source, url: shortenUrl(url) };
+
+        if (result.rewrites.length > 0 || normalizedSize !== originalSize) {
+            log('info', 'normalized', values);
+            emit('normalized', detail);
+        } else {
+            log('debug', 'skipped', values);
+            emit('skipped', detail);
+        }
+    }
+
+    function reportFailure(source, url, error) {
+        log('warn', 'failed', { source: source, url: shortenUrl(url) }, error);
+        emit('error', { source: source, url: url, error: error });
+    }
+
+    // Data URL은 매우 길 수 있으므로 로그에는 앞부분만 표시
+    function shortenUrl(url) {
+        url = String(url || '');
+        return url.length > 120 ? url.slice(0, 120) + '...' : url;
+    }
+
+    /**
+     * 이벤트 처리기를 등록합니다.
+     *
+     * - normalized: 자동 패치가 SVG를 정규화함
+     * - skipped: SVG였지만 바꿀 것이 없었음
+     * - error: 정규화에 실패해서 원본을 그대로 사용함
+     * - patched: fetch, XHR 등의 패치가 설치됨 ({ target })
+     *
+     * normalized/skipped 처리기는 { source, url, originalSize, normalizedSize, rewrites }를,
+     * error 처리기는 { source, url, error }를 받습니다. 크기는 문자 수입니다.
+     *
+     * @param {string} event - 'normalized' | 'skipped' | 'error' | 'patched'
+     * @param {Function} handler - 이벤트 처리기
+     * @returns {Function} 등록을 해제하는 함수
+     *
+     * @example
+     * SvgNamespaceNormalizer.on('normalized', function (e) {
+     *     analytics.track('svg-normalized', { url: e.url, rewrites: e.rewrites.length });
+     * });
+     */
+    SvgNamespaceNormalizer.on = function (event, handler) {
+        if (EVENT_NAMES.indexOf(event) === -1) {
+            throw new Error('Unknown event: ' + event);
+        }
+        if (typeof handler !== 'function') {
+            throw new Error('Event handler must be a function');
+        }
+        eventHandlers[event].push(handler);
+        return function () {
+            SvgNamespaceNormalizer.off(event, handler);
+        };
+    };
+
+    /**
+     * on()으로 등록한 이벤트 처리기를 해제합니다.
+     *
+     * @returns {boolean} 등록되어 있었으면 true
+     */
+    SvgNamespaceNormalizer.off = function (event, handler) {
+        var handlers = eventHandlers[event];
+        var index = handlers ? handlers.indexOf(handler) : -1;
+        if (index === -1) {
+            return false;
+        }
+        handlers.splice(index, 1);
+        return true;
+    };
+
+    /**
+     * 로그 출력 대상과 수준, 언어를 설정합니다.
+     *
+     * @param {Object} [newLogger] - error/warn/info/debug 메서드를 가진 객체 (생략하거나 null이면 console)
+     * @param {string} [level] - 'silent' | 'warn' | 'info' | 'debug' (기본값 'info')
+     * @param {string} [language] - 'ko' | 'en' (기본값 'ko')
+     *
+     * @example
+     * // 경고만 영어로 출력
+     * SvgNamespaceNormalizer.setLogger(console, 'warn', 'en');
+     * // 로그 끄기
+     * SvgNamespaceNormalizer.setLogger(null, 'silent');
+     */
+    SvgNamespaceNormalizer.setLogger = function (newLogger, level, language) {
+        if (level !== undefined && !Object.prototype.hasOwnProperty.call(LOG_LEVELS, level)) {
+            throw new Error('Unknown log level: ' + level);
+        }
+        if (language !== undefined && LOG_LANGUAGES.indexOf(language) === -1) {
+            throw new Error('Unknown log language: ' + language);
+        }
+        logger = newLogger || null;
+        if (level !== undefined) {
+            logLevel = level;
+        }
+        if (language !== undefined) {
+            logLanguage = language;
+        }
+    };
+
+    // ------------------------------------------------------------------
+    // 보고 전용 모드 (defaults.reportOnly)
+    // 자동 패치가 정규화는 하되 원본을 그대로 돌려주고, 바뀌었을 내용을 보고서에 기록합니다.
+    // ------------------------------------------------------------------
+
+    var REPORT_LIMIT = 1000;   // 보관할 최대 항목 수 (넘으면 오래된 항목부터 버림, 합계는 유지)
+    var reportEntries = [];
+    var reportTotals = null;
+
+    function resetReportTotals() {
+        reportTotals = { total: 0, changed: 0, byteDelta: 0, kinds: {}, since: new Date().toISOString() };
+    }
+    resetReportTotals();
+
+    function isReportOnly() {
+        return !!SvgNamespaceNormalizer.defaults.reportOnly;
+    }
+
+    /**
+     * 문자열을 UTF-8로 인코딩했을 때의 바이트 수 (인코딩하지 않고 계산)
+     */
+    function utf8Length(text) {
+        var length = 0;
+        for (var i = 0; i < text.length; i++) {
+            var code = text.charCodeAt(i);
+            if (code < 0x80) {
+                length += 1;
+            } else if (code < 0x800) {
+                length += 2;
+            } else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+                length += 4;  // 서로게이트 쌍
+                i++;
+            } else {
+                length += 3;
+            }
+        }
+        return length;
+    }
+
+    /**
+     * SVG 하나의 정규화 결과를 보고서에 기록합니다.
+     */
+    function recordForReport(source, url, original, result) {
+        var kinds = [];
+        result.issues.forEach(function (issue) {
+            if (kinds.indexOf(issue.kind) === -1) {
+                kinds.push(issue.kind);
+            }
+        });
+        var originalBytes = utf8Length(original);
+        var normalizedBytes = utf8Length(result.svg);
+        var entry = {
+            source: source,
+            url: /^data:/i.test(url) ? shortenUrl(url) : String(url || ''),
+            time: new Date().toISOString(),
+            changed: result.svg !== original,
+            kinds: kinds,
+            rewrites: result.rewrites.length,
+            originalBytes: originalBytes,
+            normalizedBytes: normalizedBytes,
+            byteDelta: normalizedBytes - originalBytes
+        };
+
+        reportTotals.total++;
+        if (entry.changed) {
+            reportTotals.changed++;
+            reportTotals.byteDelta += entry.byteDelta;
+        }
+        kinds.forEach(function (kind) {
+            reportTotals.kinds[kind] = (reportTotals.kinds[kind] || 0) + 1;
+        });
+
+        reportEntries.push(entry);
+        if (reportEntries.length > REPORT_LIMIT) {
+            reportEntries.shift();
+        }
+    }
+
+    /**
+     * 보고 전용 모드에서 원본을 그대로 쓰면서 정규화 결과만 기록합니다. (반환값 없음)
+     */
+    function inspectForReport(source, url, svgText) {
+        normalizeForPatch(svgText).then(function (result) {
+            reportNormalization(source, url, svgText.length, result);
+            recordForReport(source, url, svgText, result);
+        }).catch(function (error) {
+            reportFailure(source, url, error);
+        });
+    }
+
+    /**
+     * 보고 전용 모드(defaults.reportOnly)에서 기록한 보고서를 반환합니다.
+     *
+     * @returns {Object} 보고서
+     *   - summary: { total: 검사한 SVG 수, changed: 정규화로 바뀌었을 SVG 수,
+     *                byteDelta: 바뀌었을 SVG들의 바이트 증감 합계, kinds: 문제 종류별 SVG 수, since: 기록 시작 시각 }
+     *   - entries: [{ source, url, time, changed, kinds, rewrites, originalBytes, normalizedBytes, byteDelta }]
+     *              (최근 1000개까지)
+     *
+     * @example
+     * SvgNamespaceNormalizer.defaults.reportOnly = true;
+     * // ... 수업 진행 후
+     * console.log(SvgNamespaceNormalizer.getReport().summary);
+     */
+    SvgNamespaceNormalizer.getReport = function () {
+        var kinds = {};
+        for (var kind in reportTotals.kinds) {
+            kinds[kind] = reportTotals.kinds[kind];
+        }
+        return {
+            version: SvgNamespaceNormalizer.version,
+            generatedAt: new Date().toISOString(),
+            summary: {
+                total: reportTotals.total,
+                changed: reportTotals.changed,
+                byteDelta: reportTotals.byteDelta,
+                kinds: kinds,
+                since: reportTotals.since
+            },
+            entries: reportEntries.map(function (entry) {
+                var copy = {};
+                for (var key in entry) {
+                    copy[key] = key === 'kinds' ? entry.kinds.slice() : entry[key];
+                }
+                return copy;
+            })
+        };
+    };
+
+    /**
+     * getReport()의 결과를 JSON 문자열로 반환합니다. 파일로 저장하거나 서버로 보낼 때 사용합니다.
+     *
+     * @returns {string} JSON 문자열
+     */
+    SvgNamespaceNormalizer.exportReport = function () {
+        return JSON.stringify(SvgNamespaceNormalizer.getReport(), null, 2);
+    };
+
+    /**
+     * 기록한 보고서를 비웁니다.
+     */
+    SvgNamespaceNormalizer.clearReport = function () {
+        reportEntries = [];
+        resetReportTotals();
+    };
+
+    // ------------------------------------------------------------------
+    // 워커 정규화
+    // 이 모듈의 팩토리 소스로 Blob URL 워커를 만들어 같은 정규화기를 메인 스레드 밖에서 실행합니다.
+    // 입력과 결과는 UTF-8 바이트로 바꿔 ArrayBuffer를 전송(transfer)하므로 복사가 없습니다.
+    // ------------------------------------------------------------------
+
+    var normalizerWorker = null;
+    var normalizerWorkerUrl = null;
+    var workerUnavailable = false;
+    var workerRequests = {};
+    var workerRequestId = 0;
+
+    /**
+     * 워커 안에서 실행되는 진입점. 소스 문자열로 옮겨지므로 바깥 변수를 참조하면 안 됩니다.
+     */
+    function workerMain(factory) {
+        var normalizer = factory();
+
+        self.onmessage = function (event) {
+            var data = event.data;
+            var uri;
+            try {
+                // 메인 스레드에서 등록/해제한 네임스페이스 규칙을 그대로 맞춤
+                var current = normalizer.getNamespaces();
+                for (uri in current) {
+                    if (!data.namespaces[uri]) {
+                        normalizer.unregisterNamespace(uri);
+                    }
+                }
+                for (uri in data.namespaces) {
+                    normalizer.registerNamespace(uri, data.namespaces[uri].prefix, data.namespaces[uri].action);
+                }
+
+                var svg = new TextDecoder('utf-8').decode(data.input);
+                var result = normalizer._normalizeWithRewrites(svg, data.options);
+                var output = new TextEncoder().encode(result.svg);
+                self.postMessage({
+                    id: data.id,
+                    output: output,
+                    rewrites: result.rewrites,
+                    issues: result.issues,
+                    passes: result.passes
+                }, [output.buffer]);
+            } catch (error) {
+                self.postMessage({ id: data.id, error: String(error && error.message || error) });
+            }
+        };
+    }
+
+    function canUseWorker() {
+        return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' &&
+            typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function' &&
+            typeof TextEncoder !== 'undefined' && typeof TextDecoder !== 'undefined';
+    }
+
+    /**
+     * 공유 워커를 만들어 반환합니다. 만들 수 없으면(CSP 등) null을 반환하고 다시 시도하지 않습니다.
+     */
+    function getNormalizerWorker() {
+        if (normalizerWorker || workerUnavailable) {
+            return normalizerWorker;
+        }
+        if (!canUseWorker()) {
+            workerUnavailable = true;
+            return null;
+        }
+        try {
+            var source = '(' + workerMain.toString() + ')(' + svgNamespaceNormalizerFactory.toString() + ');';
+            normalizerWorkerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            normalizerWorker = new Worker(normalizerWorkerUrl);
+            normalizerWorker.onmessage = handleWorkerMessage;
+            normalizerWorker.onerror = handleWorkerError;
+        } catch (error) {
+            log('warn', 'worker-unavailable', null, error);
+            terminateNormalizerWorker();
+            workerUnavailable = true;
+        }
+        return normalizerWorker;
+    }
+
+    function terminateNormalizerWorker() {
+        if (normalizerWorker) {
+            normalizerWorker.terminate();
+            normalizerWorker = null;
+        }
+        if (normalizerWorkerUrl) {
+            URL.revokeObjectURL(normalizerWorkerUrl);
+            normalizerWorkerUrl = null;
+        }
+    }
+
+    function handleWorkerMessage(event) {
+        var data = event.data;
+        var request = workerRequests[data.id];
+        if (!request) {
+            return;
+        }
+        delete workerRequests[data.id];
+
+        if (data.error) {
+            request.reject(new Error(data.error));
+        } else {
+            request.resolve({
+                svg: new TextDecoder('utf-8').decode(data.output),
+                rewrites: data.rewrites,
+                issues: data.issues,
+                passes: data.passes
+            });
+        }
+    }
+
+    /**
+     * 워커 스크립트를 불러오지 못했거나 워커가 죽으면, 대기 중인 요청을 모두 동기로 처리합니다.
+     */
+    function handleWorkerError(event) {
+        if (event && typeof event.preventDefault === 'function') {
+            event.preventDefault();
+        }
+        log('warn', 'worker-failed', null, event && event.message);
+        terminateNormalizerWorker();
+        workerUnavailable = true;
+
+        var pending = workerRequests;
+        workerRequests = {};
+        for (var id in pending) {
+            settleSync(pending[id], pending[id].svg, pending[id].options);
+        }
+    }
+
+    function settleSync(request, svgString, options) {
+        try {
+            request.resolve(SvgNamespaceNormalizer._normalizeWithRewrites(svgString, options));
+        } catch (error) {
+            request.reject(error);
+        }
+    }
+
+    /**
+     * 워커로 보낼 수 있는 옵션만 남깁니다. (함수는 구조화 복제가 안 됨)
+     */
+    function toWorkerOptions(options) {
+        var resolved = resolveOptions(options);
+        var plain = {};
+        for (var key in resolved) {
+            if (typeof resolved[key] !== 'function') {
+                plain[key] = resolved[key];
+            }
+        }
+        return plain;
+    }
+
+    /**
+     * normalize()와 같은 결과를 워커에서 비동기로 계산합니다.
+     * 큰 SVG를 정규화하는 동안 메인 스레드(모양 탭 UI)가 멈추지 않습니다.
+     *
+     * 워커를 쓸 수 없는 환경(Node.js, Worker 미지원, CSP로 blob: 워커 차단)에서는
+     * 자동으로 동기 normalize()로 처리합니다.
+     *
+     * @param {string} svgString - SVG 문자열
+     * @param {Object} [options] - normalize()와 같은 옵션
+     * @returns {Promise<string>} 정규화된 SVG 문자열
+     *
+     * @example
+     * SvgNamespaceNormalizer.normalizeAsync(hugeSvg).then(function (svg) {
+     *     paint.addSVG(SvgNamespaceNormalizer.toDataUrl(svg));
+     * });
+     */
+    SvgNamespaceNormalizer.normalizeAsync = function (svgString, options) {
+        return normalizeCachedAsync(svgString, options, function () {
+            return normalizeInWorker(svgString, options);
+        }).then(function (result) {
+            return result.svg;
+        });
+    };
+
+    /**
+     * 워커에서 정규화하고 { svg, rewrites, issues }를 반환합니다. 워커를 쓸 수 없으면 동기로 처리합니다.
+     */
+    function normalizeInWorker(svgString, options) {
+        return new Promise(function (resolve, reject) {
+            var request = { resolve: resolve, reject: reject, svg: svgString, options: options };
+            // registerTransform()으로 추가한 패스(함수)는 워커로 보낼 수 없으므로 동기로 처리
+            var worker = svgString && typeof svgString === 'string' &&
+                !hasCustomTransforms(resolveOptions(options)) ? getNormalizerWorker() : null;
+
+            if (!worker) {
+                settleSync(request, svgString, options);
+                return;
+            }
+
+            var id = ++workerRequestId;
+            var input = new TextEncoder().encode(svgString);
+            workerRequests[id] = request;
+            try {
+                worker.postMessage({
+                    id: id,
+                    input: input,
+                    options: toWorkerOptions(options),
+                    namespaces: SvgNamespaceNormalizer.getNamespaces()
+                }, [input.buffer]);
+            } catch (error) {
+                delete workerRequests[id];
+                settleSync(request, svgString, options);
+            }
+        });
+    }
+
+    /**
+     * 자동 패치에서 사용합니다. defaults.asyncThreshold 이상이면 워커에서 정규화합니다.
+     *
+     * @returns {Promise<{svg: string, rewrites: Array<Object>, issues: Array<Object>}>}
+     */
+    function normalizeForPatch(svgString) {
+        var threshold = SvgNamespaceNormalizer.defaults.asyncThreshold;
+        return normalizeCachedAsync(svgString, null, function () {
+            if (typeof threshold === 'number' && svgString && svgString.length >= threshold) {
+                return normalizeInWorker(svgString);
+            }
+            return Promise.resolve(SvgNamespaceNormalizer._normalizeWithRewrites(svgString));
+        });
+    }
+
+    /**
+     * 네임스페이스 URI에 대한 정규화 규칙을 등록합니다. 같은 URI로 다시 등록하면 덮어씁니다.
+     *
+     * @param {string} uri - 네임스페이스 URI
+     * @param {string} canonicalPrefix - 표준 접두사 (예: 'xlink')
+     * @param {string} [action='prefix'] - 'prefix' | 'default' | 'drop'
+     *
+     * @example
+     * // 자체 편집기 네임스페이스를 항상 my: 접두사로 통일
+     * SvgNamespaceNormalizer.registerNamespace('http://example.com/ns/editor', 'my');
+     * // 특정 네임스페이스의 요소와 속성을 모두 제거
+     * SvgNamespaceNormalizer.registerNamespace('http://example.com/ns/private', 'priv', 'drop');
+     */
+    SvgNamespaceNormalizer.registerNamespace = function (uri, canonicalPrefix, action) {
+        action = action || 'prefix';
+        if (!uri || typeof uri !== 'string') {
+            throw new Error('Namespace URI must be a non-empty string');
+        }
+        if (NAMESPACE_ACTIONS.indexOf(action) === -1) {
+            throw new Error('Unknown namespace action: ' + action);
+        }
+        if (typeof canonicalPrefix !== 'string' || !/^[A-Za-z_][\w.-]*$/.test(canonicalPrefix) ||
+            canonicalPrefix.toLowerCase().indexOf('xml') === 0 && uri !== XML_NS) {
+            throw new Error('Invalid namespace prefix: ' + canonicalPrefix);
+        }
+        if (uri === XMLNS_NS) {
+            throw new Error('The xmlns namespace cannot be registered');
+        }
+        setNamespaceRule(uri, canonicalPrefix, action);
+    };
+
+    /**
+     * 등록된 네임스페이스 규칙을 제거합니다. 제거된 URI의 접두사는 그대로 유지됩니다.
+     *
+     * @param {string} uri - 네임스페이스 URI
+     * @returns {boolean} 규칙이 있었으면 true
+     */
+    SvgNamespaceNormalizer.unregisterNamespace = function (uri) {
+        if (!Object.prototype.hasOwnProperty.call(namespaceRules, uri)) {
+            return false;
+        }
+        delete namespaceRules[uri];
+        return true;
+    };
+
+    /**
+     * 현재 등록된 네임스페이스 규칙의 복사본을 반환합니다.
+     *
+     * @returns {Object<string, {prefix: string, action: string}>} URI별 규칙
+     */
+    SvgNamespaceNormalizer.getNamespaces = function () {
+        var copy = {};
+        for (var uri in namespaceRules) {
+            copy[uri] = { prefix: namespaceRules[uri].prefix, action: namespaceRules[uri].action };
+        }
+        return copy;
+    };
+
+    /**
+     * SVG URL에서 SVG를 가져와서 네임스페이스를 정규화합니다.
+     * defaults.asyncThreshold 이상인 SVG는 워커에서 정규화합니다. (normalizeAsync 참고)
+     * defaults.cache를 켜면 한 번 정규화한 내용은 결과 캐시에서 재사용합니다. (configureCache 참고)
+     * 
+     * @param {string} url - SVG 파일 URL
+     * @param {Object} [options] - 옵션
+     * @param {Object} [options.fetchOptions] - fetch 옵션
+     * @param {boolean} [options.resolveImages] - url을 기준으로 외부 이미지를 Data URL로 넣음
+     *   (기본: defaults.resolveImages, resolveImages 참고)
+     * @returns {Promise<string>} 정규화된 SVG 문자열
+     */
+    SvgNamespaceNormalizer.fetchAndNormalize = function (url, options) {
+        options = options || {};
+        var fetchOptions = options.fetchOptions || {};
+        var resolveImages = options.resolveImages !== undefined ?
+            options.resolveImages : SvgNamespaceNormalizer.defaults.resolveImages;
+
+        return fetch(url, fetchOptions)
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error('Failed to fetch SVG: ' + response.status);
+                }
+                return response.text();
+            })
+            .then(function (svgText) {
+                if (!resolveImages) {
+                    return svgText;
+                }
+                return SvgNamespaceNormalizer.resolveImages(svgText, { baseUrl: url }).then(function (result) {
+                    return result.svg;
+                });
+            })
+            .then(function (svgText) {
+                return normalizeForPatch(svgText);
+            })
+            .then(function (result) {
+                return result.svg;
+            });
+    };
+
+    /**
+     * SVG 문자열을 정규화된 Data URL로 변환합니다.
+     * 
+     * @param {string} svgString - SVG 문자열
+     * @returns {string} 정규화된 SVG의 Data URL
+     */
+    SvgNamespaceNormalizer.toDataUrl = function (svgString) {
+        if (!svgString || typeof svgString !== 'string') {
+            return encodeSvgDataUrl(svgString);
+        }
+        var entry = normalizeCached(svgString);
+        if (!entry.dataUrl) {
+            entry.dataUrl = encodeSvgDataUrl(entry.result.svg);
+            growCacheEntry(entry, entry.dataUrl.length);
+        }
+        return entry.dataUrl;
+    };
+
+    function encodeSvgDataUrl(svgString) {
+        return 'data:image/svg+xml,' + encodeSvgDataPayload(svgString);
+    }
+
+    function encodeSvgDataPayload(svgString) {
+        return encodeURIComponent(svgString)
+            .replace(/'/g, '%27')
+            .replace(/"/g, '%22');
+    }
+
+    var SVG_DATA_URL_PATTERN = /^data:image\/svg\+xml([^,]*),/i;
+
+    function isSvgDataUrl(url) {
+        return typeof url === 'string' && SVG_DATA_URL_PATTERN.test(url);
+    }
+
+    /**
+     * SVG Data URL을 디코딩해 정규화한 뒤 원래와 같은 형식(base64 또는 퍼센트 인코딩)으로 다시 인코딩합니다.
+     * SVG Data URL이 아니거나, 디코딩할 수 없거나, 바뀐 것이 없으면 받은 값을 그대로 반환합니다.
+     *
+     * @param {string} url - data:image/svg+xml;base64,... 또는 data:image/svg+xml,... 형식의 URL
+     * @param {Object} [options] - normalize()와 같은 옵션
+     * @returns {string} 정규화된 SVG의 Data URL
+     *
+     * @example
+     * SvgNamespaceNormalizer.normalizeDataUrl('data:image/svg+xml;base64,PG5zMDpzdmcg...');
+     * // -> 'data:image/svg+xml;base64,PHN2ZyB4bWxu...'
+     */
+    SvgNamespaceNormalizer.normalizeDataUrl = function (url, options) {
+        var rewritten = rewriteDataUrl(url, options);
+        return rewritten ? rewritten.url : url;
+    };
+
+    /**
+     * SVG Data URL을 정규화하고 { url, svg: 디코딩한 원본 SVG, result: _normalizeWithRewrites() 결과 }를
+     * 반환합니다. SVG Data URL이 아니거나 디코딩할 수 없으면 null을 반환합니다.
+     */
+    function rewriteDataUrl(url, options) {
+        var match = isSvgDataUrl(url) && SVG_DATA_URL_PATTERN.exec(url);
+        if (!match) {
+            return null;
+        }
+        var header = match[0];
+        var payload = url.slice(header.length);
+        var isBase64 = /;base64$/i.test(match[1]);
+        var svg;
+
+        try {
+            svg = isBase64 ? decodeBase64Utf8(payload) : decodeURIComponent(payload);
+        } catch (e) {
+            log('warn', 'data-url-decode-failed', null, e);
+            return null;
+        }
+
+        var result = SvgNamespaceNormalizer._normalizeWithRewrites(svg, options);
+        return {
+            url: result.svg === svg ? url :
+                header + (isBase64 ? encodeBase64Utf8(result.svg) : encodeSvgDataPayload(result.svg)),
+            svg: svg,
+            result: result
+        };
+    }
+
+    /**
+     * 자동 패치에서 SVG Data URL을 정규화하고 결과를 이벤트로 알립니다.
+     * 보고 전용 모드에서는 결과를 보고서에만 기록하고 원래 URL을 반환합니다.
+     */
+    function normalizeDataUrlForPatch(source, url) {
+        var rewritten = rewriteDataUrl(url);
+        if (!rewritten) {
+            return url;
+        }
+        reportNormalization(source, url, rewritten.svg.length, rewritten.result);
+        if (isReportOnly()) {
+            recordForReport(source, url, rewritten.svg, rewritten.result);
+            return url;
+        }
+        return rewritten.url;
+    }
+
+    /**
+     * SVG 문자열을 정규화된 Blob URL로 변환합니다.
+     * 다 사용한 URL은 호출자가 URL.revokeObjectURL()로 해제해야 합니다.
+     * 단, 캐시를 켜 두었고(defaults.cache) 결과가 캐시에 보관되면 같은 SVG에는 캐시에 있는 같은 URL을
+     * 돌려주며, 이 URL은 캐시에서 밀려나거나 clearCache()를 호출할 때 해제되므로 직접 해제하지 마세요.
+     * maxSize보다 커서 캐시에 보관되지 않는 결과는 매번 새 URL을 만듭니다.
+     * 
+     * @param {string} svgString - SVG 문자열
+     * @returns {string} 정규화된 SVG의 Blob URL
+     */
+    SvgNamespaceNormalizer.toBlobUrl = function (svgString) {
+        if (!svgString || typeof svgString !== 'string') {
+            return URL.createObjectURL(new Blob([String(svgString)], { type: 'image/svg+xml' }));
+        }
+        var entry = normalizeCached(svgString);
+        // 캐시에 없는 항목에 붙인 URL은 아무도 해제하지 않으므로 호출자에게 넘김
+        if (!entry.key || cacheEntries[entry.key] !== entry) {
+            return URL.createObjectURL(new Blob([entry.result.svg], { type: 'image/svg+xml' }));
+        }
+        if (!entry.blobUrl) {
+            entry.blobUrl = URL.createObjectURL(new Blob([entry.result.svg], { type: 'image/svg+xml' }));
+        }
+        return entry.blobUrl;
+    };
+
+    /**
+     * XMLHttpRequest를 사용하여 SVG를 가져와서 정규화합니다.
+     * (fetch를 지원하지 않는 환경용)
+     * 
+     * @param {string} url - SVG 파일 URL
+     * @param {function} callback - 콜백 함수 (error, normalizedSvg)
+     */
+    SvgNamespaceNormalizer.loadAndNormalize = function (url, callback) {
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', url, true);
+        xhr.onreadystatechange = function () {
+            if (xhr.readyState === 4) {
+                if (xhr.status === 200) {
+                    try {
+                        var normalized = SvgNamespaceNormalizer.normalize(xhr.responseText);
+                        callback(null, normalized);
+                    } catch (e) {
+                        callback(e, null);
+                    }
+                } else {
+                    callback(new Error('Failed to load SVG: ' + xhr.status), null);
+                }
+            }
+        };
+        xhr.onerror = function () {
+            callback(new Error('Network error while loading SVG'), null);
+        };
+        xhr.send();
+    };
+
+    /**
+     * DOM에서 SVG 요소의 네임스페이스를 정규화합니다.
+     * 
+     * @param {Element} svgElement - SVG DOM 요소
+     * @returns {Element} 정규화된 SVG DOM 요소 (새로 생성됨)
+     */
+    SvgNamespaceNormalizer.normalizeElement = function (svgElement) {
+        if (!svgElement) {
+            return svgElement;
+        }
+
+        var serializer = new XMLSerializer();
+        var svgString = serializer.serializeToString(svgElement);
+        var normalized = SvgNamespaceNormalizer.normalize(svgString);
+
+        var parser = new DOMParser();
+        var doc = parser.parseFromString(normalized, 'image/svg+xml');
+
+        // 파싱 에러 체크
+        var parserError = doc.querySelector('parsererror');
+        if (parserError) {
+            log('error', 'parse-error', null, parserError.textContent);
+            return svgElement; // 원본 반환
+        }
+
+        return doc.documentElement;
+    };
+
+    /**
+     * Entry.Utils에 추가하는 함수 이름 -> SvgNamespaceNormalizer 함수 이름
+     */
+    var ENTRY_UTILS_EXPORTS = {
+        normalizeSvgNamespace: 'normalize',
+        hasSvgNamespaceIssue: 'hasIssue',
+        fetchAndNormalizeSvg: 'fetchAndNormalize',
+        svgToNormalizedDataUrl: 'toDataUrl',
+        svgToNormalizedBlobUrl: 'toBlobUrl',
+        loadAndNormalizeSvg: 'loadAndNormalize',
+        normalizeSvgElement: 'normalizeElement'
+    };
+
+    function restoreEntryUtils() {
+        if (!entryUtilsBackup) {
+            return;
+        }
+        var utils = entryUtilsBackup.utils;
+        if (entryUtilsBackup.created) {
+            if (typeof Entry !== 'undefined' && Entry.Utils === utils) {
+                delete Entry.Utils;
+            }
+        } else {
+            for (var key in entryUtilsBackup.values) {
+                var saved = entryUtilsBackup.values[key];
+                if (saved.own) {
+                    utils[key] = saved.value;
+                } else {
+                    delete utils[key];
+                }
+            }
+        }
+        entryUtilsBackup = null;
+        SvgNamespaceNormalizer._entryIntegrated = false;
+    }
+
+    /**
+     * Entry.js와 통합하기 위한 함수
+     * Entry.Utils에 함수들을 추가하고, 기존 함수들을 덮어씁니다.
+     */
+    SvgNamespaceNormalizer.integrateWithEntry = function () {
+        // 이미 통합되었으면 중복 실행 방지
+        if (SvgNamespaceNormalizer._entryIntegrated) {
+            return true;
+        }
+
+        if (typeof Entry === 'undefined') {
+            return false;
+        }
+        
+        // Entry.Utils가 없으면 생성
+        var created = !Entry.Utils;
+        if (created) {
+            isIntegrating = true;
+            Entry.Utils = {};
+            isIntegrating = false;
+        }
+
+        // SVG 네임스페이스 정규화 함수들 추가 (기존 함수 덮어쓰기, uninstall()에서 복원)
+        entryUtilsBackup = { utils: Entry.Utils, created: created, values: {} };
+        for (var key in ENTRY_UTILS_EXPORTS) {
+            entryUtilsBackup.values[key] = {
+                own: Object.prototype.hasOwnProperty.call(Entry.Utils, key),
+                value: Entry.Utils[key]
+            };
+            Entry.Utils[key] = SvgNamespaceNormalizer[ENTRY_UTILS_EXPORTS[key]];
+        }
+
+        // 통합 완료 플래그 설정
+        SvgNamespaceNormalizer._entryIntegrated = true;
+
+        reportPatched('entry-utils');
+        return true;
+    };
+
+    function canStreamResponse(response) {
+        return typeof TransformStream !== 'undefined' && typeof TextDecoder !== 'undefined' &&
+            response.body && typeof response.body.pipeThrough === 'function';
+    }
+
+    /**
+     * 응답 본문을 정규화 스트림에 연결한 새 Response를 만듭니다.
+     * 본문을 미리 읽지 않으므로 첫 바이트가 바로 전달되고 큰 SVG도 메모리에 모아두지 않습니다.
+     */
+    function streamNormalizedResponse(response, urlStr) {
+        var stream = SvgNamespaceNormalizer.createNormalizeStream({
+            onFinish: function (rewrites, stats) {
+                reportNormalization('fetch', urlStr, stats.inputLength, {
+                    normalizedSize: stats.outputLength,
+                    rewrites: rewrites
+                });
+            },
+            // 정규화 중 예외가 나면 응답을 실패시키지 않고 남은 본문을 원본 그대로 전달
+            onError: function (error) {
+                reportFailure('fetch', urlStr, error);
+            }
+        });
+
+        // 정규화 후 길이가 달라질 수 있으므로 content-length는 제거
+        var headers = new Headers(response.headers);
+        headers.delete('content-length');
+
+        return new Response(response.body.pipeThrough(stream), {
+            status: response.status,
+            statusText: response.statusText,
+            headers: headers
+        });
+    }
+
+    /**
+     * fetch API를 패치하여 SVG 요청을 자동으로 정규화합니다.
+     * 스트림을 지원하는 환경에서는 응답 본문을 스트리밍으로 정규화합니다. (defaults.streaming)
+     * defaults.reportOnly가 true이면 응답을 바꾸지 않고 보고서에만 기록합니다.
+     * 요청 본문(options.body나 Request의 본문)에 SVG가 있으면 보내기 전에 정규화합니다.
+     * (defaults.normalizeUploads)
+     */
+    SvgNamespaceNormalizer.patchFetch = function () {
+        if (typeof fetch === 'undefined' || originalFetch) {
+            return; // fetch가 없거나 이미 패치됨
+        }
+
+        originalFetch = fetch;
+
+        window.fetch = function (url, options) {
+            // SVG Data URL은 요청 전에 URL 자체를 정규화
+            if (isSvgDataUrl(url)) {
+                return originalFetch.call(this, normalizeDataUrlForPatch('fetch', url), options);
+            }
+
+            var urlStr = typeof url === 'string' ? url : (url && url.url) || String(url || '');
+            var body = options ? prepareUploadBody(urlStr, options.body) : undefined;
+            if (body === undefined && (!options || options.body === undefined) && isRequest(url)) {
+                // new Request(url, { body })로 만든 요청은 복제본에서 본문을 읽어 확인
+                var request = prepareRequestBody(urlStr, url);
+                if (request !== undefined) {
+                    var context = this;
+                    return request.then(function (preparedRequest) {
+                        return fetchAndNormalizeResponse(context, [preparedRequest, options], urlStr);
+                    });
+                }
+            }
+            if (body === undefined) {
+                return fetchAndNormalizeResponse(this, arguments, urlStr);
+            }
+
+            // Blob/FormData 본문은 읽은 뒤에 보냄
+            var self = this;
+            return Promise.resolve(body).then(function (preparedBody) {
+                var preparedOptions = {};
+                for (var key in options) {
+                    preparedOptions[key] = options[key];
+                }
+                preparedOptions.body = preparedBody;
+                return fetchAndNormalizeResponse(self, [url, preparedOptions], urlStr);
+            });
+        };
+
+        function fetchAndNormalizeResponse(context, args, urlStr) {
+            return originalFetch.apply(context, args).then(function (response) {
+                // SVG 요청인지 확인
+                var contentType = response.headers.get('content-type') || '';
+                var isSvg = isSvgUrl(urlStr) || isSvgContentType(contentType);
+
+                if (isSvg && isReportOnly()) {
+                    // 보고 전용: 응답은 기다리지 않고 그대로 돌려주고, 복제본으로 검사만 함
+                    response.clone().text().then(function (svgText) {
+                        inspectForReport('fetch', urlStr, svgText);
+                    }, function (error) {
+                        reportFailure('fetch', urlStr, error);
+                    });
+                    return response;
+                }
+
+                if (isSvg && SvgNamespaceNormalizer.defaults.streaming && canStreamResponse(response)) {
+                    return streamNormalizedResponse(response, urlStr);
+                }
+
+                if (isSvg) {
+                    // 원본 response를 복제하여 text를 읽고 정규화
+                    // 큰 SVG는 워커에서 정규화 (defaults.asyncThreshold)
+                    return response.clone().text().then(function (svgText) {
+                        return normalizeForPatch(svgText).then(function (result) {
+                            reportNormalization('fetch', urlStr, svgText.length, result);
+                            if (result.svg === svgText) {
+                                return response;
+                            }
+
+                            // 새로운 Response 객체 생성
+                            return new Response(result.svg, {
+                                status: response.status,
+                                statusText: response.statusText,
+                                headers: response.headers
+                            });
+                        });
+                    }).catch(function (error) {
+                        reportFailure('fetch', urlStr, error);
+                        return response;
+                    });
+                }
+
+                return response;
+            });
+        }
+
+        reportPatched('fetch');
+    };
+
+    /**
+     * URL 경로가 .svg로 끝나는지 확인합니다. (쿼리 문자열과 해시는 무시)
+     */
+    function isSvgUrl(url) {
+        if (!url) {
+            return false;
+        }
+        var path = String(url).split(/[?#]/)[0];
+        return path.toLowerCase().slice(-4) === '.svg';
+    }
+
+    function isSvgContentType(contentType) {
+        return /image\/svg/i.test(contentType || '');
+    }
+
+    // ------------------------------------------------------------------
+    // XMLHttpRequest 패치
+    // 리스너 종류(onreadystatechange, onload, addEventListener)와 등록 시점에 상관없이
+    // 정규화된 응답이 보이도록 XMLHttpRequest.prototype의 응답 getter를 감쌉니다.
+    // 요청마다 정규화는 한 번만 하고 결과를 xhr._svgNormalizer에 보관합니다.
+    // ------------------------------------------------------------------
+
+    function isSvgXhr(xhr, state) {
+        return isSvgUrl(state.url) || isSvgUrl(xhr.responseURL) ||
+            isSvgContentType(originalXHR.getResponseHeader.call(xhr, 'content-type'));
+    }
+
+    function xhrGetter(name) {
+        return originalXHR.descriptors[name].get;
+    }
+
+    function realResponseType(xhr) {
+        return originalXHR.descriptors.responseType ? xhrGetter('responseType').call(xhr) : xhr.responseType;
+    }
+
+    /**
+     * 응답 본문을 responseType에 맞게 텍스트로 읽어 정규화합니다.
+     * 바뀐 것이 없으면 null을 반환합니다.
+     */
+    function normalizeXhrBody(xhr, state) {
+        var type = realResponseType(xhr);
+        var text = null;
+
+        if (type === '' || type === 'text') {
+            text = xhrGetter('responseText').call(xhr);
+        } else if (type === 'document' && typeof XMLSerializer !== 'undefined') {
+            var doc = xhrGetter('response').call(xhr);
+            text = doc ? new XMLSerializer().serializeToString(doc) : null;
+        } else if (type === 'arraybuffer' && typeof TextDecoder !== 'undefined') {
+            var buffer = xhrGetter('response').call(xhr);
+            text = buffer ? new TextDecoder('utf-8').decode(buffer) : null;
+        }
+
+        if (!text) {
+            return null;
+        }
+        var result = SvgNamespaceNormalizer._normalizeWithRewrites(text);
+        reportNormalization('xhr', state.url, text.length, result);
+        if (isReportOnly()) {
+            recordForReport('xhr', state.url, text, result);
+            return null;
+        }
+        return result.svg === text ? null : { text: result.svg };
+    }
+
+    /**
+     * 완료된 SVG 요청의 정규화 결과를 반환합니다. 해당 없거나 바뀐 것이 없으면 null입니다.
+     */
+    function readNormalizedXhr(xhr) {
+        var state = xhr._svgNormalizer;
+        if (!state || xhr.readyState !== 4 || xhr.status < 200 || xhr.status >= 300) {
+            return null;
+        }
+        if (state.result === undefined) {
+            state.result = null;
+            if (isSvgXhr(xhr, state)) {
+                try {
+                    state.result = normalizeXhrBody(xhr, state);
+                } catch (e) {
+                    reportFailure('xhr', state.url, e);
+                }
+            }
+        }
+        return state.result;
+    }
+
+    function normalizedXhrDocument(state, original) {
+        if (!state.document) {
+            if (typeof DOMParser === 'undefined') {
+                return original;
+            }
+            state.document = new DOMParser().parseFromString(state.result.text, 'image/svg+xml');
+        }
+        return state.document;
+    }
+
+    function normalizedXhrBuffer(state, original) {
+        if (state.result && !state.buffer) {
+            state.buffer = new TextEncoder().encode(state.result.text).buffer;
+        }
+        return state.buffer || original;
+    }
+
+    var xhrResponseGetters = {
+        responseText: function (original) {
+            var value = original.call(this);
+            var normalized = readNormalizedXhr(this);
+            return normalized ? normalized.text : value;
+        },
+
+        responseXML: function (original) {
+            var value = original.call(this);
+            return readNormalizedXhr(this) ? normalizedXhrDocument(this._svgNormalizer, value) : value;
+        },
+
+        response: function (original) {
+            var value = original.call(this);
+            var state = this._svgNormalizer;
+            if (!state || this.readyState !== 4) {
+                return value;
+            }
+
+            var normalized = readNormalizedXhr(this);
+            var type = realResponseType(this);
+            if (type === '' || type === 'text') {
+                return normalized ? normalized.text : value;
+            }
+            if (type === 'document') {
+                return normalized ? normalizedXhrDocument(state, value) : value;
+            }
+            if (type === 'arraybuffer') {
+                var buffer = normalizedXhrBuffer(state, value);
+                if (state.requestedType === 'blob' && buffer) {
+                    // blob으로 요청한 것을 arraybuffer로 받았으므로 다시 Blob으로 감쌈
+                    if (!state.blob) {
+                        state.blob = new Blob([buffer], {
+                            type: originalXHR.getResponseHeader.call(this, 'content-type') || 'image/svg+xml'
+                        });
+                    }
+                    return state.blob;
+                }
+                return buffer;
+            }
+            return value;
+        },
+
+        responseType: function (original) {
+            var state = this._svgNormalizer;
+            return state && state.requestedType ? state.requestedType : original.call(this);
+        }
+    };
+
+    /**
+     * Blob은 동기로 읽을 수 없으므로, 헤더를 받았을 때 SVG이면 arraybuffer로 받도록 바꿉니다.
+     * (responseType은 HEADERS_RECEIVED 상태까지 바꿀 수 있음)
+     */
+    function switchBlobToArrayBuffer() {
+        var state = this._svgNormalizer;
+        if (!originalXHR || this.readyState !== 2 || !state || state.requestedType) {
+            return;
+        }
+        if (realResponseType(this) === 'blob' && isSvgXhr(this, state)) {
+            try {
+                originalXHR.descriptors.responseType.set.call(this, 'arraybuffer');
+                state.requestedType = 'blob';
+            } catch (e) {
+                // 동기 요청 등 바꿀 수 없는 경우 원본 Blob을 그대로 전달
+            }
+        }
+    }
+
+    /**
+     * XMLHttpRequest를 패치하여 SVG 요청을 자동으로 정규화합니다.
+     *
+     * URL이 .svg로 끝나거나 응답 Content-Type이 image/svg+xml이면 SVG로 봅니다.
+     * responseType이 '', 'text', 'document', 'arraybuffer', 'blob'인 경우와
+     * responseXML을 모두 정규화하며, 리스너를 언제 어떤 방식으로 등록했는지와 무관합니다.
+     * send()로 보내는 본문의 SVG도 정규화합니다. (defaults.normalizeUploads)
+     */
+    SvgNamespaceNormalizer.patchXHR = function () {
+        if (typeof XMLHttpRequest === 'undefined' || originalXHR) {
+            return; // XMLHttpRequest가 없거나 이미 패치됨
+        }
+
+        var proto = XMLHttpRequest.prototype;
+        originalXHR = {
+            open: proto.open,
+            send: proto.send,
+            abort: proto.abort,
+            getResponseHeader: proto.getResponseHeader,
+            descriptors: {}
+        };
+
+        Object.keys(xhrResponseGetters).forEach(function (name) {
+            var descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (!descriptor || !descriptor.get || !descriptor.configurable) {
+                log('warn', 'cannot-patch', { target: 'XMLHttpRequest.' + name });
+                return;
+            }
+            originalXHR.descriptors[name] = descriptor;
+
+            var wrap = xhrResponseGetters[name];
+            Object.defineProperty(proto, name, {
+                configurable: true,
+                enumerable: descriptor.enumerable,
+                get: function () {
+                    return wrap.call(this, descriptor.get);
+                },
+                set: descriptor.set && function (value) {
+                    if (name === 'responseType' && this._svgNormalizer) {
+                        this._svgNormalizer.requestedType = null;
+                    }
+                    descriptor.set.call(this, value);
+                }
+            });
+        });
+
+        proto.open = function (method, url) {
+            this._svgNormalizer = {
+                url: url ? String(url) : '',
+                async: arguments.length < 3 || !!arguments[2],
+                requestedType: null,
+                result: undefined,
+                aborted: false,
+                sending: false  // 본문을 읽는 중이라 아직 원래 send()를 호출하지 않음
+            };
+            return originalXHR.open.apply(this, arguments);
+        };
+
+        proto.send = function (body) {
+            var state = this._svgNormalizer;
+            // 같은 리스너는 한 번만 등록되므로 재사용되는 xhr에서도 안전
+            if (state && originalXHR.descriptors.responseType) {
+                this.addEventListener('readystatechange', switchBlobToArrayBuffer);
+            }
+
+            // 본문의 SVG는 보내기 전에 정규화 (defaults.normalizeUploads)
+            // Blob/FormData는 비동기로 읽어야 하므로 열린 비동기 요청에서만 읽은 뒤에 보냄.
+            // 상태 오류는 원래 send()처럼 바로 던지도록 열리지 않았거나 이미 보낸 요청은 그대로 넘김
+            var prepared = state && !state.sending && (typeof body === 'string' ||
+                (state.async && this.readyState === 1)) ? prepareUploadBody(state.url, body) : undefined;
+            if (typeof prepared === 'string') {
+                return originalXHR.send.call(this, prepared);
+            }
+            if (state && state.sending) {
+                throw createDOMException('Failed to execute \'send\' on \'XMLHttpRequest\': ' +
+                    'The object\'s state must be OPENED.', 'InvalidStateError');
+            }
+            if (prepared !== undefined) {
+                var xhr = this;
+                state.sending = true;
+                prepared.then(function (preparedBody) {
+                    state.sending = false;
+                    // 그 사이에 abort()나 open()이 호출되었으면 보내지 않음
+                    if (xhr._svgNormalizer === state && !state.aborted) {
+                        originalXHR.send.call(xhr, preparedBody);
+                    }
+                }).catch(function (error) {
+                    // send()가 이미 반환했으므로 예외 대신 요청이 실패했을 때와 같은 이벤트로 알림
+                    state.sending = false;
+                    reportFailure('upload', state.url, error);
+                    dispatchXHRFailure(xhr);
+                });
+                return undefined;
+            }
+            return originalXHR.send.apply(this, arguments);
+        };
+
+        proto.abort = function () {
+            if (this._svgNormalizer) {
+                this._svgNormalizer.aborted = true;
+            }
+            return originalXHR.abort.apply(this, arguments);
+        };
+
+        reportPatched('xhr');
+    };
+
+    function createDOMException(message, name) {
+        if (typeof DOMException === 'function') {
+            return new DOMException(message, name);
+        }
+        var error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    /**
+     * 보내지 못한 요청에 네트워크 오류와 같은 error, loadend 이벤트를 보냅니다.
+     */
+    function dispatchXHRFailure(xhr) {
+        ['error', 'loadend'].forEach(function (type) {
+            var event = typeof ProgressEvent === 'function' ? new ProgressEvent(type) : new Event(type);
+            xhr.dispatchEvent(event);
+        });
+    }
+
+    function unpatchXHR() {
+        if (!originalXHR) {
+            return;
+        }
+        var proto = XMLHttpRequest.prototype;
+        proto.open = originalXHR.open;
+        proto.send = originalXHR.send;
+        proto.abort = originalXHR.abort;
+        for (var name in originalXHR.descriptors) {
+            Object.defineProperty(proto, name, originalXHR.descriptors[name]);
+        }
+        originalXHR = null;
+    }
+
+    // ------------------------------------------------------------------
+    // 로컬 파일 패치
+    // <input type=file>이나 드래그 앤 드롭으로 고른 SVG 파일은 fetch/XHR을 거치지 않으므로
+    // FileReader와 Blob.prototype.text에서 정규화합니다.
+    // ------------------------------------------------------------------
+
+    var FILE_READER_METHODS = ['readAsText', 'readAsDataURL', 'readAsArrayBuffer'];
+
+    /**
+     * MIME 형식이 image/svg+xml이거나, 형식이 비어 있는 파일(일부 OS의 드래그 앤 드롭)의 이름이 .svg인 경우
+     */
+    function isSvgBlob(blob) {
+        return !!blob && (isSvgContentType(blob.type) || (typeof blob.name === 'string' && isSvgUrl(blob.name)));
+    }
+
+    function decodeBase64Utf8(base64) {
+        var binary = atob(base64);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    function encodeBase64Utf8(text) {
+        return encodeBase64Bytes(new TextEncoder().encode(text));
+    }
+
+    function encodeBase64Bytes(bytes) {
+        var chunks = [];
+        // String.fromCharCode 인자 수 제한을 피하기 위해 나눠서 변환
+        for (var i = 0; i < bytes.length; i += 0x8000) {
+            chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+        }
+        return btoa(chunks.join(''));
+    }
+
+    /**
+     * 읽기 방식에 맞게 FileReader 결과를 정규화합니다. 바뀐 것이 없으면 원래 값을 반환합니다.
+     */
+    function normalizeReaderResult(method, value, fileName) {
+        var svg, comma;
+        if (method === 'readAsText') {
+            svg = value;
+        } else if (method === 'readAsArrayBuffer') {
+            svg = new TextDecoder('utf-8').decode(value);
+        } else {
+            // readAsDataURL은 항상 base64로 인코딩됨 (data:<type>;base64,<payload>)
+            comma = value.indexOf(',');
+            svg = decodeBase64Utf8(value.slice(comma + 1));
+        }
+
+        var result = SvgNamespaceNormalizer._normalizeWithRewrites(svg);
+        reportNormalization('file', fileName, svg.length, result);
+        if (isReportOnly()) {
+            recordForReport('file', fileName, svg, result);
+            return value;
+        }
+        if (result.svg === svg) {
+            return value;
+        }
+        if (method === 'readAsText') {
+            return result.svg;
+        }
+        if (method === 'readAsArrayBuffer') {
+            return new TextEncoder().encode(result.svg).buffer;
+        }
+        return value.slice(0, comma + 1) + encodeBase64Utf8(result.svg);
+    }
+
+    /**
+     * FileReader의 readAsText/readAsDataURL/readAsArrayBuffer와 Blob.prototype.text를 패치하여
+     * 사용자가 고른 SVG 파일(image/svg+xml 또는 .svg 파일)을 읽을 때 자동으로 정규화합니다.
+     *
+     * 읽기 자체는 원본 파일로 진행하고, 완료된 뒤 reader.result(= event.target.result)를 읽을 때
+     * 한 번만 정규화합니다.
+     */
+    SvgNamespaceNormalizer.patchFileReader = function () {
+        if (originalFileApis) {
+            return; // 이미 패치됨
+        }
+        var hasReader = typeof FileReader !== 'undefined';
+        var hasBlobText = typeof Blob !== 'undefined' && typeof Blob.prototype.text === 'function';
+        if (!hasReader && !hasBlobText) {
+            return;
+        }
+        originalFileApis = { methods: {}, result: null, blobText: null };
+
+        if (hasReader) {
+            var proto = FileReader.prototype;
+            FILE_READER_METHODS.forEach(function (method) {
+                var original = originalFileApis.methods[method] = proto[method];
+                proto[method] = function (blob) {
+                    this._svgNormalizer = isSvgBlob(blob) ?
+                        { method: method, name: blob.name || '', done: false, result: null } : null;
+                    return original.apply(this, arguments);
+                };
+            });
+
+            var descriptor = Object.getOwnPropertyDescriptor(proto, 'result');
+            if (descriptor && descriptor.get && descriptor.configurable) {
+                originalFileApis.result = descriptor;
+                Object.defineProperty(proto, 'result', {
+                    configurable: true,
+                    enumerable: descriptor.enumerable,
+                    get: function () {
+                        var value = descriptor.get.call(this);
+                        var state = this._svgNormalizer;
+                        if (!state || this.readyState !== 2 || value === null) {
+                            return value;
+                        }
+                        if (!state.done) {
+                            state.done = true;
+                            state.result = value;
+                            try {
+                                state.result = normalizeReaderResult(state.method, value, state.name);
+                            } catch (e) {
+                                reportFailure('file', state.name, e);
+                            }
+                        }
+                        return state.result;
+                    }
+                });
+            } else {
+                log('warn', 'cannot-patch', { target: 'FileReader.result' });
+            }
+        }
+
+        if (hasBlobText) {
+            var originalText = originalFileApis.blobText = Blob.prototype.text;
+            Blob.prototype.text = function () {
+                var promise = originalText.apply(this, arguments);
+                if (!isSvgBlob(this)) {
+                    return promise;
+                }
+                var name = this.name || '';
+                return promise.then(function (svgText) {
+                    if (isReportOnly()) {
+                        inspectForReport('file', name, svgText);
+                        return svgText;
+                    }
+                    return normalizeForPatch(svgText).then(function (result) {
+                        reportNormalization('file', name, svgText.length, result);
+                        return result.svg;
+                    }, function (error) {
+                        reportFailure('file', name, error);
+                        return svgText;
+                    });
+                });
+            };
+        }
+
+        reportPatched('file-reader');
+    };
+
+    function unpatchFileReader() {
+        if (!originalFileApis) {
+            return;
+        }
+        if (typeof FileReader !== 'undefined') {
+            var proto = FileReader.prototype;
+            for (var method in originalFileApis.methods) {
+                proto[method] = originalFileApis.methods[method];
+            }
+            if (originalFileApis.result) {
+                Object.defineProperty(proto, 'result', originalFileApis.result);
+            }
+        }
+        if (originalFileApis.blobText) {
+            Blob.prototype.text = originalFileApis.blobText;
+        }
+        originalFileApis = null;
+    }
+
+    // ------------------------------------------------------------------
+    // 업로드 본문 정규화
+    // 불러올 때만 고치면 ns1: 접두사가 붙은 SVG가 그대로 다시 저장/공유되므로,
+    // EntryPaint 모양 저장이나 그림 업로드처럼 fetch/XHR로 나가는 본문의 SVG도 정규화합니다.
+    // ------------------------------------------------------------------
+
+    // XML 선언, 주석, DOCTYPE 뒤에 (접두사가 붙었을 수도 있는) <svg로 시작하는 문자열
+    var SVG_TEXT_PATTERN = /^\uFEFF?\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!DOCTYPE[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:[\w.-]+:)?svg[\s>\/]/i;
+
+    function looksLikeSvg(text) {
+        return typeof text === 'string' && SVG_TEXT_PATTERN.test(text.slice(0, 4096));
+    }
+
+    function isFormData(value) {
+        return typeof FormData !== 'undefined' && value instanceof FormData;
+    }
+
+    function isBlob(value) {
+        return typeof Blob !== 'undefined' && value instanceof Blob;
+    }
+
+    /**
+     * 문자열 본문을 정규화합니다. 보고 전용 모드면 기록만 하고 원본을 반환합니다.
+     */
+    function normalizeUploadText(url, text) {
+        var result = SvgNamespaceNormalizer._normalizeWithRewrites(text);
+        reportNormalization('upload', url, text.length, result);
+        if (isReportOnly()) {
+            recordForReport('upload', url, text, result);
+            return text;
+        }
+        return result.svg;
+    }
+
+    /**
+     * SVG Blob/File을 읽어 정규화한 새 Blob/File을 만듭니다. 바뀐 것이 없으면 원래 Blob을 반환합니다.
+     */
+    function normalizeUploadBlob(url, blob) {
+        // 패치된 Blob.prototype.text는 읽으면서 'file'로 정규화하므로 원래 메서드로 읽음
+        var readText = (originalFileApis && originalFileApis.blobText) || Blob.prototype.text;
+        if (typeof readText !== 'function') {
+            return Promise.resolve(blob);
+        }
+        var name = url || blob.name || '';
+        return readText.call(blob).then(function (svgText) {
+            return normalizeForPatch(svgText).then(function (result) {
+                reportNormalization('upload', name, svgText.length, result);
+                if (isReportOnly()) {
+                    recordForReport('upload', name, svgText, result);
+                    return blob;
+                }
+                if (result.svg === svgText) {
+                    return blob;
+                }
+                var options = { type: blob.type || 'image/svg+xml' };
+                if (typeof File !== 'undefined' && blob instanceof File) {
+                    options.lastModified = blob.lastModified;
+                    return new File([result.svg], blob.name, options);
+                }
+                return new Blob([result.svg], options);
+            });
+        }).catch(function (error) {
+            reportFailure('upload', name, error);
+            return blob;
+        });
+    }
+
+    /**
+     * FormData의 SVG 파일 항목(과 SVG 문자열 항목)을 정규화한 새 FormData를 만듭니다.
+     * 항목 순서와 파일 이름은 그대로 유지하며, 바뀐 항목이 없으면 원래 FormData를 반환합니다.
+     */
+    function normalizeUploadForm(url, form) {
+        var entries = [];
+        form.forEach(function (value, key) {
+            entries.push([key, value]);
+        });
+
+        return Promise.all(entries.map(function (entry) {
+            var value = entry[1];
+            if (typeof value === 'string') {
+                return looksLikeSvg(value) ? normalizeUploadText(url + '#' + entry[0], value) : value;
+            }
+            return isSvgBlob(value) ? normalizeUploadBlob(url + '#' + (value.name || entry[0]), value) : value;
+        })).then(function (values) {
+            var changed = values.some(function (value, i) {
+                return value !== entries[i][1];
+            });
+            if (!changed) {
+                return form;
+            }
+            var copy = new FormData();
+            values.forEach(function (value, i) {
+                if (typeof value === 'string') {
+                    copy.append(entries[i][0], value);
+                } else {
+                    copy.append(entries[i][0], value, entries[i][1].name);
+                }
+            });
+            return copy;
+        });
+    }
+
+    /**
+     * 요청 본문에 SVG가 있으면 정규화합니다.
+     *
+     * @returns {undefined|string|Promise} SVG가 없으면 undefined, 문자열 본문이면 정규화된 문자열(동기),
+     *   Blob/FormData 본문이면 정규화된 본문으로 이행하는 Promise (실패하면 원래 본문)
+     */
+    function prepareUploadBody(url, body) {
+        if (!SvgNamespaceNormalizer.defaults.normalizeUploads || !body) {
+            return undefined;
+        }
+        try {
+            if (typeof body === 'string') {
+                return looksLikeSvg(body) ? normalizeUploadText(url, body) : undefined;
+            }
+            if (isBlob(body)) {
+                return isSvgBlob(body) ? normalizeUploadBlob(url, body) : undefined;
+            }
+            if (isFormData(body)) {
+                return normalizeUploadForm(url, body).catch(function (error) {
+                    reportFailure('upload', url, error);
+                    return body;
+                });
+            }
+        } catch (error) {
+            reportFailure('upload', url, error);
+        }
+        return undefined;
+    }
+
+    function isRequest(value) {
+        return typeof Request !== 'undefined' && value instanceof Request;
+    }
+
+    /**
+     * Request 객체의 본문에 SVG가 있으면 정규화한 본문으로 새 Request를 만듭니다.
+     * Content-Type으로 SVG, 텍스트, multipart 본문일 수 있는 요청만 읽습니다.
+     *
+     * @returns {undefined|Promise<Request>} 읽을 본문이 없으면 undefined, 있으면 보낼 Request로 이행하는
+     *   Promise (바뀐 것이 없거나 실패하면 원래 Request)
+     */
+    function prepareRequestBody(url, request) {
+        if (!SvgNamespaceNormalizer.defaults.normalizeUploads || !request.body || request.bodyUsed) {
+            return undefined;
+        }
+        var contentType = (request.headers.get('content-type') || '').toLowerCase();
+        var isForm = contentType.indexOf('multipart/form-data') === 0;
+        var read;
+        if (isForm) {
+            read = 'formData';
+        } else if (isSvgContentType(contentType)) {
+            read = 'blob';
+        } else if (/^text\/|xml/.test(contentType)) {
+            read = 'text';
+        } else {
+            return undefined;
+        }
+
+        return request.clone()[read]().then(function (body) {
+            var prepared = prepareUploadBody(url, body);
+            return Promise.resolve(prepared === undefined ? body : prepared).then(function (preparedBody) {
+                if (preparedBody === body) {
+                    return request;
+                }
+                var headers = new Headers(request.headers);
+                if (isForm) {
+                    // 새 FormData의 경계(boundary)가 들어간 Content-Type을 다시 만들도록 함
+                    headers.delete('content-type');
+                }
+                return new Request(request, { body: preparedBody, headers: headers });
+            });
+        }).catch(function (error) {
+            reportFailure('upload', url, error);
+            return request;
+        });
+    }
+
+    /**
+     * object[name]에 값이 대입될 때마다 callback(value)를 호출하도록 접근자를 설치합니다.
+     * 이미 값이 있으면 바로 호출합니다. 스크립트가 아무리 늦게 로드되어도 대입되는 순간 적용됩니다.
+     * 설치한 접근자는 uninstall()에서 현재 값을 가진 일반 속성으로 되돌립니다.
+     *
+     * @returns {boolean} 접근자를 설치했으면 true (설정할 수 없는 속성이면 현재 값만 처리하고 false)
+     */
+    function watchProperty(object, name, callback) {
+        var descriptor = Object.getOwnPropertyDescriptor(object, name);
+        var i;
+        for (i = 0; i < propertyWatches.length; i++) {
+            if (propertyWatches[i].object === object && propertyWatches[i].name === name) {
+                return true; // 이미 감시 중
+            }
+        }
+        if (descriptor && (!descriptor.configurable || descriptor.get || descriptor.set)) {
+            // var로 선언된 전역 등 바꿀 수 없거나 이미 접근자인 속성은 현재 값만 처리
+            if (object[name]) {
+                callback(object[name]);
+            }
+            return false;
+        }
+
+        var value = descriptor ? descriptor.value : undefined;
+        var enumerable = descriptor ? descriptor.enumerable : true;
+        var accessor = {
+            configurable: true,
+            enumerable: enumerable,
+            get: function () {
+                return value;
+            },
+            set: function (newValue) {
+                value = newValue;
+                if (newValue) {
+                    callback(newValue);
+                }
+            }
+        };
+        Object.defineProperty(object, name, accessor);
+        propertyWatches.push({
+            object: object,
+            name: name,
+            restore: function () {
+                var current = Object.getOwnPropertyDescriptor(object, name);
+                if (current && current.get === accessor.get) {
+                    // 감시하려고 만든 속성에 끝내 값이 대입되지 않았으면 속성 자체를 없앰
+                    if (!descriptor && value === undefined) {
+                        delete object[name];
+                        return;
+                    }
+                    Object.defineProperty(object, name, {
+                        configurable: true,
+                        enumerable: enumerable,
+                        writable: true,
+                        value: value
+                    });
+                }
+            }
+        });
+
+        if (value) {
+            callback(value);
+        }
+        return true;
+    }
+
+    function unwatchProperties() {
+        while (propertyWatches.length) {
+            propertyWatches.pop().restore();
+        }
+    }
+
+    function onEntryAssigned(entry) {
+        if (typeof entry !== 'object' && typeof entry !== 'function') {
+            return;
+        }
+        // 새 Entry 객체이면 이전 통합 기록은 의미가 없음
+        if (entryUtilsBackup && entry.Utils !== entryUtilsBackup.utils) {
+            entryUtilsBackup = null;
+            SvgNamespaceNormalizer._entryIntegrated = false;
+        }
+        watchProperty(entry, 'Utils', onEntryUtilsAssigned);
+        if (!entry.Utils) {
+            SvgNamespaceNormalizer.integrateWithEntry();
+        }
+    }
+
+    /**
+     * Entry.Utils가 새 객체로 바뀌면 추가했던 함수가 사라지므로 다시 통합합니다.
+     */
+    function onEntryUtilsAssigned(utils) {
+        if (isIntegrating || (entryUtilsBackup && entryUtilsBackup.utils === utils)) {
+            return;
+        }
+        entryUtilsBackup = null;
+        SvgNamespaceNormalizer._entryIntegrated = false;
+        SvgNamespaceNormalizer.integrateWithEntry();
+    }
+
+    function inspectUrlForReport(source, url) {
+        var fetchSvg = originalFetch || (typeof fetch !== 'undefined' ? fetch : null);
+        if (!fetchSvg) {
+            return;
+        }
+        fetchSvg(url).then(function (response) {
+            if (!response.ok) {
+                throw new Error('Failed to fetch SVG: ' + response.status);
+            }
+            return response.text();
+        }).then(function (svgText) {
+            inspectForReport(source, url, svgText);
+        }).catch(function (error) {
+            reportFailure(source, url, error);
+        });
+    }
+
+    /**
+     * addSVG가 URL의 SVG를 정규화한 뒤 불러오도록 감싼 함수를 만듭니다.
+     * instance를 주면 그 인스턴스에, 생략하면 호출한 this에 원래 addSVG를 적용합니다.
+     */
+    function createAddSVGWrapper(originalAddSVG, instance) {
+        return function (svgUrl, options) {
+            var self = instance || this;
+
+            // 저장된 모양의 Data URL은 가져올 필요 없이 바로 정규화
+            if (isSvgDataUrl(svgUrl)) {
+                return originalAddSVG.call(self, normalizeDataUrlForPatch('entry-paint', svgUrl), options);
+            }
+
+            // 보고 전용: 원래 URL로 바로 불러오고, 원본 fetch로 따로 받아서 검사만 함
+            if (isReportOnly()) {
+                inspectUrlForReport('entry-paint', svgUrl);
+                return originalAddSVG.call(self, svgUrl, options);
+            }
+
+            // URL에서 SVG를 가져와서 정규화 후 전달
+            return SvgNamespaceNormalizer.fetchAndNormalize(svgUrl)
+                .then(function (normalizedSvg) {
+                    // Data URL로 변환하여 전달 (이미 정규화되었으므로 다시 정규화하지 않음)
+                    var dataUrl = encodeSvgDataUrl(normalizedSvg);
+                    return originalAddSVG.call(self, dataUrl, options);
+                })
+                .catch(function (error) {
+                    reportFailure('entry-paint', svgUrl, error);
+                    return originalAddSVG.call(self, svgUrl, options);
+                });
+        };
+    }
+
+    /**
+     * EntryPaint 인스턴스의 addSVG를 패치합니다.
+     * addSVG가 프로토타입에 있으면 프로토타입을 패치하므로, 같은 클래스의 기존 인스턴스에도 적용됩니다.
+     */
+    function patchAddSVG(instance) {
+        var owner = instance;
+        while (owner && !Object.prototype.hasOwnProperty.call(owner, 'addSVG')) {
+            owner = Object.getPrototypeOf(owner);
+        }
+        if (!owner || typeof owner.addSVG !== 'function') {
+            return false;
+        }
+        var patched = entryPaintPatch.instances;
+        for (var i = 0; i < patched.length; i++) {
+            if (patched[i].owner === owner || patched[i].wrapper === owner.addSVG) {
+                return false; // 이미 패치됨
+            }
+        }
+
+        var originalAddSVG = owner.addSVG;
+        var wrapper = createAddSVGWrapper(originalAddSVG, owner === instance ? instance : null);
+        patched.push({ owner: owner, addSVG: originalAddSVG, wrapper: wrapper });
+        owner.addSVG = wrapper;
+        return true;
+    }
+
+    /**
+     * EntryPaint.default.create를 감싸서 새로 만들어지는 인스턴스의 addSVG를 패치합니다.
+     */
+    function patchEntryPaintModule(module) {
+        if (typeof module.create !== 'function') {
+            return;
+        }
+        if (entryPaintPatch && entryPaintPatch.target === module) {
+            return; // 이미 패치됨
+        }
+        restoreEntryPaintCreate();
+
+        var originalCreate = module.create;
+        entryPaintPatch = entryPaintPatch || { instances: [] };
+        entryPaintPatch.target = module;
+        entryPaintPatch.create = originalCreate;
+        entryPaintPatch.wrapper = module.create = function (options) {
+            var instance = originalCreate.apply(this, arguments);
+
+            // addSVG 메서드 패치
+            if (instance && instance.addSVG) {
+                patchAddSVG(instance);
+            }
+
+            return instance;
+        };
+        reportPatched('entry-paint');
+
+        patchExistingPaintInstances();
+    }
+
+    /**
+     * 패치하기 전에 만들어진 EntryPaint 인스턴스를 찾아 패치합니다.
+     * Entry는 그림판 인스턴스를 Entry.playground.painter 아래에 두므로 그곳을 살펴봅니다.
+     */
+    function patchExistingPaintInstances() {
+        if (!entryPaintPatch || typeof Entry === 'undefined' || !Entry || !Entry.playground) {
+            return;
+        }
+        var painter = Entry.playground.painter;
+        if (!painter || typeof painter !== 'object') {
+            return;
+        }
+        var candidates = [painter];
+        Object.keys(painter).forEach(function (key) {
+            if (painter[key] && typeof painter[key] === 'object') {
+                candidates.push(painter[key]);
+            }
+        });
+        candidates.forEach(function (candidate) {
+            if (typeof candidate.addSVG === 'function') {
+                patchAddSVG(candidate);
+            }
+        });
+    }
+
+    /**
+     * EntryPaint 인스턴스의 addSVG를 직접 패치합니다.
+     * 자동으로 찾지 못한 곳에 보관된, 패치 전에 만들어진 인스턴스에 사용합니다.
+     *
+     * @param {Object} instance - EntryPaint.default.create()로 만든 인스턴스
+     * @returns {boolean} 패치했으면 true (이미 패치되었거나 addSVG가 없으면 false)
+     */
+    SvgNamespaceNormalizer.patchPaintInstance = function (instance) {
+        if (!instance || typeof instance.addSVG !== 'function') {
+            return false;
+        }
+        entryPaintPatch = entryPaintPatch || { target: null, create: null, wrapper: null, instances: [] };
+        return patchAddSVG(instance);
+    };
+
+    /**
+     * EntryPaint (window.EntryPaint)의 addSVG 메서드를 패치합니다.
+     * window.EntryPaint와 EntryPaint.default가 대입되는 순간 패치하므로 로드 시점과 무관합니다.
+     */
+    SvgNamespaceNormalizer.patchEntryPaint = function () {
+        if (typeof window === 'undefined') {
+            return;
+        }
+        watchProperty(window, 'EntryPaint', function (entryPaint) {
+            if (typeof entryPaint === 'object' || typeof entryPaint === 'function') {
+                watchProperty(entryPaint, 'default', patchEntryPaintModule);
+            }
+        });
+    };
+
+    function restoreEntryPaintCreate() {
+        // 다른 스크립트가 그 위에 다시 감쌌다면 그 체인을 깨지 않도록 그대로 둠
+        if (entryPaintPatch && entryPaintPatch.target && entryPaintPatch.target.create === entryPaintPatch.wrapper) {
+            entryPaintPatch.target.create = entryPaintPatch.create;
+        }
+    }
+
+    /**
+     * EntryPaint.default.create와 이미 패치한 addSVG를 원래대로 되돌립니다.
+     */
+    function unpatchEntryPaint() {
+        if (!entryPaintPatch) {
+            return;
+        }
+        restoreEntryPaintCreate();
+        entryPaintPatch.instances.forEach(function (patched) {
+            if (patched.owner.addSVG === patched.wrapper) {
+                patched.owner.addSVG = patched.addSVG;
+            }
+        });
+        entryPaintPatch = null;
+    }
+
+    // ------------------------------------------------------------------
+    // 불러온 프로젝트 일괄 수리
+    // 스크립트보다 먼저 열린 프로젝트의 벡터 모양은 패치를 거치지 않았으므로,
+    // Entry 컨테이너에 있는 모든 오브젝트의 모양을 직접 검사해서 고칩니다.
+    // ------------------------------------------------------------------
+
+    // 모양 상태 -> 수리 보고서 summary의 키
+    var REPAIR_SUMMARY_KEYS = {
+        'repaired': 'repaired',
+        'needs-repair': 'needsRepair',
+        'clean': 'clean',
+        'skipped': 'skipped',
+        'failed': 'failed'
+    };
+
+    function getEntryObjects() {
+        var container = typeof Entry !== 'undefined' && Entry ? Entry.container : null;
+        if (!container) {
+            return null;
+        }
+        if (typeof container.getAllObjects === 'function') {
+            return container.getAllObjects() || [];
+        }
+        return container.objects_ || [];
+    }
+
+    /**
+     * 모양의 SVG 원문을 가져옵니다. 패치된 fetch는 응답을 이미 정규화하므로 원본 fetch를 사용합니다.
+     */
+    function loadPictureSvg(url, fetchOptions) {
+        if (isSvgDataUrl(url)) {
+            var rewritten = rewriteDataUrl(url);
+            if (!rewritten) {
+                return Promise.reject(new Error('Cannot decode SVG data URL'));
+            }
+            return Promise.resolve(rewritten.svg);
+        }
+        var fetchSvg = originalFetch || (typeof fetch !== 'undefined' ? fetch : null);
+        if (!fetchSvg) {
+            return Promise.reject(new Error('fetch is not available'));
+        }
+        return fetchSvg(url, fetchOptions || {}).then(function (response) {
+            if (!response.ok) {
+                throw new Error('Failed to fetch SVG: ' + response.status);
+            }
+            return response.text();
+        });
+    }
+
+    function repairPicture(picture, options, dryRun) {
+        var url = options.getUrl ? options.getUrl(picture) : picture.fileurl;
+        var item = { id: picture.id, name: picture.name, url: url, status: 'skipped', rewrites: 0 };
+        if (!url || typeof url !== 'string' ||
+            !(picture.imageType === 'svg' || isSvgDataUrl(url) || isSvgUrl(url))) {
+            return Promise.resolve(item);
+        }
+
+        return loadPictureSvg(url, options.fetchOptions).then(function (svgText) {
+            return normalizeForPatch(svgText).then(function (result) {
+                reportNormalization('repair', url, svgText.length, result);
+                item.rewrites = result.rewrites.length;
+                // 보고 전용 모드에서는 다른 경로와 같이 고칠 것이 없는 모양도 기록
+                if (isReportOnly()) {
+                    recordForReport('repair', url, svgText, result);
+                }
+                if (result.svg === svgText) {
+                    item.status = 'clean';
+                    return item;
+                }
+                if (dryRun) {
+                    item.status = 'needs-repair';
+                    return item;
+                }
+                var dataUrl = encodeSvgDataUrl(result.svg);
+                // SVG로 된 썸네일은 같은 그림이므로 함께 교체
+                if (picture.thumbUrl && (picture.thumbUrl === picture.fileurl ||
+                    isSvgDataUrl(picture.thumbUrl) || isSvgUrl(picture.thumbUrl))) {
+                    picture.thumbUrl = dataUrl;
+                }
+                picture.fileurl = dataUrl;
+                item.status = 'repaired';
+                return item;
+            });
+        }).catch(function (error) {
+            reportFailure('repair', url, error);
+            item.status = 'failed';
+            item.error = error;
+            return item;
+        });
+    }
+
+    /**
+     * 고친 모양을 화면에 반영합니다. 무대의 오브젝트, 모양 탭 목록(썸네일), 열려 있는 그림판 순입니다.
+     */
+    function refreshRepairedObject(object, pictures) {
+        var playground = Entry.playground;
+        pictures.forEach(function (picture) {
+            if (object.entity && object.selectedPicture === picture && typeof object.entity.setImage === 'function') {
+                object.entity.setImage(picture);
+            }
+            var painter = playground && playground.painter;
+            if (painter && painter.file && painter.file.id === picture.id && typeof painter.changePicture === 'function') {
+                painter.changePicture(picture);
+            }
+        });
+        if (playground && playground.object === object && typeof playground.injectPicture === 'function') {
+            playground.injectPicture();
+        }
+    }
+
+    /**
+     * 이미 불러온 Entry 프로젝트의 모든 벡터 모양을 검사하고, 네임스페이스 문제가 있는 모양을
+     * 정규화된 SVG(Data URL)로 바꿉니다. 바뀐 모양은 무대, 모양 탭 썸네일, 열려 있는 그림판에 바로 반영됩니다.
+     *
+     * 모양은 하나씩 차례로 검사하며, defaults.reportOnly가 true이면 dryRun과 같이 동작하고
+     * 검사한 벡터 모양을 고칠 것이 없는 모양까지 모두 보고서(getReport)에 기록합니다.
+     *
+     * @param {Object} [options] - 옵션
+     * @param {boolean} [options.dryRun=false] - true이면 모양을 바꾸지 않고 검사만 함
+     * @param {Object} [options.fetchOptions] - SVG를 가져올 때 사용할 fetch 옵션
+     * @param {Function} [options.getUrl] - 모양에서 SVG URL을 구하는 함수 (기본: picture.fileurl)
+     * @returns {Promise<Object>} 수리 보고서
+     *   - objects: [{ id, name, repaired, pictures: [{ id, name, url, status, rewrites, error }] }]
+     *     status는 'repaired' | 'needs-repair'(dryRun) | 'clean' | 'skipped'(벡터 모양 아님) | 'failed'
+     *   - summary: { objects, pictures, repaired, needsRepair, clean, skipped, failed }
+     *
+     * @example
+     * SvgNamespaceNormalizer.repairProject().then(function (report) {
+     *     console.table(report.objects.map(function (o) { return { name: o.name, repaired: o.repaired }; }));
+     * });
+     */
+    SvgNamespaceNormalizer.repairProject = function (options) {
+        options = options || {};
+        var objects = getEntryObjects();
+        if (!objects) {
+            return Promise.reject(new Error('Entry project is not loaded'));
+        }
+        var dryRun = !!options.dryRun || isReportOnly();
+        var summary = { objects: objects.length, pictures: 0, repaired: 0, needsRepair: 0, clean: 0, skipped: 0, failed: 0 };
+        var report = { objects: [], summary: summary };
+
+        // 큰 프로젝트에서 요청과 메모리가 몰리지 않도록 모양을 하나씩 처리
+        var chain = Promise.resolve();
+        objects.forEach(function (object) {
+            var entry = { id: object.id, name: object.name, repaired: 0, pictures: [] };
+            var repairedPictures = [];
+            report.objects.push(entry);
+
+            (object.pictures || []).forEach(function (picture) {
+                chain = chain.then(function () {
+                    return repairPicture(picture, options, dryRun);
+                }).then(function (item) {
+                    entry.pictures.push(item);
+                    summary.pictures++;
+                    summary[REPAIR_SUMMARY_KEYS[item.status]]++;
+                    if (item.status === 'repaired') {
+                        entry.repaired++;
+                        repairedPictures.push(picture);
+                    }
+                });
+            });
+
+            chain = chain.then(function () {
+                if (repairedPictures.length === 0) {
+                    return;
+                }
+                try {
+                    refreshRepairedObject(object, repairedPictures);
+                } catch (error) {
+                    log('warn', 'repair-refresh-failed', { name: object.name }, error);
+                }
+            });
+        });
+
+        return chain.then(function () {
+            log('info', 'repair-done', summary);
+            return report;
+        });
+    };
+
+    // ------------------------------------------------------------------
+    // 외부 이미지 인라인
+    // <image href="picture.png">처럼 SVG 옆의 파일을 가리키는 이미지는 SVG를 Data URL로 바꾸면
+    // 기준 경로가 사라져서 불러올 수 없으므로, 원본 fetch로 가져와 base64 Data URL로 넣습니다.
+    // ------------------------------------------------------------------
+
+    var IMAGE_TYPES_BY_EXTENSION = {
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        bmp: 'image/bmp',
+        avif: 'image/avif',
+        svg: 'image/svg+xml'
+    };
+
+    var UNRESOLVED_IMAGE_POLICIES = ['keep', 'drop'];
+
+    /**
+     * 이미지 참조를 절대 URL로 해석합니다. 해석할 수 없으면 { reason }을 반환합니다.
+     */
+    function resolveImageUrl(href, baseUrl) {
+        var pageUrl = typeof location !== 'undefined' && location.href ? location.href : undefined;
+        var base, url;
+        try {
+            base = baseUrl ? new URL(baseUrl, pageUrl) : new URL(pageUrl);
+            url = new URL(href, base);
+        } catch (error) {
+            return { reason: base ? 'invalid-url' : 'no-base-url' };
+        }
+        var origin = pageUrl ? new URL(pageUrl).origin : base.origin;
+        // file:, C:\ 등 경로는 origin이 'null'이므로 같은 출처로 보지 않음
+        if (url.origin === 'null' || url.origin !== origin) {
+            return { url: url.href, reason: 'cross-origin' };
+        }
+        return { url: url.href };
+    }
+
+    function guessImageType(url, contentType) {
+        var type = (contentType || '').split(';')[0].trim().toLowerCase();
+        if (type.indexOf('image/') === 0) {
+            return type;
+        }
+        var extension = /\.([a-z0-9]+)(?:[?#]|$)/i.exec(url);
+        return (!type || type === 'application/octet-stream') && extension ?
+            IMAGE_TYPES_BY_EXTENSION[extension[1].toLowerCase()] || null : null;
+    }
+
+    /**
+     * 이미지를 가져와 Data URL로 만듭니다. 실패하면 reason을 담은 Error로 거부합니다.
+     */
+    function fetchImageDataUrl(url, maxSize, fetchOptions) {
+        var fetchImage = originalFetch || (typeof fetch !== 'undefined' ? fetch : null);
+        if (!fetchImage) {
+            return Promise.reject(imageError('fetch-failed'));
+        }
+        return fetchImage(url, fetchOptions || {}).then(function (response) {
+            if (!response.ok) {
+                throw imageError('http-' + response.status);
+            }
+            var type = guessImageType(url, response.headers.get('content-type'));
+            if (!type) {
+                throw imageError('not-image');
+            }
+            if (Number(response.headers.get('content-length')) > maxSize) {
+                throw imageError('too-large');
+            }
+            return response.arrayBuffer().then(function (buffer) {
+                if (buffer.byteLength > maxSize) {
+                    throw imageError('too-large');
+                }
+                return { dataUrl: 'data:' + type + ';base64,' + encodeBase64Bytes(new Uint8Array(buffer)), bytes: buffer.byteLength };
+            });
+        }, function () {
+            throw imageError('fetch-failed');
+        });
+    }
+
+    function imageError(reason) {
+        var error = new Error('Cannot inline image: ' + reason);
+        error.reason = reason;
+        return error;
+    }
+
+    /**
+     * 외부 파일을 가리키는 <image>/<feImage>를 찾습니다. Data URL과 문서 안 참조(#id)는 건너뜁니다.
+     */
+    function findLinkedImages(tokens) {
+        var images = [];
+        tokens.forEach(function (token, index) {
+            var local = token.type === 'start' ? splitQName(token.name).local : null;
+            if (local !== 'image' && local !== 'feImage') {
+                return;
+            }
+            for (var i = 0; i < token.attrs.length; i++) {
+                var attr = token.attrs[i];
+                if (splitQName(attr.name).local === 'href' && attr.eq !== null) {
+                    var href = decodeAttrValue(attr.value).trim();
+                    if (href && href[0] !== '#' && !/^data:/i.test(href)) {
+                        images.push({ index: index, attr: attr, href: href });
+                    }
+                    return;
+                }
+            }
+        });
+        return images;
+    }
+
+    /**
+     * SVG 안에서 외부 파일을 가리키는 <image>를 원본(패치되지 않은) fetch로 가져와 base64 Data URL로 바꿉니다.
+     * 페이지와 같은 출처의 URL만 가져오며, 같은 URL은 한 번만 가져옵니다.
+     * 가져오지 못한 이미지는 options.unresolvedImages에 따라 그대로 두거나 요소를 제거합니다.
+     *
+     * @param {string} svgString - SVG 문자열
+     * @param {Object} [options] - 옵션
+     * @param {string} [options.baseUrl] - 상대 경로의 기준 URL (보통 SVG 파일의 URL, 기본: 현재 페이지)
+     * @param {number} [options.imageMaxSize] - 이미지 하나의 최대 크기 (바이트, 기본: defaults.imageMaxSize)
+     * @param {number} [options.imageTotalMaxSize] - 넣을 이미지 전체의 최대 크기 (바이트)
+     * @param {string} [options.unresolvedImages] - 가져오지 못한 이미지 처리: 'keep' | 'drop'
+     * @param {Object} [options.fetchOptions] - 이미지를 가져올 때 사용할 fetch 옵션
+     * @returns {Promise<{svg: string, images: Array<Object>}>}
+     *   images: [{ href, url, status, reason, bytes }]
+     *   status는 'inlined' | 'kept' | 'dropped', reason은 'no-base-url' | 'invalid-url' | 'cross-origin' |
+     *   'http-<상태 코드>' | 'not-image' | 'too-large' | 'total-too-large' | 'fetch-failed'
+     *
+     * @example
+     * SvgNamespaceNormalizer.resolveImages(svg, { baseUrl: '/assets/shapes/cat.svg' }).then(function (result) {
+     *     paint.addSVG(SvgNamespaceNormalizer.toDataUrl(result.svg));
+     * });
+     */
+    SvgNamespaceNormalizer.resolveImages = function (svgString, options) {
+        var resolved = resolveOptions(options);
+        if (UNRESOLVED_IMAGE_POLICIES.indexOf(resolved.unresolvedImages) === -1) {
+            return Promise.reject(new Error('Unknown unresolved image policy: ' + resolved.unresolvedImages));
+        }
+        if (!svgString || typeof svgString !== 'string') {
+            return Promise.resolve({ svg: svgString, images: [] });
+        }
+        var tokens = tokenize(svgString);
+        var images = findLinkedImages(tokens);
+        var fetched = Object.create(null);
+        var totalSize = 0;
+        var chain = Promise.resolve();
+
+        // 메모리가 몰리지 않도록 하나씩 가져옴
+        images.forEach(function (image) {
+            chain = chain.then(function () {
+                var target = resolveImageUrl(image.href, resolved.baseUrl);
+                image.url = target.url || null;
+                if (target.reason) {
+                    throw imageError(target.reason);
+                }
+                if (!fetched[target.url]) {
+                    fetched[target.url] = fetchImageDataUrl(target.url, resolved.imageMaxSize, resolved.fetchOptions)
+                        .then(function (data) {
+                            if (totalSize + data.bytes > resolved.imageTotalMaxSize) {
+                                throw imageError('total-too-large');
+                            }
+                            totalSize += data.bytes;
+                            return data;
+                        });
+                }
+                return fetched[target.url];
+            }).then(function (data) {
+                // base64 Data URL에는 속성 값에서 이스케이프할 문자가 없음
+                image.attr.value = data.dataUrl;
+                tokens[image.index].dirty = true;
+                image.status = 'inlined';
+                image.bytes = data.bytes;
+            }, function (error) {
+                image.status = resolved.unresolvedImages === 'drop' ? 'dropped' : 'kept';
+                image.reason = error.reason || 'fetch-failed';
+                log('debug', 'image-unresolved', { url: image.url || image.href, reason: image.reason });
+            });
+        });
+
+        return chain.then(function () {
+            var dropped = Object.create(null);
+            images.forEach(function (image) {
+                if (image.status === 'dropped') {
+                    dropped[image.index] = true;
+                }
+            });
+            var out = [];
+            var skipDepth = 0;
+            tokens.forEach(function (token, index) {
+                if (skipDepth > 0) {
+                    skipDepth += token.type === 'start' && !token.selfClosing ? 1 : (token.type === 'end' ? -1 : 0);
+                } else if (dropped[index]) {
+                    skipDepth = token.selfClosing ? 0 : 1;
+                } else {
+                    out.push(serializeToken(token));
+                }
+            });
+            return {
+                svg: out.join(''),
+                images: images.map(function (image) {
+                    return { href: image.href, url: image.url, status: image.status, reason: image.reason || null, bytes: image.bytes || 0 };
+                })
+            };
+        });
+    };
+
+    /**
+     * HTMLImageElement(Image)의 src에 SVG Data URL을 넣으면 정규화된 URL로 바꿔 넣습니다.
+     * 기본으로는 설치하지 않으며, defaults.patchImageSrc를 true로 하면 install()에서 함께 설치됩니다.
+     */
+    SvgNamespaceNormalizer.patchImageSrc = function () {
+        if (originalImageSrc || typeof HTMLImageElement === 'undefined') {
+            return; // 이미 패치되었거나 DOM이 없음
+        }
+        var descriptor = Object.getOwnPropertyDescriptor(HTMLImageElement.prototype, 'src');
+        if (!descriptor || !descriptor.set || !descriptor.configurable) {
+            log('warn', 'cannot-patch', { target: 'HTMLImageElement.src' });
+            return;
+        }
+        originalImageSrc = descriptor;
+
+        Object.defineProperty(HTMLImageElement.prototype, 'src', {
+            configurable: true,
+            enumerable: descriptor.enumerable,
+            get: descriptor.get,
+            set: function (value) {
+                descriptor.set.call(this, isSvgDataUrl(value) ? normalizeDataUrlForPatch('image-src', value) : value);
+            }
+        });
+        reportPatched('image-src');
+    };
+
+    function unpatchImageSrc() {
+        if (originalImageSrc) {
+            Object.defineProperty(HTMLImageElement.prototype, 'src', originalImageSrc);
+            originalImageSrc = null;
+        }
+    }
+
+    /**
+     * 모든 패치를 설치합니다. 이미 설치되어 있으면 아무것도 하지 않으므로
+     * uninstall()과 번갈아 여러 번 호출해도 됩니다.
+     */
+    SvgNamespaceNormalizer.install = function () {
+        if (isInitialized) {
+            return;
+        }
+        isInitialized = true;
+
+        log('info', 'init-start', { version: SvgNamespaceNormalizer.version });
 
         // 1. fetch API 패치
         SvgNamespaceNormalizer.patchFetch();
@@ -474,54 +6118,86 @@
         // 2. XMLHttpRequest 패치
         SvgNamespaceNormalizer.patchXHR();
 
-        // 3. Entry.js와 통합 (있으면)
-        if (typeof Entry !== 'undefined') {
-            SvgNamespaceNormalizer.integrateWithEntry();
-        }
+        // 3. FileReader/Blob 패치 (로컬 파일 업로드)
+        SvgNamespaceNormalizer.patchFileReader();
 
-        // 4. EntryPaint 패치 (브라우저 환경에서)
+        // 4. Entry.js와 통합 - window.Entry나 Entry.Utils가 나중에 대입되어도 그 순간 (다시) 통합
         if (typeof window !== 'undefined') {
-            SvgNamespaceNormalizer.patchEntryPaint();
+            watchProperty(window, 'Entry', onEntryAssigned);
+        } else if (typeof Entry !== 'undefined') {
+            SvgNamespaceNormalizer.integrateWithEntry();
         }
 
-        // 5. Entry가 나중에 로드될 경우를 대비 (항상 덮어쓰기)
-        if (typeof window !== 'undefined') {
-            var entryIntegrated = false;
-            var entryCheckInterval = setInterval(function () {
-                if (typeof Entry !== 'undefined' && !entryIntegrated) {
-                    var result = SvgNamespaceNormalizer.integrateWithEntry();
-                    if (result) {
-                        entryIntegrated = true;
-                        clearInterval(entryCheckInterval);
-                    }
-                }
-            }, 500);
+        // 5. EntryPaint 패치 (브라우저 환경에서, 이미 만들어진 인스턴스 포함)
+        SvgNamespaceNormalizer.patchEntryPaint();
 
-            // 30초 후 타임아웃
-            setTimeout(function () {
-                clearInterval(entryCheckInterval);
-            }, 30000);
+        // 6. Image src 패치 (선택)
+        if (SvgNamespaceNormalizer.defaults.patchImageSrc) {
+            SvgNamespaceNormalizer.patchImageSrc();
         }
 
-        console.log('[SvgNamespaceNormalizer] 자동 초기화 완료 - SVG 네임스페이스 문제가 자동으로 해결됩니다.');
+        log('info', 'init-done');
     };
 
     /**
-     * 패치 해제 (필요시)
+     * 자동 초기화 - 스크립트 로드 시 자동 실행 (install()과 같음)
      */
-    SvgNamespaceNormalizer.disable = function () {
+    SvgNamespaceNormalizer.autoInit = function () {
+        SvgNamespaceNormalizer.install();
+    };
+
+    /**
+     * install()이 바꾼 것을 모두 원래대로 되돌립니다.
+     * fetch, XMLHttpRequest, FileReader/Blob, Image src, EntryPaint.default.create, 패치된 addSVG, Entry.Utils 함수를 복원하고
+     * window.Entry 등에 설치한 속성 감시와 워커를 정리합니다. 페이지를 새로고침하지 않고 패치 전후를 비교할 때 사용합니다.
+     */
+    SvgNamespaceNormalizer.uninstall = function () {
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('DOMContentLoaded', SvgNamespaceNormalizer.autoInit);
+        }
+        unwatchProperties();
+
         if (originalFetch) {
             window.fetch = originalFetch;
             originalFetch = null;
-            console.log('[SvgNamespaceNormalizer] fetch 패치 해제');
+            log('info', 'unpatched', { target: PATCH_TARGETS['fetch'] });
+        }
+        if (originalXHR) {
+            unpatchXHR();
+            log('info', 'unpatched', { target: PATCH_TARGETS['xhr'] });
+        }
+        if (originalFileApis) {
+            unpatchFileReader();
+            log('info', 'unpatched', { target: PATCH_TARGETS['file-reader'] });
+        }
+        if (entryPaintPatch) {
+            unpatchEntryPaint();
+            log('info', 'unpatched', { target: PATCH_TARGETS['entry-paint'] });
         }
+        if (originalImageSrc) {
+            unpatchImageSrc();
+            log('info', 'unpatched', { target: PATCH_TARGETS['image-src'] });
+        }
+        if (entryUtilsBackup) {
+            restoreEntryUtils();
+            log('info', 'unpatched', { target: PATCH_TARGETS['entry-utils'] });
+        }
+        terminateNormalizerWorker();
+
         isInitialized = false;
     };
 
+    /**
+     * 패치 해제 (uninstall()의 이전 이름)
+     */
+    SvgNamespaceNormalizer.disable = function () {
+        SvgNamespaceNormalizer.uninstall();
+    };
+
     /**
      * 버전 정보
      */
-    SvgNamespaceNormalizer.version = '1.3.0';
+    SvgNamespaceNormalizer.version = '2.0.0';
 
     // ★ 자동 실행 ★
     // DOM이 준비되면 바로 초기화, 아니면 DOMContentLoaded 대기
@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+/**
+ * SVG Namespace Normalizer - 명령줄 도구
+ *
+ * 저장된 .svg 파일과 엔트리 프로젝트 파일(.ent)에 들어 있는 벡터 모양을
+ * 브라우저 없이 일괄 정규화합니다. (hummm.js의 module.exports 경로 사용)
+ *
+ * .ent 파일은 project.json과 그림 파일이 들어 있는 gzip 압축 tar 아카이브이며,
+ * 아카이브 안의 모든 .svg 파일을 정규화한 뒤 아카이브를 다시 만듭니다.
+ *
+ * @example
+ * // 폴더 안의 모든 .svg / .ent 파일을 제자리에서 수정
+ * node svg-namespace-normalizer-cli.js ./projects ./shapes
+ *
+ * @example
+ * // 원본은 두고 결과를 다른 폴더에 저장
+ * node svg-namespace-normalizer-cli.js --out ./fixed ./projects
+ *
+ * 종료 코드: 0 = 모두 정상, 1 = 수정하지 못한 파일이 있음, 2 = 잘못된 사용법
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+var SvgNamespaceNormalizer = require('./hummm.js');
+
+var TAR_BLOCK = 512;
+
+var USAGE = [
+    '사용법: node svg-namespace-normalizer-cli.js [옵션] <파일 또는 폴더...>',
+    '',
+    '옵션:',
+    '  -o, --out <폴더>        결과를 원본 대신 지정한 폴더에 저장',
+    '  -s, --strategy <전략>   auto(기본값) | xlink-only | strip-all',
+    '  -n, --dry-run           파일을 쓰지 않고 결과만 출력',
+    '  -q, --quiet             변경 없는 파일은 출력하지 않음',
+    '  -h, --help              도움말 출력'
+].join('\n');
+
+/**
+ * 명령줄 인자를 해석합니다.
+ */
+function parseArgs(argv) {
+    var options = { out: null, strategy: undefined, dryRun: false, quiet: false, help: false, paths: [] };
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        if (arg === '-o' || arg === '--out') {
+            options.out = argv[++i];
+            if (!options.out) {
+                throw new Error(arg + ' requires a directory');
+            }
+        } else if (arg === '-s' || arg === '--strategy') {
+            options.strategy = argv[++i];
+            if (!options.strategy) {
+                throw new Error(arg + ' requires a strategy name');
+            }
+        } else if (arg === '-n' || arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '-q' || arg === '--quiet') {
+            options.quiet = true;
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.charAt(0) === '-' && arg !== '-') {
+            throw new Error('Unknown option: ' + arg);
+        } else {
+            options.paths.push(arg);
+        }
+    }
+    return options;
+}
+
+// ----------------------------------------------------------------------
+// SVG 정규화
+// ----------------------------------------------------------------------
+
+/**
+ * SVG 문자열 하나를 정규화하고 결과를 요약합니다.
+ *
+ * @returns {{status: string, svg: string, fixed: number, remaining: Array<Object>}}
+ *   status는 'fixed' | 'unchanged' | 'failed'
+ */
+function repairSvg(source, options) {
+    var normalizeOptions = { strategy: options && options.strategy };
+    var before = SvgNamespaceNormalizer.analyze(source, normalizeOptions);
+    var svg = SvgNamespaceNormalizer.normalize(source, normalizeOptions);
+    var remaining = SvgNamespaceNormalizer.analyze(svg, normalizeOptions);
+    var fixed = before.filter(function (issue) {
+        return issue.fixable;
+    }).length;
+
+    var status = svg === source ? 'unchanged' : 'fixed';
+    if (remaining.length > 0) {
+        status = 'failed';
+    }
+    return { status: status, svg: svg, fixed: fixed, remaining: remaining };
+}
+
+// ----------------------------------------------------------------------
+// tar 아카이브 (.ent)
+// ----------------------------------------------------------------------
+
+function readString(buffer, offset, length) {
+    var end = offset;
+    while (end < offset + length && buffer[end] !== 0) {
+        end++;
+    }
+    return buffer.toString('utf8', offset, end);
+}
+
+function readOctal(buffer, offset, length) {
+    var text = readString(buffer, offset, length).trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+function isZeroBlock(buffer, offset) {
+    for (var i = offset; i < offset + TAR_BLOCK; i++) {
+        if (buffer[i] !== 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function paddedSize(size) {
+    return Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+}
+
+/**
+ * pax 확장 헤더("길이 키=값\n" 레코드 목록)를 객체로 읽습니다.
+ */
+function parsePax(data) {
+    var records = {};
+    var text = data.toString('utf8');
+    var pos = 0;
+    while (pos < text.length) {
+        var space = text.indexOf(' ', pos);
+        var length = parseInt(text.slice(pos, space), 10);
+        if (!length) {
+            break;
+        }
+        var record = text.slice(space + 1, pos + length - 1);
+        var eq = record.indexOf('=');
+        records[record.slice(0, eq)] = record.slice(eq + 1);
+        pos += length;
+    }
+    return records;
+}
+
+/**
+ * tar 버퍼를 항목 목록으로 나눕니다.
+ * 각 항목은 원본 블록(확장 헤더 포함)을 그대로 보관하므로 바뀌지 않은 항목은 그대로 다시 쓸 수 있습니다.
+ */
+function readTar(buffer) {
+    var entries = [];
+    var pending = [];
+    var longName = null;
+    var pax = {};
+    var offset = 0;
+
+    while (offset + TAR_BLOCK <= buffer.length && !isZeroBlock(buffer, offset)) {
+        var header = buffer.slice(offset, offset + TAR_BLOCK);
+        var size = readOctal(header, 124, 12);
+        var type = String.fromCharCode(header[156] || 48);
+        var dataStart = offset + TAR_BLOCK;
+        var data = buffer.slice(dataStart, dataStart + size);
+        var next = dataStart + paddedSize(size);
+        var raw = buffer.slice(offset, next);
+
+        if (type === 'x' || type === 'L') {
+            // 다음 항목에 적용되는 확장 헤더
+            if (type === 'x') {
+                pax = parsePax(data);
+            } else {
+                longName = readString(data, 0, data.length);
+            }
+            pending.push(raw);
+        } else {
+            var name = readString(header, 0, 100);
+            if (header.toString('utf8', 257, 262) === 'ustar') {
+                var prefix = readString(header, 345, 155);
+                if (prefix) {
+                    name = prefix + '/' + name;
+                }
+            }
+            entries.push({
+                name: pax.path || longName || name,
+                type: type,
+                header: header,
+                data: data,
+                extended: pending,
+                sizeInPax: pax.size !== undefined,
+                raw: raw,
+                changed: false
+            });
+            pending = [];
+            longName = null;
+            pax = {};
+        }
+        offset = next;
+    }
+    return entries;
+}
+
+/**
+ * 항목 목록을 tar 버퍼로 다시 만듭니다. 바뀐 항목은 크기와 체크섬만 갱신합니다.
+ */
+function writeTar(entries) {
+    var chunks = [];
+    entries.forEach(function (entry) {
+        if (!entry.changed) {
+            chunks.push(entry.raw);
+            return;
+        }
+        var header = Buffer.from(entry.header);
+        var size = entry.data.length.toString(8);
+        while (size.length < 11) {
+            size = '0' + size;
+        }
+        header.write(size + '\0', 124, 12, 'ascii');
+        // 체크섬은 체크섬 필드를 공백으로 채운 상태에서 계산
+        header.fill(32, 148, 156);
+        var sum = 0;
+        for (var i = 0; i < TAR_BLOCK; i++) {
+            sum += header[i];
+        }
+        var checksum = sum.toString(8);
+        while (checksum.length < 6) {
+            checksum = '0' + checksum;
+        }
+        header.write(checksum + '\0 ', 148, 8, 'ascii');
+
+        entry.extended.forEach(function (block) {
+            chunks.push(block);
+        });
+        chunks.push(header, entry.data, Buffer.alloc(paddedSize(entry.data.length) - entry.data.length));
+    });
+    chunks.push(Buffer.alloc(TAR_BLOCK * 2));
+    return Buffer.concat(chunks);
+}
+
+/**
+ * .ent 아카이브 안의 모든 SVG를 정규화합니다.
+ *
+ * @returns {{buffer: Buffer|null, results: Array<Object>}} 바뀐 것이 없으면 buffer는 null
+ */
+function repairEntArchive(archive, options) {
+    var gzipped = archive[0] === 0x1f && archive[1] === 0x8b;
+    var entries = readTar(gzipped ? zlib.gunzipSync(archive) : archive);
+    var results = [];
+    var changed = false;
+
+    entries.forEach(function (entry) {
+        if ((entry.type !== '0' && entry.type !== '\0') || !/\.svg$/i.test(entry.name)) {
+            return;
+        }
+        if (entry.sizeInPax) {
+            results.push({ name: entry.name, status: 'failed', error: new Error('pax size header is not supported') });
+            return;
+        }
+        var result = repairSvg(entry.data.toString('utf8'), options);
+        result.name = entry.name;
+        results.push(result);
+
+        if (result.svg !== entry.data.toString('utf8')) {
+            entry.data = Buffer.from(result.svg, 'utf8');
+            entry.changed = changed = true;
+        }
+    });
+
+    if (!changed) {
+        return { buffer: null, results: results };
+    }
+    var tar = writeTar(entries);
+    return { buffer: gzipped ? zlib.gzipSync(tar) : tar, results: results };
+}
+
+// ----------------------------------------------------------------------
+// 파일 처리
+// ----------------------------------------------------------------------
+
+/**
+ * 입력 경로에서 처리할 파일 목록을 모읍니다. 폴더는 하위 폴더까지 탐색합니다.
+ *
+ * @returns {Array<{file: string, relative: string}>}
+ */
+function collectFiles(input) {
+    var stat = fs.statSync(input);
+    if (!stat.isDirectory()) {
+        return [{ file: input, relative: path.basename(input) }];
+    }
+
+    var files = [];
+    (function walk(dir) {
+        fs.readdirSync(dir).sort().forEach(function (name) {
+            var file = path.join(dir, name);
+            if (fs.statSync(file).isDirectory()) {
+                walk(file);
+            } else if (/\.(svg|ent)$/i.test(name)) {
+                files.push({ file: file, relative: path.relative(input, file) });
+            }
+        });
+    }(input));
+    return files;
+}
+
+function writeOutput(target, data, options) {
+    if (options.dryRun) {
+        return;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    // 중간에 실패해도 원본이 깨지지 않도록 임시 파일에 쓴 뒤 교체
+    var temp = target + '.tmp-' + process.pid;
+    fs.writeFileSync(temp, data);
+    fs.renameSync(temp, target);
+}
+
+function describe(result) {
+    if (result.error) {
+        return result.error.message;
+    }
+    if (result.status === 'failed') {
+        return result.remaining.map(function (issue) {
+            return issue.line + ':' + issue.column + ' ' + issue.message;
+        }).join('; ');
+    }
+    if (result.status === 'fixed') {
+        return result.fixed + '건 수정';
+    }
+    return '';
+}
+
+var STATUS_LABELS = { fixed: '수정됨  ', unchanged: '변경없음', failed: '실패    ' };
+
+function printResult(result, label, indent, options) {
+    if (options.quiet && result.status === 'unchanged') {
+        return;
+    }
+    var detail = describe(result);
+    console.log(indent + STATUS_LABELS[result.status] + ' ' + label + (detail ? ' (' + detail + ')' : ''));
+}
+
+/**
+ * 파일 하나(.svg 또는 .ent)를 처리하고 SVG별 결과 목록을 반환합니다.
+ */
+function processFile(item, options) {
+    var target = options.out ? path.join(options.out, item.relative) : item.file;
+    var data = fs.readFileSync(item.file);
+
+    if (/\.ent$/i.test(item.file)) {
+        var archive = repairEntArchive(data, options);
+        console.log(item.file);
+        archive.results.forEach(function (result) {
+            printResult(result, result.name, '  ', options);
+        });
+        if (archive.buffer) {
+            writeOutput(target, archive.buffer, options);
+        } else if (options.out) {
+            writeOutput(target, data, options);
+        }
+        return archive.results;
+    }
+
+    var result = repairSvg(data.toString('utf8'), options);
+    printResult(result, item.file, '', options);
+    if (result.status !== 'unchanged' || options.out) {
+        writeOutput(target, result.svg, options);
+    }
+    return [result];
+}
+
+function main(argv) {
+    var options;
+    try {
+        options = parseArgs(argv);
+        // 잘못된 전략 이름은 파일을 처리하기 전에 확인
+        SvgNamespaceNormalizer.normalize('<svg/>', { strategy: options.strategy });
+    } catch (e) {
+        console.error(e.message + '\n\n' + USAGE);
+        return 2;
+    }
+    if (options.help || options.paths.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    var counts = { fixed: 0, unchanged: 0, failed: 0 };
+    options.paths.forEach(function (input) {
+        var files;
+        try {
+            files = collectFiles(input);
+        } catch (e) {
+            console.error('실패     ' + input + ' (' + e.message + ')');
+            counts.failed++;
+            return;
+        }
+        files.forEach(function (item) {
+            var results;
+            try {
+                results = processFile(item, options);
+            } catch (e) {
+                results = [{ status: 'failed', error: e }];
+                printResult(results[0], item.file, '', options);
+            }
+            results.forEach(function (result) {
+                counts[result.status]++;
+            });
+        });
+    });
+
+    console.log('\nSVG ' + (counts.fixed + counts.unchanged + counts.failed) + '개 검사: ' +
+        '수정 ' + counts.fixed + ', 변경 없음 ' + counts.unchanged + ', 실패 ' + counts.failed +
+        (options.dryRun ? ' (dry-run: 파일을 쓰지 않음)' : ''));
+    return counts.failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    main: main,
+    repairSvg: repairSvg,
+    repairEntArchive: repairEntArchive
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg"';
+var XLINK = 'http://www.w3.org/1999/xlink';
+
+function summarize(svg) {
+    return SvgNamespaceNormalizer.analyze(svg).map(function (issue) {
+        return [issue.kind, issue.prefix, issue.uri, issue.element, issue.attribute,
+            issue.line + ':' + issue.column, issue.fixable];
+    });
+}
+
+test('analyze: 텍스트 안의 ns1: 문자열은 문제로 보지 않음', function () {
+    var svg = SVG_OPEN + '>\n  <text>ns1:href</text>\n</svg>';
+    assert.deepStrictEqual(SvgNamespaceNormalizer.analyze(svg), []);
+    assert.strictEqual(SvgNamespaceNormalizer.hasIssue(svg), false);
+});
+
+test('analyze: 접두사, URI, 요소, 원본 기준 줄/열과 설명 문구를 보고', function () {
+    var svg = SVG_OPEN + '\n     xmlns:ns1="' + XLINK + '">\n  <image ns1:href="a.png"/>\n</svg>';
+    var issues = SvgNamespaceNormalizer.analyze(svg);
+    assert.deepStrictEqual(summarize(svg), [['nonstandard-prefix', 'ns1', XLINK, 'svg', null, '2:6', true]]);
+    assert.strictEqual(issues[0].offset, svg.indexOf('xmlns:ns1'));
+    assert.strictEqual(issues[0].message,
+        '접두사 "ns1:"가 http://www.w3.org/1999/xlink 네임스페이스를 가리키지만 표준 접두사가 아닙니다.');
+    assert.strictEqual(SvgNamespaceNormalizer.hasIssue(svg), true);
+});
+
+test('analyze: normalize()로 고칠 수 있는 문제는 fixable이 true', function () {
+    assert.deepStrictEqual(summarize('<ns0:svg xmlns:ns0="http://www.w3.org/2000/svg"/>'),
+        [['prefixed-default-namespace', 'ns0', 'http://www.w3.org/2000/svg', 'ns0:svg', null, '1:10', true]]);
+    assert.deepStrictEqual(summarize('<svg><path/></svg>'),
+        [['missing-default-namespace', null, 'http://www.w3.org/2000/svg', 'svg', null, '1:1', true]]);
+    assert.deepStrictEqual(summarize(SVG_OPEN + '><path d="1" d="2"/></svg>'),
+        [['duplicate-attribute', null, null, 'path', 'd', '1:53', true]]);
+});
+
+test('analyze: 고칠 수 없는 문제는 fixable이 false이고 hasIssue()도 false', function () {
+    var cases = [
+        [SVG_OPEN + '><g ns9:x="1"/></svg>',
+            ['undeclared-prefix', 'ns9', null, 'g', 'ns9:x', '1:44', false]],
+        [SVG_OPEN + ' xmlns:ns1="urn:unknown"><g ns1:x="1"/></svg>',
+            ['unregistered-namespace', 'ns1', 'urn:unknown', 'svg', null, '1:41', false]],
+        [SVG_OPEN + ' xmlns:xlink="urn:x" xmlns:ns1="' + XLINK + '"><use ns1:href="#a"/></svg>',
+            ['prefix-conflict', 'ns1', XLINK, 'svg', null, '1:61', false]],
+        [SVG_OPEN + '><path d="1"',
+            ['malformed-markup', null, null, null, null, '1:41', false]]
+    ];
+    cases.forEach(function (entry) {
+        assert.deepStrictEqual(summarize(entry[0]), [entry[1]]);
+        assert.strictEqual(SvgNamespaceNormalizer.hasIssue(entry[0]), false);
+    });
+});
+
+test('analyze: 정규화한 결과에는 고칠 수 있는 문제가 남지 않음', function () {
+    var svg = '<ns0:svg xmlns:ns0="http://www.w3.org/2000/svg" xmlns:ns1="' + XLINK + '">' +
+        '<ns0:use ns1:href="#a" ns0:x="1" x="2"/></ns0:svg>';
+    assert.ok(summarize(svg).length > 0);
+    assert.deepStrictEqual(SvgNamespaceNormalizer.analyze(SvgNamespaceNormalizer.normalize(svg, { cache: false })), []);
+});
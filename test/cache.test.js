@@ -0,0 +1,270 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><use ns1:href="#a"/></svg>';
+
+test('cache: 기본값으로는 꺼져 있어 결과를 보관하지 않음', function () {
+    SvgNamespaceNormalizer.clearCache();
+    SvgNamespaceNormalizer.normalize(SVG);
+    SvgNamespaceNormalizer.normalize(SVG);
+    assert.deepStrictEqual(SvgNamespaceNormalizer.getCacheStats(),
+        { entries: 0, size: 0, hits: 0, misses: 0, storageHits: 0 });
+});
+
+test('cache: 켜면 같은 입력을 재사용하고, 반환한 결과를 고쳐도 캐시는 그대로', function () {
+    SvgNamespaceNormalizer.clearCache();
+    var first = SvgNamespaceNormalizer.transform(SVG, { cache: true });
+    first.rewrites.length = 0;
+    first.passes[0].changed = false;
+
+    var second = SvgNamespaceNormalizer.transform(SVG, { cache: true });
+    assert.notStrictEqual(second.rewrites, first.rewrites);
+    assert.ok(second.rewrites.length > 0);
+    assert.strictEqual(second.passes[0].changed, true);
+    assert.strictEqual(SvgNamespaceNormalizer.getCacheStats().hits, 1);
+});
+
+test('cache: 비동기 결과도 복사본을 반환', function () {
+    SvgNamespaceNormalizer.clearCache();
+    SvgNamespaceNormalizer.normalize(SVG, { cache: true });
+    return SvgNamespaceNormalizer.normalizeAsync(SVG, { cache: true }).then(function (svg) {
+        assert.strictEqual(svg, SvgNamespaceNormalizer.normalize(SVG, { cache: false }));
+        assert.strictEqual(SvgNamespaceNormalizer.getCacheStats().hits, 1);
+    });
+});
+
+test('cache: 같은 소스로 패스를 다시 등록해도 이전 결과를 재사용하지 않음', function () {
+    SvgNamespaceNormalizer.clearCache();
+    var label = 'a';
+    var register = function () {
+        SvgNamespaceNormalizer.registerTransform('cache-test', {
+            order: 900,
+            apply: function (svg) {
+                return svg.replace('</svg>', '<!--' + label + '--></svg>');
+            }
+        });
+    };
+    register();
+    assert.ok(/<!--a-->/.test(SvgNamespaceNormalizer.normalize(SVG, { cache: true })));
+    label = 'b';
+    register();
+    assert.ok(/<!--b-->/.test(SvgNamespaceNormalizer.normalize(SVG, { cache: true })));
+    SvgNamespaceNormalizer.unregisterTransform('cache-test');
+});
+
+function shape(id) {
+    return '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><use id="' + id + '" ns1:href="#a"/></svg>';
+}
+
+/**
+ * 캐시 설정을 바꿔 run을 실행하고 끝나면 기본 설정으로 되돌립니다.
+ */
+function withCache(config, run) {
+    SvgNamespaceNormalizer.setLogger(null, 'silent');
+    SvgNamespaceNormalizer.clearCache();
+    SvgNamespaceNormalizer.configureCache(config);
+    return Promise.resolve().then(run).finally(function () {
+        SvgNamespaceNormalizer.configureCache({ maxEntries: 200, maxSize: 16 * 1024 * 1024, storage: null });
+        SvgNamespaceNormalizer.clearCache();
+        SvgNamespaceNormalizer.defaults.cache = false;
+        SvgNamespaceNormalizer.setLogger(null, 'info');
+    });
+}
+
+/**
+ * URL.createObjectURL/revokeObjectURL을 바꿔 만든 URL과 해제한 URL을 기록합니다.
+ */
+function withBlobUrls(run) {
+    var create = URL.createObjectURL;
+    var revoke = URL.revokeObjectURL;
+    var urls = { created: [], revoked: [] };
+    URL.createObjectURL = function () {
+        var url = 'blob:test/' + (urls.created.length + 1);
+        urls.created.push(url);
+        return url;
+    };
+    URL.revokeObjectURL = function (url) {
+        urls.revoked.push(url);
+    };
+    return Promise.resolve().then(function () {
+        return run(urls);
+    }).finally(function () {
+        URL.createObjectURL = create;
+        URL.revokeObjectURL = revoke;
+    });
+}
+
+class FakeStorage {
+    constructor() {
+        this.data = Object.create(null);
+        this.cleared = 0;
+    }
+
+    get(key) {
+        return Promise.resolve(this.data[key]);
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+        return Promise.resolve();
+    }
+
+    clear() {
+        this.cleared++;
+        this.data = Object.create(null);
+    }
+}
+
+function settle() {
+    return new Promise(function (resolve) {
+        setImmediate(resolve);
+    });
+}
+
+test('cache: maxEntries를 넘으면 가장 오래 사용하지 않은 결과부터 지움', function () {
+    return withCache({ maxEntries: 2 }, function () {
+        var options = { cache: true };
+        SvgNamespaceNormalizer.normalize(shape('a'), options);
+        SvgNamespaceNormalizer.normalize(shape('b'), options);
+        SvgNamespaceNormalizer.normalize(shape('a'), options);
+        SvgNamespaceNormalizer.normalize(shape('c'), options);
+        assert.strictEqual(SvgNamespaceNormalizer.getCacheStats().entries, 2);
+
+        SvgNamespaceNormalizer.normalize(shape('a'), options);
+        SvgNamespaceNormalizer.normalize(shape('c'), options);
+        var stats = SvgNamespaceNormalizer.getCacheStats();
+        assert.deepStrictEqual([stats.hits, stats.misses], [3, 3]);
+        SvgNamespaceNormalizer.normalize(shape('b'), options);
+        assert.strictEqual(SvgNamespaceNormalizer.getCacheStats().misses, 4);
+    });
+});
+
+test('cache: maxSize를 넘으면 오래된 결과부터 지우고, maxSize보다 큰 결과는 보관하지 않음', function () {
+    var size = SvgNamespaceNormalizer.normalize(shape('a'), { cache: false }).length;
+    return withCache({ maxSize: size * 2 }, function () {
+        var options = { cache: true };
+        SvgNamespaceNormalizer.normalize(shape('a'), options);
+        SvgNamespaceNormalizer.normalize(shape('b'), options);
+        assert.strictEqual(SvgNamespaceNormalizer.getCacheStats().size, size * 2);
+        SvgNamespaceNormalizer.normalize(shape('c'), options);
+        assert.strictEqual(SvgNamespaceNormalizer.getCacheStats().entries, 2);
+        SvgNamespaceNormalizer.normalize(shape('a'), options);
+        assert.strictEqual(SvgNamespaceNormalizer.getCacheStats().hits, 0);
+
+        SvgNamespaceNormalizer.clearCache();
+        SvgNamespaceNormalizer.normalize(shape('large-' + new Array(size).join('x')), options);
+        assert.strictEqual(SvgNamespaceNormalizer.getCacheStats().entries, 0);
+    });
+});
+
+test('cache: configureCache()로 줄이면 바로 지우고, 잘못된 설정은 거부', function () {
+    return withCache({}, function () {
+        SvgNamespaceNormalizer.normalize(shape('a'), { cache: true });
+        SvgNamespaceNormalizer.normalize(shape('b'), { cache: true });
+        SvgNamespaceNormalizer.configureCache({ maxEntries: 1 });
+        assert.strictEqual(SvgNamespaceNormalizer.getCacheStats().entries, 1);
+
+        assert.throws(function () {
+            SvgNamespaceNormalizer.configureCache({ maxEntries: -1 });
+        }, /Cache maxEntries must be a non-negative number/);
+        assert.throws(function () {
+            SvgNamespaceNormalizer.configureCache({ maxEntries: '10' });
+        }, /Cache maxEntries must be a non-negative number/);
+        assert.throws(function () {
+            SvgNamespaceNormalizer.configureCache({ maxSize: -1 });
+        }, /Cache maxSize must be a non-negative number/);
+        assert.throws(function () {
+            SvgNamespaceNormalizer.configureCache({ storage: { get: function () {} } });
+        }, /Cache storage must have get\(\) and set\(\) methods/);
+    });
+});
+
+test('cache: toBlobUrl()은 캐시에 보관한 결과의 URL을 재사용하고, 밀려나거나 비우면 해제', function () {
+    return withBlobUrls(function (urls) {
+        return withCache({ maxEntries: 1 }, function () {
+            SvgNamespaceNormalizer.defaults.cache = true;
+            var first = SvgNamespaceNormalizer.toBlobUrl(shape('a'));
+            assert.strictEqual(SvgNamespaceNormalizer.toBlobUrl(shape('a')), first);
+            assert.deepStrictEqual(urls.revoked, []);
+
+            var second = SvgNamespaceNormalizer.toBlobUrl(shape('b'));
+            assert.deepStrictEqual(urls.revoked, [first]);
+            SvgNamespaceNormalizer.clearCache();
+            assert.deepStrictEqual(urls.revoked, [first, second]);
+        });
+    });
+});
+
+test('cache: 캐시에 보관하지 않는 결과의 toBlobUrl()은 매번 새 URL을 만들고 해제하지 않음', function () {
+    return withBlobUrls(function (urls) {
+        return withCache({}, function () {
+            // 캐시가 꺼져 있음
+            SvgNamespaceNormalizer.toBlobUrl(shape('a'));
+            SvgNamespaceNormalizer.toBlobUrl(shape('a'));
+
+            // maxSize보다 큼
+            SvgNamespaceNormalizer.defaults.cache = true;
+            SvgNamespaceNormalizer.configureCache({ maxSize: 10 });
+            SvgNamespaceNormalizer.toBlobUrl(shape('a'));
+            SvgNamespaceNormalizer.toBlobUrl(shape('a'));
+            SvgNamespaceNormalizer.clearCache();
+
+            assert.deepStrictEqual(urls.created, ['blob:test/1', 'blob:test/2', 'blob:test/3', 'blob:test/4']);
+            assert.deepStrictEqual(urls.revoked, []);
+        });
+    });
+});
+
+test('cache: 저장소 어댑터에 결과를 기록하고 메모리에 없으면 저장소에서 읽음', function () {
+    var storage = new FakeStorage();
+    var expected = SvgNamespaceNormalizer.normalize(SVG, { cache: false });
+    return withCache({ storage: storage }, function () {
+        SvgNamespaceNormalizer.normalize(SVG, { cache: true });
+        return settle().then(function () {
+            var keys = Object.keys(storage.data);
+            assert.strictEqual(keys.length, 1);
+            assert.strictEqual(keys[0].indexOf(SvgNamespaceNormalizer.version + '|'), 0);
+            assert.strictEqual(storage.data[keys[0]].svg, expected);
+
+            SvgNamespaceNormalizer.clearCache();
+            return SvgNamespaceNormalizer.normalizeAsync(SVG, { cache: true });
+        }).then(function (svg) {
+            assert.strictEqual(svg, expected);
+            return SvgNamespaceNormalizer.normalizeAsync(SVG, { cache: true });
+        }).then(function () {
+            assert.deepStrictEqual(SvgNamespaceNormalizer.getCacheStats(),
+                { entries: 1, size: expected.length, hits: 1, misses: 0, storageHits: 1 });
+
+            SvgNamespaceNormalizer.clearCache();
+            assert.strictEqual(storage.cleared, 0);
+            SvgNamespaceNormalizer.clearCache(true);
+            return settle();
+        }).then(function () {
+            assert.strictEqual(storage.cleared, 1);
+        });
+    });
+});
+
+test('cache: 저장소의 get, set이 실패해도 정규화 결과를 반환', function () {
+    var expected = SvgNamespaceNormalizer.normalize(SVG, { cache: false });
+    var storage = {
+        get: function () {
+            return Promise.reject(new Error('quota exceeded'));
+        },
+        set: function () {
+            throw new Error('quota exceeded');
+        }
+    };
+    return withCache({ storage: storage }, function () {
+        return SvgNamespaceNormalizer.normalizeAsync(SVG, { cache: true }).then(function (svg) {
+            assert.strictEqual(svg, expected);
+            assert.strictEqual(SvgNamespaceNormalizer.normalize(SVG, { cache: true }), expected);
+            var stats = SvgNamespaceNormalizer.getCacheStats();
+            assert.deepStrictEqual([stats.hits, stats.misses, stats.storageHits], [1, 1, 0]);
+            return settle();
+        });
+    });
+});
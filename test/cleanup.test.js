@@ -0,0 +1,56 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg"';
+
+test('cleanup: xml:space가 있는 Illustrator SVG도 예외 없이 정리', function () {
+    var svg = SVG_OPEN + ' xml:space="preserve"><path d="M0 0"/></svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { cleanup: true, cache: false }), svg);
+});
+
+test('cleanup: xlink-only 전략에서 선언되지 않은 sodipodi: 속성 제거', function () {
+    var svg = SVG_OPEN + '><path sodipodi:nodetypes="cc" d="M0 0"/></svg>';
+    var result = SvgNamespaceNormalizer.normalize(svg, { cleanup: true, strategy: 'xlink-only', cache: false });
+    assert.strictEqual(result, SVG_OPEN + '><path d="M0 0"/></svg>');
+});
+
+test('cleanup: 편집기 요소/속성, metadata, 편집기 주석, 빈 그룹을 제거하고 줄어든 바이트를 보고', function () {
+    var svg = '<!-- Generator: Adobe Illustrator 24.0.0 -->\n<!-- keep -->\n' +
+        SVG_OPEN + ' xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"' +
+        ' xmlns:i="http://ns.adobe.com/AdobeIllustrator/10.0/" inkscape:version="1.0">' +
+        '<metadata><x/></metadata>' +
+        '<switch><foreignObject requiredExtensions="http://ns.adobe.com/AdobeIllustrator/10.0/">' +
+        '<i:pgf id="adobe_illustrator_pgf">AAAA</i:pgf></foreignObject>' +
+        '<g i:extraneous="self"><g> <g/> </g><path d="M0 0" inkscape:label="p"/></g></switch>' +
+        '<g><title>t</title></g></svg>';
+    var result = SvgNamespaceNormalizer.transform(svg, { cleanup: true, cache: false });
+
+    assert.strictEqual(result.svg, '\n<!-- keep -->\n' + SVG_OPEN + '>' +
+        '<switch><g><path d="M0 0"/></g></switch><g><title>t</title></g></svg>');
+    var pass = result.passes.filter(function (p) {
+        return p.name === 'cleanup';
+    })[0];
+    assert.strictEqual(pass.bytesSaved, Buffer.byteLength(svg) - Buffer.byteLength(result.svg));
+    var reported = result.rewrites.reduce(function (sum, rewrite) {
+        return sum + (rewrite.pass === 'cleanup' ? rewrite.bytes : 0);
+    }, 0);
+    assert.strictEqual(reported, pass.bytesSaved);
+});
+
+test('cleanup: 기본값으로는 꺼져 있음', function () {
+    var svg = SVG_OPEN + '><metadata/><g/></svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { cache: false }), svg);
+});
+
+test('cleanup: id 등 편집기 속성이 아닌 속성이 있는 빈 그룹은 남김', function () {
+    var svg = SVG_OPEN + ' xmlns:xlink="http://www.w3.org/1999/xlink"' +
+        ' xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape">' +
+        '<g id="a"/><g transform="scale(2)"></g><g inkscape:groupmode="layer"/><g inkscape:label="x"> </g>' +
+        '<use xlink:href="#a"/></svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { cleanup: true, cache: false }),
+        SVG_OPEN + ' xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        '<g id="a"/><g transform="scale(2)"></g><use xlink:href="#a"/></svg>');
+});
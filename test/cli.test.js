@@ -0,0 +1,152 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var zlib = require('zlib');
+var childProcess = require('child_process');
+var cli = require('../svg-namespace-normalizer-cli.js');
+
+var CLI_PATH = path.join(__dirname, '..', 'svg-namespace-normalizer-cli.js');
+var BROKEN = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><use ns1:href="#a"/></svg>';
+var FIXED = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"/></svg>';
+var UNFIXABLE = '<svg xmlns="http://www.w3.org/2000/svg"><g ns9:x="1"/></svg>';
+
+/**
+ * ustar 형식의 tar 버퍼를 만듭니다.
+ */
+function createTar(files) {
+    var chunks = [];
+    files.forEach(function (file) {
+        var data = Buffer.from(file.data, 'utf8');
+        var header = Buffer.alloc(512);
+        header.write(file.name, 0, 100, 'utf8');
+        header.write('0000644\0', 100, 8, 'ascii');
+        header.write('0000000\0', 108, 8, 'ascii');
+        header.write('0000000\0', 116, 8, 'ascii');
+        header.write(('00000000000' + data.length.toString(8)).slice(-11) + '\0', 124, 12, 'ascii');
+        header.write('00000000000\0', 136, 12, 'ascii');
+        header.write('0', 156, 1, 'ascii');
+        header.write('ustar\0' + '00', 257, 8, 'ascii');
+        header.fill(32, 148, 156);
+        header.write(('000000' + checksum(header).toString(8)).slice(-6) + '\0 ', 148, 8, 'ascii');
+        chunks.push(header, data, Buffer.alloc((512 - data.length % 512) % 512));
+    });
+    chunks.push(Buffer.alloc(1024));
+    return Buffer.concat(chunks);
+}
+
+function checksum(header) {
+    var copy = Buffer.from(header);
+    copy.fill(32, 148, 156);
+    var sum = 0;
+    for (var i = 0; i < 512; i++) {
+        sum += copy[i];
+    }
+    return sum;
+}
+
+/**
+ * tar 버퍼에서 { 이름: 내용 }을 읽고 헤더 체크섬을 확인합니다.
+ */
+function extractTar(buffer) {
+    var files = {};
+    var offset = 0;
+    while (offset + 512 <= buffer.length && buffer[offset] !== 0) {
+        var header = buffer.slice(offset, offset + 512);
+        var name = header.toString('utf8', 0, 100).replace(/\0.*$/, '');
+        var size = parseInt(header.toString('ascii', 124, 136), 8);
+        assert.strictEqual(parseInt(header.toString('ascii', 148, 156), 8), checksum(header), name + ' checksum');
+        files[name] = buffer.toString('utf8', offset + 512, offset + 512 + size);
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+function makeTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'svg-normalizer-cli-'));
+}
+
+function runCli(args) {
+    return childProcess.spawnSync(process.execPath, [CLI_PATH].concat(args), { encoding: 'utf8', timeout: 30000 });
+}
+
+test('cli: repairSvg()는 수정, 변경 없음, 실패를 구분', function () {
+    var fixed = cli.repairSvg(BROKEN);
+    assert.strictEqual(fixed.status, 'fixed');
+    assert.strictEqual(fixed.svg, FIXED);
+    assert.strictEqual(fixed.fixed, 1);
+
+    assert.strictEqual(cli.repairSvg(FIXED).status, 'unchanged');
+
+    var failed = cli.repairSvg(UNFIXABLE);
+    assert.strictEqual(failed.status, 'failed');
+    assert.deepStrictEqual(failed.remaining.map(function (issue) {
+        return issue.kind;
+    }), ['undeclared-prefix']);
+});
+
+test('cli: .ent 아카이브 안의 SVG만 고치고 나머지 항목과 gzip 압축은 유지', function () {
+    var project = '{"objects":[{"picture":"images/a.svg"}]}';
+    var archive = zlib.gzipSync(createTar([
+        { name: 'temp/project.json', data: project },
+        { name: 'temp/images/a.svg', data: BROKEN },
+        { name: 'temp/images/b.svg', data: FIXED }
+    ]));
+
+    var repaired = cli.repairEntArchive(archive);
+    assert.deepStrictEqual(repaired.results.map(function (result) {
+        return result.name + ' ' + result.status;
+    }), ['temp/images/a.svg fixed', 'temp/images/b.svg unchanged']);
+    assert.deepStrictEqual(extractTar(zlib.gunzipSync(repaired.buffer)), {
+        'temp/project.json': project,
+        'temp/images/a.svg': FIXED,
+        'temp/images/b.svg': FIXED
+    });
+
+    // 다시 고칠 것이 없으면 버퍼를 만들지 않음
+    assert.strictEqual(cli.repairEntArchive(repaired.buffer).buffer, null);
+});
+
+test('cli: 폴더를 돌며 결과를 --out 폴더에 쓰고, 실패한 파일이 있으면 종료 코드 1', function () {
+    var input = makeTempDir();
+    var output = makeTempDir();
+    try {
+        fs.mkdirSync(path.join(input, 'shapes'));
+        fs.writeFileSync(path.join(input, 'shapes', 'broken.svg'), BROKEN);
+        fs.writeFileSync(path.join(input, 'fine.svg'), FIXED);
+        fs.writeFileSync(path.join(input, 'notes.txt'), BROKEN);
+        fs.writeFileSync(path.join(input, 'project.ent'), zlib.gzipSync(createTar([
+            { name: 'temp/images/a.svg', data: BROKEN }
+        ])));
+
+        var result = runCli(['--out', output, input]);
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.match(result.stdout, /SVG 3개 검사: 수정 2, 변경 없음 1, 실패 0/);
+        assert.strictEqual(fs.readFileSync(path.join(output, 'shapes', 'broken.svg'), 'utf8'), FIXED);
+        assert.strictEqual(fs.readFileSync(path.join(output, 'fine.svg'), 'utf8'), FIXED);
+        assert.strictEqual(fs.existsSync(path.join(output, 'notes.txt')), false);
+        assert.strictEqual(extractTar(zlib.gunzipSync(fs.readFileSync(path.join(output, 'project.ent'))))['temp/images/a.svg'],
+            FIXED);
+        // 원본은 그대로
+        assert.strictEqual(fs.readFileSync(path.join(input, 'shapes', 'broken.svg'), 'utf8'), BROKEN);
+
+        fs.writeFileSync(path.join(input, 'bad.svg'), UNFIXABLE);
+        result = runCli(['--dry-run', input]);
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stdout, /실패 +\S*bad\.svg \(1:44 /);
+        assert.strictEqual(fs.readFileSync(path.join(input, 'shapes', 'broken.svg'), 'utf8'), BROKEN);
+    } finally {
+        fs.rmSync(input, { recursive: true, force: true });
+        fs.rmSync(output, { recursive: true, force: true });
+    }
+});
+
+test('cli: 잘못된 옵션과 전략 이름은 종료 코드 2', function () {
+    assert.strictEqual(runCli(['--bogus']).status, 2);
+    assert.strictEqual(runCli(['--strategy', 'nope', '.']).status, 2);
+    assert.strictEqual(runCli([]).status, 2);
+    assert.strictEqual(runCli(['--help']).status, 0);
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><text>한 글 100%</text><use ns1:href="#a"/></svg>';
+var FIXED = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><text>한 글 100%</text><use xlink:href="#a"/></svg>';
+
+var BASE64 = 'data:image/svg+xml;base64,' + Buffer.from(SVG).toString('base64');
+var PERCENT = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(SVG);
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+global.window = global;
+
+function decode(url) {
+    var comma = url.indexOf(',');
+    var payload = url.slice(comma + 1);
+    return /;base64$/.test(url.slice(0, comma)) ? Buffer.from(payload, 'base64').toString('utf8') : decodeURIComponent(payload);
+}
+
+test('data-urls: base64 Data URL은 정규화한 뒤 base64로 다시 인코딩', function () {
+    var result = SvgNamespaceNormalizer.normalizeDataUrl(BASE64, { cache: false });
+    assert.match(result, /^data:image\/svg\+xml;base64,[A-Za-z0-9+/]+=*$/);
+    assert.strictEqual(decode(result), FIXED);
+});
+
+test('data-urls: 퍼센트 인코딩 Data URL은 헤더를 유지하고 퍼센트 인코딩으로 다시 인코딩', function () {
+    var result = SvgNamespaceNormalizer.normalizeDataUrl(PERCENT, { cache: false });
+    assert.strictEqual(result.indexOf('data:image/svg+xml;charset=utf-8,'), 0);
+    assert.doesNotMatch(result.slice(result.indexOf(',') + 1), /[<>"#\s]/);
+    assert.strictEqual(decode(result), FIXED);
+});
+
+test('data-urls: 바뀐 것이 없거나 SVG가 아니거나 디코딩할 수 없으면 받은 값을 그대로 반환', function () {
+    var clean = 'data:image/svg+xml,' + encodeURIComponent(FIXED);
+    var broken = 'data:image/svg+xml;base64,!!!';
+    var png = 'data:image/png;base64,AAAA';
+    assert.strictEqual(SvgNamespaceNormalizer.normalizeDataUrl(clean, { cache: false }), clean);
+    assert.strictEqual(SvgNamespaceNormalizer.normalizeDataUrl(broken, { cache: false }), broken);
+    assert.strictEqual(SvgNamespaceNormalizer.normalizeDataUrl(png, { cache: false }), png);
+    assert.strictEqual(SvgNamespaceNormalizer.normalizeDataUrl('a.svg', { cache: false }), 'a.svg');
+});
+
+test('data-urls: 패치된 fetch는 요청 전에 Data URL을 정규화', function () {
+    var original = global.fetch;
+    var requested = [];
+    global.fetch = function (url) {
+        requested.push(url);
+        return Promise.resolve(new Response('', { headers: { 'content-type': 'text/plain' } }));
+    };
+    SvgNamespaceNormalizer.patchFetch();
+    return fetch(BASE64).then(function () {
+        assert.strictEqual(requested.length, 1);
+        assert.strictEqual(decode(requested[0]), FIXED);
+    }).finally(function () {
+        SvgNamespaceNormalizer.uninstall();
+        global.fetch = original;
+    });
+});
+
+test('data-urls: 패치된 addSVG는 Data URL을 가져오지 않고 바로 정규화해서 넘김', function () {
+    var received = [];
+    var instance = {
+        addSVG: function (url) {
+            received.push(url);
+        }
+    };
+    assert.strictEqual(SvgNamespaceNormalizer.patchPaintInstance(instance), true);
+    try {
+        instance.addSVG(PERCENT);
+        assert.strictEqual(received.length, 1);
+        assert.strictEqual(received[0].indexOf('data:image/svg+xml;charset=utf-8,'), 0);
+        assert.strictEqual(decode(received[0]), FIXED);
+    } finally {
+        SvgNamespaceNormalizer.uninstall();
+    }
+});
+
+test('data-urls: patchImageSrc는 Image.src에 넣는 SVG Data URL만 정규화하고 uninstall()로 되돌림', function () {
+    class FakeImage {
+        get src() {
+            return this._src;
+        }
+
+        set src(value) {
+            this._src = value;
+        }
+    }
+    var descriptor = Object.getOwnPropertyDescriptor(FakeImage.prototype, 'src');
+    global.HTMLImageElement = FakeImage;
+    try {
+        SvgNamespaceNormalizer.patchImageSrc();
+        var image = new FakeImage();
+        image.src = BASE64;
+        assert.strictEqual(decode(image.src), FIXED);
+        image.src = 'a.png';
+        assert.strictEqual(image.src, 'a.png');
+
+        SvgNamespaceNormalizer.uninstall();
+        assert.deepStrictEqual(Object.getOwnPropertyDescriptor(FakeImage.prototype, 'src'), descriptor);
+        image.src = BASE64;
+        assert.strictEqual(image.src, BASE64);
+    } finally {
+        SvgNamespaceNormalizer.uninstall();
+        delete global.HTMLImageElement;
+    }
+});
+
+test('data-urls: patchImageSrc는 기본으로 꺼져 있고 defaults.patchImageSrc로 install()에 포함', function () {
+    class FakeImage {
+        set src(value) {
+            this._src = value;
+        }
+    }
+    var original = SvgNamespaceNormalizer.defaults.patchImageSrc;
+    global.HTMLImageElement = FakeImage;
+    try {
+        assert.strictEqual(original, false);
+        SvgNamespaceNormalizer.install();
+        var image = new FakeImage();
+        image.src = BASE64;
+        assert.strictEqual(image._src, BASE64);
+        SvgNamespaceNormalizer.uninstall();
+
+        SvgNamespaceNormalizer.defaults.patchImageSrc = true;
+        SvgNamespaceNormalizer.install();
+        image.src = BASE64;
+        assert.strictEqual(decode(image._src), FIXED);
+    } finally {
+        SvgNamespaceNormalizer.uninstall();
+        SvgNamespaceNormalizer.defaults.patchImageSrc = original;
+        delete global.HTMLImageElement;
+    }
+});
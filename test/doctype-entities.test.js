@@ -0,0 +1,114 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var ILLUSTRATOR = '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd" [\n' +
+    '\t<!ENTITY ns_svg "http://www.w3.org/2000/svg">\n' +
+    '\t<!ENTITY ns_xlink "http://www.w3.org/1999/xlink">\n' +
+    '\t<!-- <!ENTITY ns_svg "wrong"> -->\n' +
+    ']>\n' +
+    '<svg xmlns="&ns_svg;" xmlns:ns1="&ns_xlink;"><image ns1:href="a.png"/></svg>';
+
+var FIXED = '<?xml version="1.0" encoding="utf-8"?>\n\n' +
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><image xlink:href="a.png"/></svg>';
+
+function silence() {
+    SvgNamespaceNormalizer.setLogger(null, 'silent');
+}
+
+test('doctype-entities: 내부 엔티티를 펼치고 DOCTYPE을 제거한 뒤 네임스페이스를 정규화', function () {
+    assert.strictEqual(SvgNamespaceNormalizer.hasIssue(ILLUSTRATOR), true);
+    var result = SvgNamespaceNormalizer.transform(ILLUSTRATOR, { cache: false });
+    assert.strictEqual(result.svg, FIXED);
+    assert.deepStrictEqual(result.rewrites.filter(function (rewrite) {
+        return rewrite.pass === 'doctype-entities';
+    }).map(function (rewrite) {
+        return rewrite.type + ' ' + (rewrite.from || '');
+    }), ['expand-entity &ns_svg;', 'expand-entity &ns_xlink;', 'remove-doctype ']);
+});
+
+test('doctype-entities: 속성 값에 펼친 따옴표와 <는 이스케이프하고, 텍스트에는 그대로 넣음', function () {
+    var svg = '<!DOCTYPE svg [<!ENTITY q \'say "hi" <b/>\'>]><svg xmlns="http://www.w3.org/2000/svg" id="&q;">&q;</svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { cache: false }),
+        '<svg xmlns="http://www.w3.org/2000/svg" id="say &quot;hi&quot; &lt;b/>">say "hi" <b/></svg>');
+});
+
+test('doctype-entities: 펼칠 수 없는 외부 엔티티가 남으면 DOCTYPE을 유지', function () {
+    var svg = '<!DOCTYPE svg [<!ENTITY e SYSTEM "x.ent"><!ENTITY s "http://www.w3.org/2000/svg">]><svg xmlns="&s;">&e;</svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { cache: false }),
+        '<!DOCTYPE svg [<!ENTITY e SYSTEM "x.ent"><!ENTITY s "http://www.w3.org/2000/svg">]><svg xmlns="http://www.w3.org/2000/svg">&e;</svg>');
+});
+
+test('doctype-entities: 엔티티 폭탄과 순환 참조는 펼치지 않고 원본을 유지', function () {
+    silence();
+    var bomb = '<!DOCTYPE svg [<!ENTITY l0 "lollollollollol">';
+    for (var i = 1; i < 10; i++) {
+        bomb += '<!ENTITY l' + i + ' "' + new Array(11).join('&l' + (i - 1) + ';') + '">';
+    }
+    bomb += ']><svg xmlns="http://www.w3.org/2000/svg"><text>&l9;</text></svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(bomb, { cache: false }), bomb);
+
+    var cycle = '<!DOCTYPE svg [<!ENTITY a "&b;"><!ENTITY b "&a;">]><svg xmlns="http://www.w3.org/2000/svg">&a;</svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(cycle, { cache: false }), cycle);
+
+    var fixable = SvgNamespaceNormalizer.analyze(bomb).filter(function (issue) {
+        return issue.kind === 'doctype-entities';
+    });
+    assert.strictEqual(fixable.length, 1);
+    assert.strictEqual(fixable[0].fixable, false);
+});
+
+test('doctype-entities: 제한을 넘어 펼칠 수 없는 엔티티는 hasIssue()가 문제로 보지 않음', function () {
+    silence();
+    var bomb = '<!DOCTYPE svg [<!ENTITY l0 "lollollollollol">';
+    for (var i = 1; i < 8; i++) {
+        bomb += '<!ENTITY l' + i + ' "' + new Array(11).join('&l' + (i - 1) + ';') + '">';
+    }
+    bomb += ']><svg xmlns="http://www.w3.org/2000/svg"><text>&l7;</text></svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.hasIssue(bomb), false);
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(bomb, { cache: false }), bomb);
+
+    var cycle = '<!DOCTYPE svg [<!ENTITY a "&b;"><!ENTITY b "&a;">]><svg xmlns="http://www.w3.org/2000/svg">&a;</svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.hasIssue(cycle), false);
+
+    // 외부 엔티티만 있어 바뀌는 것이 없으면 문제가 아님
+    var external = '<!DOCTYPE svg [<!ENTITY e SYSTEM "x.ent">]><svg xmlns="http://www.w3.org/2000/svg">&e;</svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.hasIssue(external), false);
+    assert.strictEqual(SvgNamespaceNormalizer.hasIssue(ILLUSTRATOR), true);
+});
+
+test('doctype-entities: analyze()는 펼친 문서를 진단하고 위치는 원본 기준', function () {
+    var issues = SvgNamespaceNormalizer.analyze(ILLUSTRATOR);
+    assert.deepStrictEqual(issues.map(function (issue) {
+        return [issue.kind, issue.line, issue.fixable, issue.uri];
+    }), [
+        ['doctype-entities', 2, true, null],
+        ['nonstandard-prefix', 7, true, 'http://www.w3.org/1999/xlink']
+    ]);
+    assert.deepStrictEqual(SvgNamespaceNormalizer.analyze(FIXED), []);
+});
+
+test('doctype-entities: 끄면 엔티티와 DOCTYPE을 그대로 둠', function () {
+    var options = { transforms: { 'doctype-entities': false }, cache: false };
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(ILLUSTRATOR, options).indexOf('<!DOCTYPE'), 39);
+});
+
+test('doctype-entities: 스트리밍 결과가 조각 경계와 관계없이 normalize()와 같음', function () {
+    var expected = SvgNamespaceNormalizer.normalize(ILLUSTRATOR, { cache: false });
+    var cuts = [1, 30, 60, 120, 200];
+    return Promise.all(cuts.map(function (cut) {
+        var stream = SvgNamespaceNormalizer.createNormalizeStream({ cache: false });
+        var writer = stream.writable.getWriter();
+        writer.write(ILLUSTRATOR.slice(0, cut));
+        writer.write(ILLUSTRATOR.slice(cut));
+        writer.close();
+        return new Response(stream.readable).text();
+    })).then(function (outputs) {
+        outputs.forEach(function (output) {
+            assert.strictEqual(output, expected);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var OPEN = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink">';
+var LEAF = OPEN + '<use ns1:href="#a"/></svg>';
+
+function embed(inner) {
+    return OPEN + '<image ns1:href="data:image/svg+xml;base64,' + Buffer.from(inner).toString('base64') + '"/></svg>';
+}
+
+/**
+ * 바깥 문서부터 가장 안쪽 문서까지 각 단계의 SVG를 꺼냅니다.
+ */
+function levels(svg) {
+    var result = [svg];
+    var match;
+    while ((match = /base64,([^"]*)/.exec(svg))) {
+        svg = Buffer.from(match[1], 'base64').toString('utf8');
+        result.push(svg);
+    }
+    return result;
+}
+
+function fixedLevels(svg) {
+    return levels(svg).map(function (level) {
+        return level.indexOf('ns1:') === -1;
+    });
+}
+
+var NESTED = embed(embed(embed(LEAF)));
+
+test('embedded-svg: 속성의 SVG Data URL을 디코딩해 재귀적으로 정규화 (기본 3단계)', function () {
+    var result = SvgNamespaceNormalizer.normalize(NESTED, { cache: false });
+    assert.deepStrictEqual(fixedLevels(result), [true, true, true, true]);
+    assert.strictEqual(levels(result)[3], '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"/></svg>');
+});
+
+test('embedded-svg: nestedDepth 단계까지만 들어가고 0이면 포함된 SVG를 건드리지 않음', function () {
+    [[0, [true, false, false, false]], [1, [true, true, false, false]], [2, [true, true, true, false]]].forEach(function (pair) {
+        var result = SvgNamespaceNormalizer.normalize(NESTED, { nestedDepth: pair[0], cache: false });
+        assert.deepStrictEqual(fixedLevels(result), pair[1], 'nestedDepth ' + pair[0]);
+    });
+    var passes = SvgNamespaceNormalizer.transform(NESTED, { nestedDepth: 0, cache: false }).passes.map(function (pass) {
+        return pass.name;
+    });
+    assert.strictEqual(passes.indexOf('embedded-svg'), -1);
+});
+
+test('embedded-svg: 퍼센트 인코딩은 그 형식대로, PNG Data URL은 그대로 둠', function () {
+    var png = 'data:image/png;base64,iVBORw0KGgo=';
+    var svg = OPEN + '<image ns1:href="data:image/svg+xml,' + encodeURIComponent(LEAF) + '"/>' +
+        '<image ns1:href="' + png + '"/></svg>';
+    var result = SvgNamespaceNormalizer.normalize(svg, { cache: false });
+    var match = /xlink:href="data:image\/svg\+xml,([^"]*)"/.exec(result);
+    assert.ok(match);
+    assert.notStrictEqual(decodeURIComponent(match[1]).indexOf('xlink:href="#a"'), -1);
+    assert.notStrictEqual(result.indexOf('xlink:href="' + png + '"'), -1);
+});
+
+test('embedded-svg: analyze()와 rewrites에 포함된 SVG의 문제를 보고', function () {
+    assert.deepStrictEqual(SvgNamespaceNormalizer.analyze(embed(LEAF)).map(function (issue) {
+        return [issue.kind, issue.attribute];
+    }), [['nonstandard-prefix', null], ['embedded-svg', 'ns1:href']]);
+    assert.deepStrictEqual(SvgNamespaceNormalizer.analyze(embed(LEAF), { nestedDepth: 0 }).map(function (issue) {
+        return issue.kind;
+    }), ['nonstandard-prefix']);
+
+    var rewrites = SvgNamespaceNormalizer.transform(embed(LEAF), { cache: false }).rewrites.filter(function (rewrite) {
+        return rewrite.pass === 'embedded-svg';
+    });
+    assert.deepStrictEqual(rewrites.map(function (rewrite) {
+        return [rewrite.type, rewrite.element, rewrite.to];
+    }), [['rewrite-embedded-svg', 'image', 'xlink:href']]);
+});
+
+test('embedded-svg: 스트리밍에서도 큰 포함 SVG를 흘려보내지 않고 정규화', function () {
+    var big = embed(OPEN + '<text>' + new Array(80 * 1024).join('x') + '</text><use ns1:href="#a"/></svg>');
+    var expected = SvgNamespaceNormalizer.normalize(big, { cache: false });
+    assert.deepStrictEqual(fixedLevels(expected), [true, true]);
+
+    var stream = SvgNamespaceNormalizer.createNormalizeStream({ cache: false });
+    var writer = stream.writable.getWriter();
+    for (var i = 0; i < big.length; i += 16 * 1024) {
+        writer.write(big.slice(i, i + 16 * 1024));
+    }
+    writer.close();
+    return new Response(stream.readable).text().then(function (output) {
+        assert.strictEqual(output, expected);
+    });
+});
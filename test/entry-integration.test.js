@@ -0,0 +1,177 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><use ns1:href="#a"/></svg>';
+var FIXED = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"/></svg>';
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+global.window = global;
+
+/**
+ * addSVG에 넘어온 URL을 기록하는 EntryPaint 모듈
+ */
+function createEntryPaintModule(calls) {
+    function Paint() {}
+    Paint.prototype.addSVG = function (url) {
+        calls.push(url);
+    };
+    return {
+        create: function () {
+            return new Paint();
+        }
+    };
+}
+
+function decodeDataUrl(url) {
+    return decodeURIComponent(url.slice(url.indexOf(',') + 1));
+}
+
+/**
+ * Entry, EntryPaint가 없는 상태에서 install()하고 끝나면 모두 되돌립니다.
+ */
+function withInstall(run) {
+    var original = global.fetch;
+    var patched = [];
+    var off = SvgNamespaceNormalizer.on('patched', function (event) {
+        patched.push(event.target);
+    });
+    global.fetch = function (url) {
+        if (url.indexOf('missing') !== -1) {
+            return Promise.resolve(new Response('', { status: 404 }));
+        }
+        return Promise.resolve(new Response(SVG, { headers: { 'content-type': 'image/svg+xml' } }));
+    };
+    SvgNamespaceNormalizer.install();
+    return Promise.resolve().then(function () {
+        return run(patched);
+    }).finally(function () {
+        off();
+        SvgNamespaceNormalizer.uninstall();
+        delete global.Entry;
+        delete global.EntryPaint;
+        global.fetch = original;
+    });
+}
+
+test('entry-integration: 나중에 대입된 window.Entry에 그 자리에서 Entry.Utils 함수를 추가', function () {
+    return withInstall(function (patched) {
+        assert.strictEqual('Entry' in global, true);
+        assert.strictEqual(global.Entry, undefined);
+
+        global.Entry = {};
+        assert.strictEqual(Entry.Utils.normalizeSvgNamespace, SvgNamespaceNormalizer.normalize);
+        assert.strictEqual(Entry.Utils.hasSvgNamespaceIssue, SvgNamespaceNormalizer.hasIssue);
+        assert.deepStrictEqual(patched.filter(function (target) {
+            return target === 'entry-utils';
+        }), ['entry-utils']);
+    });
+});
+
+test('entry-integration: Entry.Utils나 Entry 자체가 새 객체로 바뀌면 다시 통합', function () {
+    return withInstall(function () {
+        global.Entry = { Utils: { keep: 1 } };
+        assert.strictEqual(Entry.Utils.keep, 1);
+        assert.strictEqual(Entry.Utils.normalizeSvgNamespace, SvgNamespaceNormalizer.normalize);
+
+        Entry.Utils = { replaced: true };
+        assert.strictEqual(Entry.Utils.replaced, true);
+        assert.strictEqual(Entry.Utils.normalizeSvgNamespace, SvgNamespaceNormalizer.normalize);
+
+        global.Entry = {};
+        assert.strictEqual(Entry.Utils.normalizeSvgNamespace, SvgNamespaceNormalizer.normalize);
+        global.Entry.Utils = {};
+        assert.strictEqual(Entry.Utils.svgToNormalizedDataUrl, SvgNamespaceNormalizer.toDataUrl);
+    });
+});
+
+test('entry-integration: EntryPaint와 EntryPaint.default가 나중에 대입되면 그 자리에서 create를 감쌈', function () {
+    return withInstall(function (patched) {
+        var calls = [];
+        var module = createEntryPaintModule(calls);
+        var create = module.create;
+
+        global.EntryPaint = {};
+        assert.strictEqual(patched.indexOf('entry-paint'), -1);
+        EntryPaint.default = module;
+        assert.notStrictEqual(EntryPaint.default.create, create);
+        assert.notStrictEqual(patched.indexOf('entry-paint'), -1);
+
+        var instance = EntryPaint.default.create();
+        return Promise.resolve(instance.addSVG('http://example.com/shape.svg')).then(function () {
+            assert.strictEqual(calls.length, 1);
+            assert.strictEqual(decodeDataUrl(calls[0]), FIXED);
+        });
+    });
+});
+
+test('entry-integration: EntryPaint 모듈 전체가 default와 함께 대입되어도 감쌈', function () {
+    return withInstall(function () {
+        var module = createEntryPaintModule([]);
+        var create = module.create;
+        global.EntryPaint = { default: module };
+        assert.notStrictEqual(EntryPaint.default.create, create);
+    });
+});
+
+test('entry-integration: Entry.playground.painter 아래의 기존 인스턴스도 패치', function () {
+    return withInstall(function () {
+        var calls = [];
+        var ownCalls = [];
+        var module = createEntryPaintModule(calls);
+        var existing = module.create();
+        var nested = {
+            addSVG: function (url) {
+                ownCalls.push(url);
+            }
+        };
+        global.Entry = { playground: { painter: { paint: existing, other: nested, name: 'painter' } } };
+        global.EntryPaint = { default: module };
+
+        return Promise.all([
+            existing.addSVG('http://example.com/a.svg'),
+            nested.addSVG('http://example.com/b.svg')
+        ]).then(function () {
+            assert.strictEqual(decodeDataUrl(calls[0]), FIXED);
+            assert.strictEqual(decodeDataUrl(ownCalls[0]), FIXED);
+        });
+    });
+});
+
+test('entry-integration: patchPaintInstance()는 한 번만 패치하고 addSVG가 없으면 false', function () {
+    return withInstall(function () {
+        var calls = [];
+        var module = createEntryPaintModule(calls);
+        var first = module.create();
+        var second = module.create();
+
+        assert.strictEqual(SvgNamespaceNormalizer.patchPaintInstance(first), true);
+        assert.strictEqual(SvgNamespaceNormalizer.patchPaintInstance(first), false);
+        // 프로토타입을 패치했으므로 같은 클래스의 다른 인스턴스도 이미 패치됨
+        assert.strictEqual(SvgNamespaceNormalizer.patchPaintInstance(second), false);
+        assert.strictEqual(SvgNamespaceNormalizer.patchPaintInstance({}), false);
+        assert.strictEqual(SvgNamespaceNormalizer.patchPaintInstance(null), false);
+
+        return Promise.resolve(second.addSVG('http://example.com/a.svg')).then(function () {
+            assert.strictEqual(decodeDataUrl(calls[0]), FIXED);
+        });
+    });
+});
+
+test('entry-integration: addSVG의 SVG를 가져오지 못하면 error를 알리고 원래 URL로 불러옴', function () {
+    var errors = [];
+    var off = SvgNamespaceNormalizer.on('error', function (event) {
+        errors.push(event.source + ' ' + event.url);
+    });
+    return withInstall(function () {
+        var calls = [];
+        var instance = createEntryPaintModule(calls).create();
+        SvgNamespaceNormalizer.patchPaintInstance(instance);
+        return Promise.resolve(instance.addSVG('http://example.com/missing.svg')).then(function () {
+            assert.deepStrictEqual(calls, ['http://example.com/missing.svg']);
+            assert.deepStrictEqual(errors, ['entry-paint http://example.com/missing.svg']);
+        });
+    }).finally(off);
+});
@@ -0,0 +1,227 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><use ns1:href="#a"/></svg>';
+var CLEAN = '<svg xmlns="http://www.w3.org/2000/svg"/>';
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+global.window = global;
+
+/**
+ * 받은 로그를 '메서드 메시지' 문자열로 모으는 로거
+ */
+function createLogger(lines) {
+    var logger = {};
+    ['error', 'warn', 'info', 'debug'].forEach(function (method) {
+        logger[method] = function (message, detail) {
+            lines.push(method + ' ' + message + (detail === undefined ? '' : ' +detail'));
+        };
+    });
+    return logger;
+}
+
+/**
+ * URL에 따라 문제 있는 SVG, 깨끗한 SVG 또는 실패를 돌려주는 fetch를 패치한 채로 run을 실행합니다.
+ */
+function withPatchedFetch(run) {
+    var original = global.fetch;
+    global.fetch = function (url) {
+        if (url.indexOf('broken') !== -1) {
+            return Promise.resolve(new Response(new ReadableStream({
+                pull: function (controller) {
+                    controller.error(new Error('reset'));
+                }
+            }), { headers: { 'content-type': 'image/svg+xml' } }));
+        }
+        var body = url.indexOf('clean') !== -1 ? CLEAN : SVG;
+        return Promise.resolve(new Response(body, { headers: { 'content-type': 'image/svg+xml' } }));
+    };
+    return Promise.resolve().then(run).finally(function () {
+        SvgNamespaceNormalizer.uninstall();
+        SvgNamespaceNormalizer.setLogger(null, 'silent');
+        global.fetch = original;
+    });
+}
+
+function read(url) {
+    return fetch(url).then(function (response) {
+        return response.text();
+    }).catch(function () {
+        return null;
+    });
+}
+
+test('events: patched, normalized, skipped 이벤트가 출처, URL, 크기, rewrites를 전달', function () {
+    var events = [];
+    var offs = ['normalized', 'skipped', 'patched'].map(function (name) {
+        return SvgNamespaceNormalizer.on(name, function (detail) {
+            events.push([name, detail]);
+        });
+    });
+    return withPatchedFetch(function () {
+        SvgNamespaceNormalizer.patchFetch();
+        return read('http://example.com/a.svg').then(function () {
+            return read('http://example.com/clean.svg');
+        }).then(function () {
+            assert.deepStrictEqual(events.map(function (event) {
+                return event[0];
+            }), ['patched', 'normalized', 'skipped']);
+            assert.deepStrictEqual(events[0][1], { target: 'fetch' });
+
+            var normalized = events[1][1];
+            assert.strictEqual(normalized.source, 'fetch');
+            assert.strictEqual(normalized.url, 'http://example.com/a.svg');
+            assert.strictEqual(normalized.originalSize, SVG.length);
+            assert.strictEqual(normalized.normalizedSize, SvgNamespaceNormalizer.normalize(SVG, { cache: false }).length);
+            assert.deepStrictEqual(normalized.rewrites.map(function (rewrite) {
+                return rewrite.type + ' ' + rewrite.from + ' -> ' + rewrite.to;
+            }), ['rename-declaration xmlns:ns1 -> xmlns:xlink', 'rename-attribute ns1:href -> xlink:href']);
+
+            assert.deepStrictEqual(events[2][1], {
+                source: 'fetch',
+                url: 'http://example.com/clean.svg',
+                originalSize: CLEAN.length,
+                normalizedSize: CLEAN.length,
+                rewrites: []
+            });
+        });
+    }).finally(function () {
+        offs.forEach(function (off) {
+            off();
+        });
+    });
+});
+
+test('events: 응답을 읽지 못하면 error 이벤트를 보내고 원래 응답을 그대로 전달', function () {
+    var errors = [];
+    var off = SvgNamespaceNormalizer.on('error', function (detail) {
+        errors.push(detail);
+    });
+    var original = SvgNamespaceNormalizer.defaults.streaming;
+    SvgNamespaceNormalizer.defaults.streaming = false;
+    return withPatchedFetch(function () {
+        SvgNamespaceNormalizer.patchFetch();
+        return fetch('http://example.com/broken.svg').then(function (response) {
+            assert.strictEqual(response.headers.get('content-type'), 'image/svg+xml');
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].source, 'fetch');
+            assert.strictEqual(errors[0].url, 'http://example.com/broken.svg');
+            assert.strictEqual(errors[0].error.message, 'reset');
+        });
+    }).finally(function () {
+        off();
+        SvgNamespaceNormalizer.defaults.streaming = original;
+    });
+});
+
+test('events: off()와 on()이 돌려준 함수로 해제하고, 처리기 오류는 다른 처리기를 막지 않음', function () {
+    var calls = [];
+    var lines = [];
+    var throwing = function () {
+        calls.push('throwing');
+        throw new Error('handler bug');
+    };
+    var counting = function () {
+        calls.push('counting');
+    };
+    SvgNamespaceNormalizer.on('patched', throwing);
+    var offCounting = SvgNamespaceNormalizer.on('patched', counting);
+    return withPatchedFetch(function () {
+        SvgNamespaceNormalizer.setLogger(createLogger(lines), 'warn', 'en');
+        SvgNamespaceNormalizer.patchFetch();
+        assert.deepStrictEqual(calls, ['throwing', 'counting']);
+        assert.deepStrictEqual(lines, ['warn [SvgNamespaceNormalizer] Error in "patched" event handler: +detail']);
+
+        assert.strictEqual(SvgNamespaceNormalizer.off('patched', throwing), true);
+        assert.strictEqual(SvgNamespaceNormalizer.off('patched', throwing), false);
+        offCounting();
+        SvgNamespaceNormalizer.uninstall();
+        SvgNamespaceNormalizer.patchFetch();
+        assert.strictEqual(calls.length, 2);
+    });
+});
+
+test('events: 알 수 없는 이벤트나 함수가 아닌 처리기는 거부', function () {
+    assert.throws(function () {
+        SvgNamespaceNormalizer.on('loaded', function () {});
+    }, /Unknown event: loaded/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.on('normalized', null);
+    }, /Event handler must be a function/);
+    assert.strictEqual(SvgNamespaceNormalizer.off('loaded', function () {}), false);
+});
+
+test('events: setLogger 수준에 따라 silent < warn < info < debug 순서로 출력', function () {
+    var outputs = {};
+    return ['silent', 'warn', 'info', 'debug'].reduce(function (previous, level) {
+        return previous.then(function () {
+            var lines = outputs[level] = [];
+            return withPatchedFetch(function () {
+                SvgNamespaceNormalizer.setLogger(createLogger(lines), level, 'en');
+                SvgNamespaceNormalizer.patchFetch();
+                return read('http://example.com/a.svg').then(function () {
+                    return read('http://example.com/clean.svg');
+                }).then(function () {
+                    SvgNamespaceNormalizer.defaults.streaming = false;
+                    return read('http://example.com/broken.svg');
+                }).finally(function () {
+                    SvgNamespaceNormalizer.defaults.streaming = true;
+                });
+            });
+        });
+    }, Promise.resolve()).then(function () {
+        var failed = 'warn [SvgNamespaceNormalizer] SVG normalization failed, using the original (fetch): http://example.com/broken.svg +detail';
+        var info = [
+            'info [SvgNamespaceNormalizer] Patched fetch API',
+            'info [SvgNamespaceNormalizer] Normalized SVG namespaces (fetch): http://example.com/a.svg'
+        ];
+        assert.deepStrictEqual(outputs.silent, []);
+        assert.deepStrictEqual(outputs.warn, [failed]);
+        var restored = 'info [SvgNamespaceNormalizer] Restored fetch API';
+        assert.deepStrictEqual(outputs.info, info.concat([failed, restored]));
+        assert.deepStrictEqual(outputs.debug, info.concat([
+            'debug [SvgNamespaceNormalizer] Nothing to normalize (fetch): http://example.com/clean.svg',
+            failed,
+            restored
+        ]));
+    });
+});
+
+test('events: 메시지는 기본으로 한국어이고 setLogger로 영어를 고를 수 있음', function () {
+    var lines = [];
+    return withPatchedFetch(function () {
+        SvgNamespaceNormalizer.setLogger(createLogger(lines), 'info', 'ko');
+        SvgNamespaceNormalizer.patchFetch();
+        SvgNamespaceNormalizer.uninstall();
+        SvgNamespaceNormalizer.setLogger(createLogger(lines), 'info', 'en');
+        SvgNamespaceNormalizer.patchFetch();
+        assert.deepStrictEqual(lines, [
+            'info [SvgNamespaceNormalizer] fetch API 패치 완료',
+            'info [SvgNamespaceNormalizer] fetch API 패치 해제',
+            'info [SvgNamespaceNormalizer] Patched fetch API'
+        ]);
+    });
+});
+
+test('events: setLogger는 알 수 없는 수준과 언어를 거부하고 console 메서드가 없으면 log로 출력', function () {
+    assert.throws(function () {
+        SvgNamespaceNormalizer.setLogger(null, 'verbose');
+    }, /Unknown log level: verbose/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.setLogger(null, 'info', 'ja');
+    }, /Unknown log language: ja/);
+
+    var lines = [];
+    return withPatchedFetch(function () {
+        SvgNamespaceNormalizer.setLogger({
+            log: function (message) {
+                lines.push(message);
+            }
+        }, 'info', 'en');
+        SvgNamespaceNormalizer.patchFetch();
+        assert.deepStrictEqual(lines, ['[SvgNamespaceNormalizer] Patched fetch API']);
+    });
+});
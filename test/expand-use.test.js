@@ -0,0 +1,44 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">';
+
+function expand(svg) {
+    return SvgNamespaceNormalizer.normalize(svg, { expandUse: true, cache: false });
+}
+
+test('expand-use: <symbol>의 viewBox를 <use>의 영역에 맞추고 x/y를 옮김', function () {
+    var svg = SVG_OPEN + '<symbol id="y" viewBox="5 5 10 10" class="s"><circle id="c" r="5"/></symbol>' +
+        '<use xlink:href="#y" x="1" y="2" width="20" height="40" fill="red"/></svg>';
+    assert.strictEqual(expand(svg), SVG_OPEN + '<symbol id="y" viewBox="5 5 10 10" class="s"><circle id="c" r="5"/></symbol>' +
+        '<g fill="red" transform="translate(1 12) scale(2) translate(-5 -5)"><g class="s"><circle r="5"/></g></g></svg>');
+});
+
+test('expand-use: 중첩된 <svg>를 참조하면 <use>의 width/height가 복사본의 크기를 대신함', function () {
+    var svg = SVG_OPEN + '<defs><svg id="s" width="10" height="10" viewBox="0 0 1 1"><rect width="1" height="1"/></svg></defs>' +
+        '<use xlink:href="#s" x="5" width="20" height="40"/><use href="#s" height="7"/></svg>';
+    assert.strictEqual(expand(svg), SVG_OPEN +
+        '<defs><svg id="s" width="10" height="10" viewBox="0 0 1 1"><rect width="1" height="1"/></svg></defs>' +
+        '<g transform="translate(5 0)"><svg viewBox="0 0 1 1" width="20" height="40"><rect width="1" height="1"/></svg></g>' +
+        '<g><svg width="10" viewBox="0 0 1 1" height="7"><rect width="1" height="1"/></svg></g></svg>');
+});
+
+test('expand-use: 일반 요소와 중첩된 <use>를 펼치고 복사본의 id는 지움', function () {
+    var svg = SVG_OPEN + '<g id="a"><path id="p"/></g><use id="u" href="#a" y="3"/><use href="#u"/></svg>';
+    assert.strictEqual(expand(svg), SVG_OPEN + '<g id="a"><path id="p"/></g>' +
+        '<g id="u" transform="translate(0 3)"><g><path/></g></g>' +
+        '<g><g transform="translate(0 3)"><g><path/></g></g></g></svg>');
+});
+
+test('expand-use: 자기 자신을 참조하면 제거하고, 대상이 없거나 외부 참조면 그대로 둠', function () {
+    var svg = SVG_OPEN + '<g id="loop"><use href="#loop"/></g><use href="#missing"/><use href="other.svg#a"/></svg>';
+    assert.strictEqual(expand(svg), SVG_OPEN + '<g id="loop"></g><use href="#missing"/><use href="other.svg#a"/></svg>');
+});
+
+test('expand-use: 기본값으로는 꺼져 있음', function () {
+    var svg = SVG_OPEN + '<g id="a"/><use href="#a"/></svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { cache: false }), svg);
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><text>한글</text><use ns1:href="#a"/></svg>';
+var FIXED = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><text>한글</text><use xlink:href="#a"/></svg>';
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+
+/**
+ * result getter가 프로토타입에 있는 최소한의 FileReader
+ */
+class FakeFileReader extends EventTarget {
+    constructor() {
+        super();
+        this.readyState = 0;
+        this._result = null;
+    }
+
+    get result() {
+        return this._result;
+    }
+
+    readAsText(blob) {
+        this._read(blob, function (bytes) {
+            return new TextDecoder().decode(bytes);
+        });
+    }
+
+    readAsArrayBuffer(blob) {
+        this._read(blob, function (bytes) {
+            return bytes.buffer;
+        });
+    }
+
+    readAsDataURL(blob) {
+        this._read(blob, function (bytes) {
+            return 'data:' + (blob.type || 'application/octet-stream') + ';base64,' + Buffer.from(bytes).toString('base64');
+        });
+    }
+
+    _read(blob, convert) {
+        var reader = this;
+        this.readyState = 1;
+        blob.arrayBuffer().then(function (buffer) {
+            reader._result = convert(new Uint8Array(buffer));
+            reader.readyState = 2;
+            reader.dispatchEvent(new Event('load'));
+        });
+    }
+}
+global.FileReader = FakeFileReader;
+
+SvgNamespaceNormalizer.patchFileReader();
+test.after(function () {
+    SvgNamespaceNormalizer.uninstall();
+});
+
+function read(method, blob) {
+    return new Promise(function (resolve) {
+        var reader = new FileReader();
+        reader.addEventListener('load', function () {
+            resolve(reader.result);
+        });
+        reader[method](blob);
+    });
+}
+
+function svgFile() {
+    return new File([SVG], 'shape.svg', { type: 'image/svg+xml' });
+}
+
+test('file-reader: readAsText, readAsArrayBuffer, readAsDataURL 결과를 정규화', function () {
+    return Promise.all([
+        read('readAsText', svgFile()),
+        read('readAsArrayBuffer', svgFile()),
+        read('readAsDataURL', svgFile())
+    ]).then(function (results) {
+        assert.strictEqual(results[0], FIXED);
+        assert.strictEqual(new TextDecoder().decode(results[1]), FIXED);
+        assert.strictEqual(results[2], 'data:image/svg+xml;base64,' + Buffer.from(FIXED).toString('base64'));
+    });
+});
+
+test('file-reader: 형식이 비어 있는 드래그 앤 드롭 .svg 파일도 정규화하고, 다른 파일은 그대로 둠', function () {
+    return Promise.all([
+        read('readAsText', new File([SVG], 'dropped.SVG', { type: '' })),
+        read('readAsText', new File([SVG], 'notes.txt', { type: 'text/plain' })),
+        read('readAsText', new Blob([SVG]))
+    ]).then(function (results) {
+        assert.deepStrictEqual(results, [FIXED, SVG, SVG]);
+    });
+});
+
+test('file-reader: 같은 결과를 여러 번 읽어도 한 번만 정규화', function () {
+    var normalized = 0;
+    var off = SvgNamespaceNormalizer.on('normalized', function (event) {
+        if (event.source === 'file') {
+            normalized++;
+        }
+    });
+    var reader = new FileReader();
+    return new Promise(function (resolve) {
+        reader.addEventListener('load', resolve);
+        reader.readAsText(svgFile());
+    }).then(function () {
+        assert.strictEqual(reader.result, FIXED);
+        assert.strictEqual(reader.result, FIXED);
+        assert.strictEqual(normalized, 1);
+    }).finally(off);
+});
+
+test('file-reader: SVG Blob의 text()도 정규화', function () {
+    return Promise.all([
+        svgFile().text(),
+        new Blob([SVG], { type: 'text/plain' }).text()
+    ]).then(function (results) {
+        assert.deepStrictEqual(results, [FIXED, SVG]);
+    });
+});
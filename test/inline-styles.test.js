@@ -0,0 +1,53 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg">';
+
+function inline(svg) {
+    return SvgNamespaceNormalizer.normalize(svg, { inlineStyles: true, cache: false });
+}
+
+test('inline-styles: 클래스 규칙을 표현 속성으로 옮기고 빈 <style>을 제거', function () {
+    var svg = SVG_OPEN + '<defs><style>.cls-1{fill:#f00;stroke:#000}.cls-2{mix-blend-mode:multiply}</style></defs>' +
+        '<path class="cls-1" d="M0 0"/><rect class="cls-2 cls-1"/></svg>';
+    assert.strictEqual(inline(svg), SVG_OPEN + '<defs></defs>' +
+        '<path class="cls-1" d="M0 0" fill="#f00" stroke="#000"/>' +
+        '<rect class="cls-2 cls-1" fill="#f00" stroke="#000" style="mix-blend-mode:multiply"/></svg>');
+});
+
+test('inline-styles: 명시도, !important, style 속성 우선순위를 따름', function () {
+    var svg = SVG_OPEN + '<style>#a{fill:blue} .c{fill:red!important;stroke:green} path{stroke:red}</style>' +
+        '<path id="a" class="c" style="stroke:pink"/><path fill="yellow"/></svg>';
+    assert.strictEqual(inline(svg), SVG_OPEN +
+        '<path id="a" class="c" style="stroke:pink" fill="red"/><path fill="yellow" stroke="red"/></svg>');
+});
+
+test('inline-styles: 남는 규칙이 더 구체적이면 그 속성의 규칙은 옮기지 않음', function () {
+    var svg = SVG_OPEN + '<style>.a{fill:red} g .a{fill:blue} .b{stroke:red}</style>' +
+        '<g><path class="a b"/></g></svg>';
+    assert.strictEqual(inline(svg), SVG_OPEN + '<style>.a{fill:red} g .a{fill:blue} </style>' +
+        '<g><path class="a b" stroke="red"/></g></svg>');
+});
+
+test('inline-styles: 남겨 둔 단순한 규칙이 선언한 다른 속성도 옮기지 않음', function () {
+    var svg = SVG_OPEN + '<style>g > .x{fill:blue} .x{fill:red;stroke:blue} #y{stroke:green}</style>' +
+        '<path class="x" id="y"/></svg>';
+    assert.strictEqual(inline(svg), svg);
+});
+
+test('inline-styles: CDATA 스타일시트와 @규칙은 남기고 엔티티를 해석', function () {
+    var svg = SVG_OPEN + '<style><![CDATA[ @media print{.c{stroke:black}} .c{font-family:"A&B"} ]]></style>' +
+        '<text class="c">x</text></svg>';
+    assert.strictEqual(inline(svg), SVG_OPEN + '<style><![CDATA[ @media print{.c{stroke:black}}  ]]></style>' +
+        '<text class="c" font-family="&quot;A&amp;B&quot;">x</text></svg>');
+});
+
+test('inline-styles: 기본값으로는 꺼져 있고 transforms로 켤 수 있음', function () {
+    var svg = SVG_OPEN + '<style>.c{fill:red}</style><path class="c"/></svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { cache: false }), svg);
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { transforms: { 'inline-styles': true }, cache: false }),
+        SVG_OPEN + '<path class="c" fill="red"/></svg>');
+});
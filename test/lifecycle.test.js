@@ -0,0 +1,139 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+global.window = global;
+
+var sends = 0;
+
+class FakeXHR extends EventTarget {
+    get responseText() {
+        return '';
+    }
+
+    open() {}
+
+    send() {
+        sends++;
+    }
+
+    abort() {}
+
+    getResponseHeader() {
+        return null;
+    }
+}
+global.XMLHttpRequest = FakeXHR;
+
+function snapshot() {
+    var proto = XMLHttpRequest.prototype;
+    return {
+        fetch: global.fetch,
+        open: proto.open,
+        send: proto.send,
+        abort: proto.abort,
+        responseText: Object.getOwnPropertyDescriptor(proto, 'responseText').get,
+        blobText: Blob.prototype.text,
+        entry: Object.getOwnPropertyDescriptor(global, 'Entry'),
+        entryPaint: Object.getOwnPropertyDescriptor(global, 'EntryPaint')
+    };
+}
+
+function createEntryPaint(calls) {
+    function Paint() {}
+    Paint.prototype.addSVG = function (url) {
+        calls.push(url);
+    };
+    return {
+        default: {
+            create: function () {
+                return new Paint();
+            }
+        }
+    };
+}
+
+test('lifecycle: uninstall()은 install()이 바꾼 것을 모두 원래대로 되돌림', function () {
+    var before = snapshot();
+    var originalUtil = function () {};
+    global.Entry = { Utils: { normalizeSvgNamespace: originalUtil, other: 1 } };
+    var paint = createEntryPaint([]);
+    var create = paint.default.create;
+    global.EntryPaint = paint;
+    var paintProto = Object.getPrototypeOf(create());
+    var addSVG = paintProto.addSVG;
+
+    SvgNamespaceNormalizer.install();
+    var installed = snapshot();
+    assert.notStrictEqual(installed.fetch, before.fetch);
+    assert.notStrictEqual(installed.send, before.send);
+    assert.notStrictEqual(installed.responseText, before.responseText);
+    assert.notStrictEqual(installed.blobText, before.blobText);
+    assert.strictEqual(Entry.Utils.normalizeSvgNamespace, SvgNamespaceNormalizer.normalize);
+    assert.strictEqual(Entry.Utils.toString, Object.prototype.toString);
+    assert.notStrictEqual(EntryPaint.default.create, create);
+    // 프로토타입의 addSVG를 감싸므로 같은 클래스의 기존 인스턴스에도 적용
+    EntryPaint.default.create();
+    assert.notStrictEqual(paintProto.addSVG, addSVG);
+
+    SvgNamespaceNormalizer.uninstall();
+    var after = snapshot();
+    ['fetch', 'open', 'send', 'abort', 'responseText', 'blobText'].forEach(function (key) {
+        assert.strictEqual(after[key], before[key], key);
+    });
+    assert.strictEqual(Entry.Utils.normalizeSvgNamespace, originalUtil);
+    assert.strictEqual('svgToNormalizedDataUrl' in Entry.Utils, false);
+    assert.strictEqual(Entry.Utils.other, 1);
+    assert.strictEqual(EntryPaint.default.create, create);
+    assert.strictEqual(paintProto.addSVG, addSVG);
+    // 감시용 접근자도 일반 속성으로 되돌림
+    assert.strictEqual(Object.getOwnPropertyDescriptor(global, 'Entry').get, undefined);
+    assert.strictEqual(Object.getOwnPropertyDescriptor(global, 'EntryPaint').get, undefined);
+    delete global.Entry;
+    delete global.EntryPaint;
+});
+
+test('lifecycle: install()은 여러 번 호출해도 한 번만 감싸고, uninstall()과 번갈아 호출해도 됨', function () {
+    var before = snapshot();
+    for (var round = 0; round < 3; round++) {
+        SvgNamespaceNormalizer.install();
+        var installed = snapshot();
+        SvgNamespaceNormalizer.install();
+        SvgNamespaceNormalizer.autoInit();
+        assert.deepStrictEqual(snapshot(), installed);
+
+        sends = 0;
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', '/a.txt');
+        xhr.send();
+        assert.strictEqual(sends, 1);
+
+        SvgNamespaceNormalizer.uninstall();
+        SvgNamespaceNormalizer.uninstall();
+        assert.deepStrictEqual(snapshot(), before);
+    }
+});
+
+test('lifecycle: uninstall()은 패치한 addSVG와 새로 만든 Entry.Utils도 되돌림', function () {
+    var calls = [];
+    var paint = createEntryPaint(calls);
+    var addSVG = paint.default.create().addSVG;
+    global.EntryPaint = paint;
+    global.Entry = {};
+
+    SvgNamespaceNormalizer.install();
+    var instance = EntryPaint.default.create();
+    assert.notStrictEqual(instance.addSVG, addSVG);
+    assert.strictEqual(typeof Entry.Utils.normalizeSvgNamespace, 'function');
+
+    SvgNamespaceNormalizer.uninstall();
+    assert.strictEqual(instance.addSVG, addSVG);
+    assert.strictEqual(Entry.Utils, undefined);
+    instance.addSVG('a.svg');
+    assert.deepStrictEqual(calls, ['a.svg']);
+    delete global.Entry;
+    delete global.EntryPaint;
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg"';
+
+function normalize(svg) {
+    return SvgNamespaceNormalizer.normalize(svg, { cache: false });
+}
+
+test('namespaces: SVG, xlink, xml, Inkscape, Adobe 네임스페이스 규칙이 기본으로 등록됨', function () {
+    var namespaces = SvgNamespaceNormalizer.getNamespaces();
+    assert.deepStrictEqual(namespaces['http://www.w3.org/2000/svg'], { prefix: 'svg', action: 'default' });
+    assert.deepStrictEqual(namespaces['http://www.w3.org/1999/xlink'], { prefix: 'xlink', action: 'prefix' });
+    assert.deepStrictEqual(namespaces['http://www.w3.org/XML/1998/namespace'], { prefix: 'xml', action: 'prefix' });
+    assert.strictEqual(namespaces['http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd'].prefix, 'sodipodi');
+    assert.strictEqual(namespaces['http://www.inkscape.org/namespaces/inkscape'].prefix, 'inkscape');
+    assert.strictEqual(namespaces['http://ns.adobe.com/AdobeIllustrator/10.0/'].prefix, 'i');
+
+    // 복사본이므로 고쳐도 등록된 규칙은 그대로
+    namespaces['http://www.w3.org/1999/xlink'].prefix = 'changed';
+    assert.strictEqual(SvgNamespaceNormalizer.getNamespaces()['http://www.w3.org/1999/xlink'].prefix, 'xlink');
+});
+
+test('namespaces: SVG를 가리키는 ns0:은 기본 네임스페이스로, 편집기 네임스페이스는 표준 접두사로 바꿈', function () {
+    var svg = '<svg xmlns:ns0="http://www.w3.org/2000/svg" xmlns:ns2="http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd"' +
+        ' xmlns:ns3="http://www.inkscape.org/namespaces/inkscape"><ns0:g ns2:nodetypes="cc" ns3:label="L"/></svg>';
+    assert.strictEqual(normalize(svg), '<svg xmlns:sodipodi="http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd"' +
+        ' xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" xmlns="http://www.w3.org/2000/svg">' +
+        '<g sodipodi:nodetypes="cc" inkscape:label="L"/></svg>');
+});
+
+test('namespaces: 등록한 규칙으로 접두사를 바꾸거나 요소와 속성을 제거하고, 해제하면 그대로 둠', function () {
+    var custom = SVG_OPEN + ' xmlns:ns5="http://example.com/editor"><g ns5:a="1"/></svg>';
+    var priv = SVG_OPEN + ' xmlns:ns6="http://example.com/private"><g ns6:a="1"><ns6:meta>x</ns6:meta></g></svg>';
+
+    SvgNamespaceNormalizer.registerNamespace('http://example.com/editor', 'my');
+    SvgNamespaceNormalizer.registerNamespace('http://example.com/private', 'priv', 'drop');
+    try {
+        assert.strictEqual(normalize(custom), SVG_OPEN + ' xmlns:my="http://example.com/editor"><g my:a="1"/></svg>');
+        assert.strictEqual(normalize(priv), SVG_OPEN + '><g></g></svg>');
+    } finally {
+        assert.strictEqual(SvgNamespaceNormalizer.unregisterNamespace('http://example.com/editor'), true);
+        assert.strictEqual(SvgNamespaceNormalizer.unregisterNamespace('http://example.com/private'), true);
+    }
+    assert.strictEqual(SvgNamespaceNormalizer.unregisterNamespace('http://example.com/editor'), false);
+    assert.strictEqual(normalize(custom), custom);
+});
+
+test('namespaces: 잘못된 URI, 접두사, 처리 방식은 등록하지 않음', function () {
+    assert.throws(function () {
+        SvgNamespaceNormalizer.registerNamespace('', 'x');
+    }, /Namespace URI must be a non-empty string/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.registerNamespace('urn:a', '1a');
+    }, /Invalid namespace prefix: 1a/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.registerNamespace('urn:a', 'xmlfoo');
+    }, /Invalid namespace prefix: xmlfoo/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.registerNamespace('http://www.w3.org/2000/xmlns/', 'x');
+    }, /The xmlns namespace cannot be registered/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.registerNamespace('urn:a', 'a', 'rename');
+    }, /Unknown namespace action: rename/);
+    assert.strictEqual(SvgNamespaceNormalizer.getNamespaces()['urn:a'], undefined);
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg"';
+
+function resize(attributes, options) {
+    var resolved = { normalizeSize: true, cache: false };
+    for (var key in options) {
+        resolved[key] = options[key];
+    }
+    return SvgNamespaceNormalizer.normalize(SVG_OPEN + attributes + '><path d="M0 0"/></svg>', resolved);
+}
+
+function root(attributes) {
+    return SVG_OPEN + attributes + '><path d="M0 0"/></svg>';
+}
+
+test('normalize-size: mm, pt, in 단위를 px로 바꾸고 viewBox가 없으면 만듦', function () {
+    assert.strictEqual(resize(' width="210mm" height="297mm"'),
+        root(' width="793.701" height="1122.52" viewBox="0 0 793.701 1122.52"'));
+    assert.strictEqual(resize(' width="72pt" height="1in" viewBox="0 0 10 10"'),
+        root(' width="96" height="96" viewBox="0 0 10 10"'));
+    assert.strictEqual(resize(' width="1pc" height="2em" viewBox="0 0 10 10"'),
+        root(' width="16" height="32" viewBox="0 0 10 10"'));
+});
+
+test('normalize-size: 백분율은 defaultCanvas를 기준으로 계산', function () {
+    assert.strictEqual(resize(' width="100%" height="50%"'), root(' width="480" height="135" viewBox="0 0 480 135"'));
+    assert.strictEqual(resize(' width="100%" height="100%"', { defaultCanvas: { width: 800, height: 600 } }),
+        root(' width="800" height="600" viewBox="0 0 800 600"'));
+});
+
+test('normalize-size: viewBox만 있으면 크기를, 한쪽 크기만 있으면 viewBox 비율로 나머지를 채움', function () {
+    assert.strictEqual(resize(' viewBox="0 0 100 50"'), root(' viewBox="0 0 100 50" width="100" height="50"'));
+    assert.strictEqual(resize(' width="200" viewBox="0 0 100 50"'), root(' width="200" viewBox="0 0 100 50" height="100"'));
+    assert.strictEqual(resize(' height="10mm" viewBox="0 0 100 50"'), root(' height="37.795" viewBox="0 0 100 50" width="75.591"'));
+});
+
+test('normalize-size: 크기와 viewBox가 모두 없거나 잘못되었으면 defaultCanvas를 사용', function () {
+    assert.strictEqual(resize(''), root(' viewBox="0 0 480 270" width="480" height="270"'));
+    assert.strictEqual(resize(' width="abc" height="-5" viewBox="0 0 0 50"'), root(' width="480" height="270" viewBox="0 0 480 270"'));
+});
+
+test('normalize-size: 이미 px 크기와 viewBox가 있으면 그대로 두고 루트가 아닌 <svg>는 건드리지 않음', function () {
+    var svg = root(' width="100" height="50" viewBox="0 0 100 50"');
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { normalizeSize: true, cache: false }), svg);
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(SVG_OPEN + ' width="1in"><svg width="2in"/></svg>', { normalizeSize: true, cache: false }),
+        SVG_OPEN + ' width="96" viewBox="0 0 96 270" height="270"><svg width="2in"/></svg>');
+});
+
+test('normalize-size: 바꾼 속성을 rewrites로 보고하고 hasIssue()도 판단', function () {
+    var options = { normalizeSize: true, cache: false };
+    var svg = SVG_OPEN + ' width="1in"/>';
+    var result = SvgNamespaceNormalizer.transform(svg, options);
+    assert.deepStrictEqual(result.rewrites.map(function (rewrite) {
+        return [rewrite.type, rewrite.element, rewrite.from, rewrite.to, rewrite.pass];
+    }), [
+        ['add-size', 'svg', null, 'viewBox="0 0 96 270"', 'normalize-size'],
+        ['convert-size', 'svg', 'width="1in"', 'width="96"', 'normalize-size'],
+        ['add-size', 'svg', null, 'height="270"', 'normalize-size']
+    ]);
+    assert.strictEqual(SvgNamespaceNormalizer.hasIssue(svg, options), true);
+    assert.strictEqual(SvgNamespaceNormalizer.hasIssue(svg), false);
+    assert.strictEqual(SvgNamespaceNormalizer.hasIssue(result.svg, options), false);
+});
+
+test('normalize-size: 기본값으로는 꺼져 있고 transforms로 켤 수 있음', function () {
+    var svg = SVG_OPEN + ' width="1in"/>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { cache: false }), svg);
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { transforms: { 'normalize-size': true }, cache: false }),
+        SVG_OPEN + ' width="96" viewBox="0 0 96 270" height="270"/>');
+});
+
+test('normalize-size: defaultCanvas는 양수 너비와 높이가 있어야 함', function () {
+    [null, { width: 0, height: 1 }, { width: 100 }, { width: -1, height: 10 }].forEach(function (canvas) {
+        assert.throws(function () {
+            SvgNamespaceNormalizer.normalize(SVG_OPEN + '/>', { defaultCanvas: canvas, cache: false });
+        }, /defaultCanvas must have a positive width and height/);
+    });
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><use ns1:href="#a"/></svg>';
+var FIXED = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"/></svg>';
+var CLEAN = '<svg xmlns="http://www.w3.org/2000/svg"/>';
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+
+function decodeDataUrl(url) {
+    return decodeURIComponent(url.slice(url.indexOf(',') + 1));
+}
+
+/**
+ * 무대, 모양 탭, 그림판에 반영된 호출을 refreshed에 기록하는 Entry 프로젝트를 만듭니다.
+ */
+function createProject(refreshed) {
+    var broken = { id: 'p1', name: 'broken', fileurl: '/uploads/broken.svg', thumbUrl: '/uploads/broken.svg', imageType: 'svg' };
+    var inline = { id: 'p2', name: 'inline', fileurl: 'data:image/svg+xml;base64,' + Buffer.from(SVG).toString('base64') };
+    var clean = { id: 'p3', name: 'clean', fileurl: '/uploads/clean.svg', imageType: 'svg' };
+    var bitmap = { id: 'p4', name: 'bitmap', fileurl: '/uploads/photo.png', imageType: 'png' };
+    var missing = { id: 'p5', name: 'missing', fileurl: '/uploads/missing.svg', imageType: 'svg' };
+
+    var cat = {
+        id: 'o1',
+        name: 'cat',
+        pictures: [broken, bitmap],
+        selectedPicture: broken,
+        entity: {
+            setImage: function (picture) {
+                refreshed.push('stage ' + picture.id);
+            }
+        }
+    };
+    var dog = { id: 'o2', name: 'dog', pictures: [inline, clean, missing], selectedPicture: clean };
+
+    return {
+        pictures: { broken: broken, inline: inline, clean: clean, bitmap: bitmap, missing: missing },
+        entry: {
+            container: {
+                getAllObjects: function () {
+                    return [cat, dog];
+                }
+            },
+            playground: {
+                object: dog,
+                injectPicture: function () {
+                    refreshed.push('tab');
+                },
+                painter: {
+                    file: { id: 'p2' },
+                    changePicture: function (picture) {
+                        refreshed.push('painter ' + picture.id);
+                    }
+                }
+            }
+        }
+    };
+}
+
+function withProject(run) {
+    var original = global.fetch;
+    var refreshed = [];
+    var requested = [];
+    var project = createProject(refreshed);
+    global.fetch = function (url) {
+        requested.push(url);
+        if (url.indexOf('missing') !== -1) {
+            return Promise.resolve(new Response('', { status: 404 }));
+        }
+        return Promise.resolve(new Response(url.indexOf('clean') !== -1 ? CLEAN : SVG));
+    };
+    global.Entry = project.entry;
+    return Promise.resolve().then(function () {
+        return run(project, refreshed, requested);
+    }).finally(function () {
+        delete global.Entry;
+        global.fetch = original;
+        SvgNamespaceNormalizer.clearReport();
+    });
+}
+
+function statuses(report) {
+    return report.objects.map(function (object) {
+        return [object.name, object.repaired, object.pictures.map(function (picture) {
+            return picture.name + ':' + picture.status;
+        })];
+    });
+}
+
+test('repair-project: 모든 오브젝트의 벡터 모양을 검사해서 고치고 오브젝트별 보고서를 반환', function () {
+    return withProject(function (project, refreshed, requested) {
+        return SvgNamespaceNormalizer.repairProject().then(function (report) {
+            assert.deepStrictEqual(statuses(report), [
+                ['cat', 1, ['broken:repaired', 'bitmap:skipped']],
+                ['dog', 1, ['inline:repaired', 'clean:clean', 'missing:failed']]
+            ]);
+            assert.deepStrictEqual(report.summary, {
+                objects: 2, pictures: 5, repaired: 2, needsRepair: 0, clean: 1, skipped: 1, failed: 1
+            });
+            assert.strictEqual(report.objects[0].pictures[0].rewrites, 2);
+            assert.strictEqual(report.objects[1].pictures[2].error.message, 'Failed to fetch SVG: 404');
+            // 비트맵과 Data URL은 요청하지 않음
+            assert.deepStrictEqual(requested, ['/uploads/broken.svg', '/uploads/clean.svg', '/uploads/missing.svg']);
+
+            var pictures = project.pictures;
+            assert.strictEqual(decodeDataUrl(pictures.broken.fileurl), FIXED);
+            assert.strictEqual(pictures.broken.thumbUrl, pictures.broken.fileurl);
+            assert.strictEqual(decodeDataUrl(pictures.inline.fileurl), FIXED);
+            assert.strictEqual(pictures.clean.fileurl, '/uploads/clean.svg');
+            assert.strictEqual(pictures.bitmap.fileurl, '/uploads/photo.png');
+            assert.strictEqual(pictures.missing.fileurl, '/uploads/missing.svg');
+        });
+    });
+});
+
+test('repair-project: 고친 모양을 무대, 열린 그림판, 모양 탭에 반영', function () {
+    return withProject(function (project, refreshed) {
+        return SvgNamespaceNormalizer.repairProject().then(function () {
+            assert.deepStrictEqual(refreshed, ['stage p1', 'painter p2', 'tab']);
+        });
+    });
+});
+
+test('repair-project: 화면 반영에 실패해도 수리 결과는 그대로 반환', function () {
+    return withProject(function (project) {
+        project.entry.playground.injectPicture = function () {
+            throw new Error('tab is not ready');
+        };
+        return SvgNamespaceNormalizer.repairProject().then(function (report) {
+            assert.strictEqual(report.summary.repaired, 2);
+        });
+    });
+});
+
+test('repair-project: dryRun은 모양을 바꾸지 않고 needs-repair로 보고', function () {
+    return withProject(function (project, refreshed) {
+        return SvgNamespaceNormalizer.repairProject({ dryRun: true }).then(function (report) {
+            assert.deepStrictEqual(statuses(report), [
+                ['cat', 0, ['broken:needs-repair', 'bitmap:skipped']],
+                ['dog', 0, ['inline:needs-repair', 'clean:clean', 'missing:failed']]
+            ]);
+            assert.strictEqual(report.summary.needsRepair, 2);
+            assert.strictEqual(project.pictures.broken.fileurl, '/uploads/broken.svg');
+            assert.deepStrictEqual(refreshed, []);
+            assert.strictEqual(SvgNamespaceNormalizer.getReport().summary.total, 0);
+        });
+    });
+});
+
+test('repair-project: 보고 전용 모드에서는 dryRun으로 동작하고 보고서에 기록', function () {
+    SvgNamespaceNormalizer.defaults.reportOnly = true;
+    return withProject(function (project) {
+        return SvgNamespaceNormalizer.repairProject().then(function (report) {
+            assert.strictEqual(report.summary.needsRepair, 2);
+            assert.strictEqual(project.pictures.broken.fileurl, '/uploads/broken.svg');
+            assert.deepStrictEqual(SvgNamespaceNormalizer.getReport().entries.map(function (entry) {
+                return entry.source + ' ' + entry.changed;
+            }), ['repair true', 'repair true', 'repair false']);
+        });
+    }).finally(function () {
+        SvgNamespaceNormalizer.defaults.reportOnly = false;
+    });
+});
+
+test('repair-project: getUrl과 fetchOptions를 사용하고 container.objects_도 읽음', function () {
+    return withProject(function (project) {
+        var options = [];
+        var picture = { id: 'p9', name: 'custom', path: '/assets/custom.svg' };
+        global.Entry = { container: { objects_: [{ id: 'o9', name: 'custom', pictures: [picture] }] } };
+        var fetchSvg = global.fetch;
+        global.fetch = function (url, init) {
+            options.push(init);
+            return fetchSvg(url, init);
+        };
+        return SvgNamespaceNormalizer.repairProject({
+            getUrl: function (p) {
+                return p.path;
+            },
+            fetchOptions: { credentials: 'include' }
+        }).then(function (report) {
+            assert.deepStrictEqual(statuses(report), [['custom', 1, ['custom:repaired']]]);
+            assert.deepStrictEqual(options, [{ credentials: 'include' }]);
+            assert.strictEqual(decodeDataUrl(picture.fileurl), FIXED);
+        });
+    });
+});
+
+test('repair-project: Entry 프로젝트가 없으면 거부', function () {
+    return assert.rejects(SvgNamespaceNormalizer.repairProject(), /Entry project is not loaded/);
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><text>모양</text><use ns1:href="#a"/></svg>';
+var CLEAN = '<svg xmlns="http://www.w3.org/2000/svg"/>';
+var DATA_URL = 'data:image/svg+xml,' + encodeURIComponent(SVG);
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+global.window = global;
+
+/**
+ * 보고 전용 모드와 가짜 fetch를 켠 채로 run을 실행하고 모든 것을 원래대로 되돌립니다.
+ */
+function withReportOnly(run) {
+    var original = global.fetch;
+    var requested = [];
+    global.fetch = function (url) {
+        requested.push(url);
+        var body = url.indexOf('clean') !== -1 ? CLEAN : SVG;
+        return Promise.resolve(new Response(body, { headers: { 'content-type': 'image/svg+xml' } }));
+    };
+    SvgNamespaceNormalizer.clearReport();
+    SvgNamespaceNormalizer.defaults.reportOnly = true;
+    return Promise.resolve().then(function () {
+        return run(requested);
+    }).finally(function () {
+        SvgNamespaceNormalizer.defaults.reportOnly = false;
+        SvgNamespaceNormalizer.uninstall();
+        SvgNamespaceNormalizer.clearReport();
+        global.fetch = original;
+    });
+}
+
+/**
+ * 보고서 기록은 응답과 별개로 진행되므로 항목이 count개가 될 때까지 기다립니다.
+ */
+function waitForReport(count) {
+    return new Promise(function (resolve, reject) {
+        var tries = 0;
+        (function poll() {
+            if (SvgNamespaceNormalizer.getReport().entries.length >= count) {
+                resolve(SvgNamespaceNormalizer.getReport());
+            } else if (++tries > 200) {
+                reject(new Error('report has ' + SvgNamespaceNormalizer.getReport().entries.length + ' entries'));
+            } else {
+                setTimeout(poll, 5);
+            }
+        })();
+    });
+}
+
+function pick(entry) {
+    return [entry.source, entry.url, entry.changed, entry.kinds, entry.byteDelta];
+}
+
+test('report-only: 패치된 fetch는 원본 응답을 돌려주고 바뀌었을 내용을 보고서에 기록', function () {
+    return withReportOnly(function () {
+        SvgNamespaceNormalizer.patchFetch();
+        return fetch('http://example.com/a.svg').then(function (response) {
+            return response.text();
+        }).then(function (text) {
+            assert.strictEqual(text, SVG);
+            return fetch('http://example.com/clean.svg');
+        }).then(function () {
+            return waitForReport(2);
+        }).then(function (report) {
+            assert.deepStrictEqual(report.entries.map(pick), [
+                ['fetch', 'http://example.com/a.svg', true, ['nonstandard-prefix'], 4],
+                ['fetch', 'http://example.com/clean.svg', false, [], 0]
+            ]);
+            assert.strictEqual(report.entries[0].originalBytes, Buffer.byteLength(SVG));
+            assert.strictEqual(report.entries[0].normalizedBytes, Buffer.byteLength(SVG) + 4);
+            assert.strictEqual(report.entries[0].rewrites, 2);
+            assert.deepStrictEqual({
+                total: report.summary.total,
+                changed: report.summary.changed,
+                byteDelta: report.summary.byteDelta,
+                kinds: report.summary.kinds
+            }, { total: 2, changed: 1, byteDelta: 4, kinds: { 'nonstandard-prefix': 1 } });
+        });
+    });
+});
+
+test('report-only: addSVG는 원래 URL과 Data URL을 그대로 넘기고 검사만 함', function () {
+    return withReportOnly(function (requested) {
+        var received = [];
+        var instance = {
+            addSVG: function (url) {
+                received.push(url);
+            }
+        };
+        SvgNamespaceNormalizer.patchPaintInstance(instance);
+        instance.addSVG('http://example.com/shape.svg');
+        instance.addSVG(DATA_URL);
+        assert.deepStrictEqual(received, ['http://example.com/shape.svg', DATA_URL]);
+        return waitForReport(2).then(function (report) {
+            assert.deepStrictEqual(requested, ['http://example.com/shape.svg']);
+            var entries = report.entries.map(pick).sort(function (a, b) {
+                return a[1] < b[1] ? -1 : 1;
+            });
+            // 긴 Data URL은 앞부분만 기록
+            assert.deepStrictEqual(entries, [
+                ['entry-paint', DATA_URL.slice(0, 120) + '...', true, ['nonstandard-prefix'], 4],
+                ['entry-paint', 'http://example.com/shape.svg', true, ['nonstandard-prefix'], 4]
+            ]);
+        });
+    });
+});
+
+test('report-only: exportReport()는 getReport()와 같은 내용의 JSON이고 clearReport()로 비움', function () {
+    return withReportOnly(function () {
+        var instance = { addSVG: function () {} };
+        SvgNamespaceNormalizer.patchPaintInstance(instance);
+        instance.addSVG(DATA_URL);
+
+        var exported = JSON.parse(SvgNamespaceNormalizer.exportReport());
+        var report = SvgNamespaceNormalizer.getReport();
+        assert.strictEqual(exported.version, SvgNamespaceNormalizer.version);
+        assert.deepStrictEqual(exported.summary, report.summary);
+        assert.deepStrictEqual(exported.entries, report.entries);
+        assert.strictEqual(exported.entries.length, 1);
+
+        // 반환한 보고서를 바꿔도 기록에는 영향이 없음
+        report.entries[0].kinds.push('changed-by-caller');
+        assert.deepStrictEqual(SvgNamespaceNormalizer.getReport().entries[0].kinds, ['nonstandard-prefix']);
+
+        SvgNamespaceNormalizer.clearReport();
+        var cleared = SvgNamespaceNormalizer.getReport();
+        assert.deepStrictEqual(cleared.entries, []);
+        assert.deepStrictEqual([cleared.summary.total, cleared.summary.changed, cleared.summary.byteDelta, cleared.summary.kinds],
+            [0, 0, 0, {}]);
+    });
+});
+
+test('report-only: 항목은 최근 1000개까지만 보관하지만 합계는 모두 셈', function () {
+    return withReportOnly(function () {
+        var instance = { addSVG: function () {} };
+        SvgNamespaceNormalizer.patchPaintInstance(instance);
+        for (var i = 0; i < 1001; i++) {
+            instance.addSVG(DATA_URL);
+        }
+        var report = SvgNamespaceNormalizer.getReport();
+        assert.strictEqual(report.entries.length, 1000);
+        assert.strictEqual(report.summary.total, 1001);
+        assert.strictEqual(report.summary.changed, 1001);
+        assert.strictEqual(report.summary.byteDelta, 4004);
+    });
+});
+
+test('report-only: 보고 전용 모드가 아니면 보고서에 기록하지 않음', function () {
+    var original = global.fetch;
+    global.fetch = function () {
+        return Promise.resolve(new Response(SVG, { headers: { 'content-type': 'image/svg+xml' } }));
+    };
+    SvgNamespaceNormalizer.clearReport();
+    SvgNamespaceNormalizer.patchFetch();
+    return fetch('http://example.com/a.svg').then(function (response) {
+        return response.text();
+    }).then(function (text) {
+        assert.notStrictEqual(text, SVG);
+        assert.strictEqual(SvgNamespaceNormalizer.getReport().summary.total, 0);
+    }).finally(function () {
+        SvgNamespaceNormalizer.uninstall();
+        global.fetch = original;
+    });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">';
+var PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+var PNG_DATA_URL = 'data:image/png;base64,' + PNG.toString('base64');
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+global.window = global;
+
+/**
+ * https://entry.test/ws/ 페이지에서 files의 응답을 돌려주는 fetch를 설치하고 run을 실행합니다.
+ * files: { URL: { body, type, status, length } }
+ */
+function withPage(files, run) {
+    var originalFetch = global.fetch;
+    var originalLocation = Object.getOwnPropertyDescriptor(global, 'location');
+    var requested = [];
+    global.location = { href: 'https://entry.test/ws/' };
+    global.fetch = function (url) {
+        requested.push(url);
+        var file = files[url];
+        if (!file) {
+            return Promise.reject(new TypeError('Failed to fetch'));
+        }
+        var headers = { 'content-type': file.type === undefined ? 'image/png' : file.type };
+        if (file.length !== undefined) {
+            headers['content-length'] = String(file.length);
+        }
+        return Promise.resolve(new Response(file.body || PNG, { status: file.status || 200, headers: headers }));
+    };
+    return Promise.resolve().then(function () {
+        return run(requested);
+    }).finally(function () {
+        global.fetch = originalFetch;
+        if (originalLocation) {
+            Object.defineProperty(global, 'location', originalLocation);
+        } else {
+            delete global.location;
+        }
+    });
+}
+
+function summarize(result) {
+    return result.images.map(function (image) {
+        return [image.href, image.status, image.reason];
+    });
+}
+
+test('resolve-images: 상대 경로 이미지를 기준 URL로 해석해 base64 Data URL로 넣고 같은 URL은 한 번만 가져옴', function () {
+    return withPage({ 'https://entry.test/assets/shapes/cat.png': {} }, function (requested) {
+        var svg = SVG_OPEN + '<image href="cat.png"/><image xlink:href="./cat.png" width="10"/></svg>';
+        return SvgNamespaceNormalizer.resolveImages(svg, { baseUrl: '/assets/shapes/cat.svg' }).then(function (result) {
+            assert.strictEqual(result.svg, SVG_OPEN + '<image href="' + PNG_DATA_URL + '"/>' +
+                '<image xlink:href="' + PNG_DATA_URL + '" width="10"/></svg>');
+            assert.deepStrictEqual(result.images.map(function (image) {
+                return [image.url, image.status, image.bytes];
+            }), [
+                ['https://entry.test/assets/shapes/cat.png', 'inlined', PNG.length],
+                ['https://entry.test/assets/shapes/cat.png', 'inlined', PNG.length]
+            ]);
+            assert.deepStrictEqual(requested, ['https://entry.test/assets/shapes/cat.png']);
+        });
+    });
+});
+
+test('resolve-images: Data URL과 문서 안 참조는 건너뛰고 기준 URL이 없으면 현재 페이지를 기준으로 함', function () {
+    return withPage({ 'https://entry.test/ws/a.png': {} }, function (requested) {
+        var svg = SVG_OPEN + '<image href="' + PNG_DATA_URL + '"/><feImage href="#shape"/><image href="a.png"/></svg>';
+        return SvgNamespaceNormalizer.resolveImages(svg).then(function (result) {
+            assert.deepStrictEqual(summarize(result), [['a.png', 'inlined', null]]);
+            assert.deepStrictEqual(requested, ['https://entry.test/ws/a.png']);
+        });
+    });
+});
+
+test('resolve-images: 다른 출처, 파일 경로, 실패한 응답은 그대로 두고 이유를 보고', function () {
+    return withPage({
+        'https://entry.test/ws/missing.png': { status: 404 },
+        'https://entry.test/ws/page.png': { type: 'text/html' },
+        'https://entry.test/ws/blob.bmp': { type: 'application/octet-stream' }
+    }, function (requested) {
+        var svg = SVG_OPEN + '<image href="https://cdn.example.com/a.png"/><image href="file:///C:/art/b.png"/>' +
+            '<image href="missing.png"/><image href="page.png"/><image href="offline.png"/><image href="blob.bmp"/></svg>';
+        return SvgNamespaceNormalizer.resolveImages(svg).then(function (result) {
+            assert.deepStrictEqual(summarize(result), [
+                ['https://cdn.example.com/a.png', 'kept', 'cross-origin'],
+                ['file:///C:/art/b.png', 'kept', 'cross-origin'],
+                ['missing.png', 'kept', 'http-404'],
+                ['page.png', 'kept', 'not-image'],
+                ['offline.png', 'kept', 'fetch-failed'],
+                ['blob.bmp', 'inlined', null]
+            ]);
+            assert.notStrictEqual(result.svg.indexOf('<image href="https://cdn.example.com/a.png"/>'), -1);
+            assert.notStrictEqual(result.svg.indexOf('href="data:image/bmp;base64,'), -1);
+            assert.strictEqual(requested.indexOf('https://cdn.example.com/a.png'), -1);
+        });
+    });
+});
+
+test('resolve-images: 이미지 하나와 전체 크기 제한을 넘으면 넣지 않음', function () {
+    var big = Buffer.alloc(64);
+    return withPage({
+        'https://entry.test/ws/declared.png': { length: 5000 },
+        'https://entry.test/ws/big.png': { body: big },
+        'https://entry.test/ws/a.png': {},
+        'https://entry.test/ws/b.png': {}
+    }, function () {
+        var svg = SVG_OPEN + '<image href="declared.png"/><image href="big.png"/><image href="a.png"/><image href="b.png"/></svg>';
+        return SvgNamespaceNormalizer.resolveImages(svg, { imageMaxSize: 32, imageTotalMaxSize: 12 }).then(function (result) {
+            assert.deepStrictEqual(summarize(result), [
+                ['declared.png', 'kept', 'too-large'],
+                ['big.png', 'kept', 'too-large'],
+                ['a.png', 'inlined', null],
+                ['b.png', 'kept', 'total-too-large']
+            ]);
+        });
+    });
+});
+
+test('resolve-images: unresolvedImages가 drop이면 가져오지 못한 이미지 요소를 내용과 함께 제거', function () {
+    return withPage({ 'https://entry.test/ws/a.png': {} }, function () {
+        var svg = SVG_OPEN + '<g><image href="gone.png"><title>x</title></image><image href="a.png"/></g></svg>';
+        return SvgNamespaceNormalizer.resolveImages(svg, { unresolvedImages: 'drop' }).then(function (result) {
+            assert.strictEqual(result.svg, SVG_OPEN + '<g><image href="' + PNG_DATA_URL + '"/></g></svg>');
+            assert.deepStrictEqual(summarize(result), [['gone.png', 'dropped', 'fetch-failed'], ['a.png', 'inlined', null]]);
+        });
+    });
+});
+
+test('resolve-images: 기준 URL을 정할 수 없으면 no-base-url, 알 수 없는 정책은 거부', function () {
+    var svg = SVG_OPEN + '<image href="a.png"/></svg>';
+    return SvgNamespaceNormalizer.resolveImages(svg).then(function (result) {
+        assert.deepStrictEqual(summarize(result), [['a.png', 'kept', 'no-base-url']]);
+        assert.strictEqual(result.svg, svg);
+        return assert.rejects(SvgNamespaceNormalizer.resolveImages(svg, { unresolvedImages: 'hide' }),
+            /Unknown unresolved image policy: hide/);
+    });
+});
+
+test('resolve-images: fetchAndNormalize()는 resolveImages를 켜면 SVG URL을 기준으로 이미지를 넣음', function () {
+    var svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><image ns1:href="cat.png"/></svg>';
+    return withPage({
+        'https://entry.test/assets/cat.svg': { body: svg, type: 'image/svg+xml' },
+        'https://entry.test/assets/cat.png': {}
+    }, function () {
+        return SvgNamespaceNormalizer.fetchAndNormalize('https://entry.test/assets/cat.svg').then(function (plain) {
+            assert.strictEqual(plain, SVG_OPEN + '<image xlink:href="cat.png"/></svg>');
+            return SvgNamespaceNormalizer.fetchAndNormalize('https://entry.test/assets/cat.svg', { resolveImages: true });
+        }).then(function (inlined) {
+            assert.strictEqual(inlined, SVG_OPEN + '<image xlink:href="' + PNG_DATA_URL + '"/></svg>');
+        });
+    });
+});
+
+test('resolve-images: 자동 패치가 설치되어 있으면 패치되지 않은 원래 fetch로 가져옴', function () {
+    return withPage({ 'https://entry.test/ws/a.png': {} }, function (requested) {
+        SvgNamespaceNormalizer.patchFetch();
+        var patched = global.fetch;
+        global.fetch = function () {
+            throw new Error('patched fetch must not be used');
+        };
+        var svg = SVG_OPEN + '<image href="a.png"/></svg>';
+        return SvgNamespaceNormalizer.resolveImages(svg).then(function (result) {
+            assert.deepStrictEqual(summarize(result), [['a.png', 'inlined', null]]);
+            assert.deepStrictEqual(requested, ['https://entry.test/ws/a.png']);
+        }).finally(function () {
+            global.fetch = patched;
+            SvgNamespaceNormalizer.uninstall();
+        });
+    });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var MIXED = '<ns0:svg xmlns:ns0="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink" xmlns:ns2="urn:x"   >' +
+    '<ns0:image   ns1:href="#a"  ns2:k="v" />' +
+    '<ns0:g xmlns:ns3="http://www.inkscape.org/namespaces/inkscape" ns3:label="l"/></ns0:svg>';
+
+function normalize(svg, strategy) {
+    return SvgNamespaceNormalizer.normalize(svg, { strategy: strategy, cache: false });
+}
+
+test('strategies: auto는 접두사가 가리키는 URI에 따라 처리하고 모르는 URI는 유지', function () {
+    assert.strictEqual(normalize(MIXED, 'auto'),
+        '<svg xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:ns2="urn:x" xmlns="http://www.w3.org/2000/svg"   >' +
+        '<image   xlink:href="#a"  ns2:k="v" />' +
+        '<g xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" inkscape:label="l"/></svg>');
+    assert.strictEqual(normalize(MIXED), normalize(MIXED, 'auto'));
+});
+
+test('strategies: xlink-only는 xlink를 가리키는 접두사만 바꿈', function () {
+    assert.strictEqual(normalize(MIXED, 'xlink-only'),
+        '<ns0:svg xmlns:ns0="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:ns2="urn:x"   >' +
+        '<ns0:image   xlink:href="#a"  ns2:k="v" />' +
+        '<ns0:g xmlns:ns3="http://www.inkscape.org/namespaces/inkscape" ns3:label="l"/></ns0:svg>');
+    // 기본 네임스페이스도 추가하지 않음
+    var svg = '<svg xmlns:ns1="http://www.w3.org/1999/xlink"><image ns1:href="#a"/></svg>';
+    assert.strictEqual(normalize(svg, 'xlink-only'),
+        '<svg xmlns:xlink="http://www.w3.org/1999/xlink"><image xlink:href="#a"/></svg>');
+    assert.strictEqual(normalize(svg, 'auto'),
+        '<svg xmlns:xlink="http://www.w3.org/1999/xlink" xmlns="http://www.w3.org/2000/svg"><image xlink:href="#a"/></svg>');
+});
+
+test('strategies: strip-all은 ns숫자 접두사를 모두 지우고 태그 안의 공백을 정리', function () {
+    assert.strictEqual(normalize(MIXED, 'strip-all'),
+        '<svg xmlns:xlink="http://www.w3.org/1999/xlink" xmlns="http://www.w3.org/2000/svg">' +
+        '<image xlink:href="#a" k="v" /><g label="l"/></svg>');
+});
+
+test('strategies: defaults.strategy를 따르고, 모르는 전략 이름은 예외', function () {
+    var previous = SvgNamespaceNormalizer.defaults.strategy;
+    SvgNamespaceNormalizer.defaults.strategy = 'xlink-only';
+    try {
+        assert.strictEqual(SvgNamespaceNormalizer.normalize(MIXED, { cache: false }), normalize(MIXED, 'xlink-only'));
+    } finally {
+        SvgNamespaceNormalizer.defaults.strategy = previous;
+    }
+    assert.throws(function () {
+        normalize(MIXED, 'strip');
+    }, /Unknown normalization strategy: strip/);
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SAMPLE = '<?xml version="1.0"?>\n<!-- ns1:href는 주석 -->\n' +
+    '<ns0:svg xmlns:ns0="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink" data-x="a>b">' +
+    '<ns0:style><![CDATA[ .a > .b { fill: red } ]]></ns0:style>' +
+    '<ns0:text>한글 ✓ 텍스트</ns0:text><ns0:image ns1:href="data:image/png;base64,AAAA" title=\'x > y\'/></ns0:svg>';
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+
+function runStream(chunks, options) {
+    var stream = SvgNamespaceNormalizer.createNormalizeStream(options);
+    var writer = stream.writable.getWriter();
+    chunks.forEach(function (chunk) {
+        writer.write(chunk);
+    });
+    writer.close().catch(function () {});
+    return new Response(stream.readable).text();
+}
+
+test('streaming: 어느 바이트 경계에서 나누어도 normalize()와 같은 결과', function () {
+    var expected = SvgNamespaceNormalizer.normalize(SAMPLE, { cache: false });
+    var bytes = new TextEncoder().encode(SAMPLE);
+    var runs = [];
+    for (var cut = 1; cut < bytes.length; cut++) {
+        runs.push(runStream([bytes.slice(0, cut), bytes.slice(cut)]));
+    }
+    // 한 바이트씩 보내도 같아야 함
+    runs.push(runStream(Array.prototype.map.call(bytes, function (byte) {
+        return new Uint8Array([byte]);
+    })));
+    return Promise.all(runs).then(function (outputs) {
+        outputs.forEach(function (output) {
+            assert.strictEqual(output, expected);
+        });
+    });
+});
+
+test('streaming: 조각 경계에 걸친 긴 속성 값도 그대로 흘려보냄', function () {
+    var payload = new Array(200 * 1024).join('A');
+    var svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink">' +
+        '<image ns1:href="data:image/png;base64,' + payload + '" ns1:title="t"/></svg>';
+    var expected = SvgNamespaceNormalizer.normalize(svg, { cache: false });
+    var chunks = [];
+    for (var i = 0; i < svg.length; i += 10000) {
+        chunks.push(svg.slice(i, i + 10000));
+    }
+    return runStream(chunks).then(function (output) {
+        assert.strictEqual(output, expected);
+    });
+});
+
+test('streaming: onError가 있으면 정규화 예외에도 원본을 그대로 전달', function () {
+    SvgNamespaceNormalizer.registerTransform('throwing', {
+        apply: function () {
+            throw new Error('boom');
+        }
+    });
+    var errors = [];
+    var chunks = [SAMPLE.slice(0, 50), SAMPLE.slice(50)];
+    return runStream(chunks, {
+        onError: function (error) {
+            errors.push(error.message);
+        }
+    }).then(function (output) {
+        assert.strictEqual(output, SAMPLE);
+        assert.deepStrictEqual(errors, ['boom']);
+        return runStream(chunks).then(function () {
+            assert.fail('onError가 없으면 스트림이 실패해야 함');
+        }, function (error) {
+            assert.strictEqual(error.message, 'boom');
+        });
+    }).finally(function () {
+        SvgNamespaceNormalizer.unregisterTransform('throwing');
+    });
+});
+
+test('streaming: 패치된 fetch는 스트림 정규화에 실패하면 원본 응답 본문을 전달', function () {
+    var original = global.fetch;
+    var errors = [];
+    global.window = global;
+    global.fetch = function () {
+        return Promise.resolve(new Response(SAMPLE, { headers: { 'content-type': 'image/svg+xml' } }));
+    };
+    SvgNamespaceNormalizer.registerTransform('throwing', {
+        apply: function () {
+            throw new Error('boom');
+        }
+    });
+    var off = SvgNamespaceNormalizer.on('error', function (event) {
+        errors.push(event.source + ': ' + event.error.message);
+    });
+    SvgNamespaceNormalizer.patchFetch();
+    return fetch('http://example.com/shape.svg').then(function (response) {
+        return response.text();
+    }).then(function (text) {
+        assert.strictEqual(text, SAMPLE);
+        assert.deepStrictEqual(errors, ['fetch: boom']);
+    }).finally(function () {
+        off();
+        SvgNamespaceNormalizer.unregisterTransform('throwing');
+        SvgNamespaceNormalizer.uninstall();
+        global.fetch = original;
+    });
+});
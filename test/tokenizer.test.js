@@ -0,0 +1,65 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG_NS = 'xmlns="http://www.w3.org/2000/svg"';
+
+function normalize(svg) {
+    return SvgNamespaceNormalizer.normalize(svg, { cache: false });
+}
+
+test('tokenizer: ns숫자가 아닌 접두사도 실제로 가리키는 URI에 따라 바꿈', function () {
+    var svg = '<svg ' + SVG_NS + ' xmlns:foo="http://www.w3.org/1999/xlink"><use foo:href="#a"/></svg>';
+    assert.strictEqual(normalize(svg),
+        '<svg ' + SVG_NS + ' xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"/></svg>');
+});
+
+test('tokenizer: 속성 값 안의 >와 따옴표를 태그의 끝으로 보지 않음', function () {
+    var svg = '<svg ' + SVG_NS + ' xmlns:ns1="http://www.w3.org/1999/xlink">' +
+        '<use title="a > b" data-q=\'say "hi" >\' ns1:href="#a"/></svg>';
+    assert.strictEqual(normalize(svg), '<svg ' + SVG_NS + ' xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        '<use title="a > b" data-q=\'say "hi" >\' xlink:href="#a"/></svg>');
+});
+
+test('tokenizer: BMP 밖 문자의 문자 참조를 서로게이트 쌍으로 해석', function () {
+    var defs = '<defs><path id="p\u{1F600}" d="M0 0"/></defs>';
+    var svg = '<svg ' + SVG_NS + '>' + defs + '<use href="#p&#x1F600;"/><use href="#p&#128512;"/></svg>';
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(svg, { expandUse: true, cache: false }),
+        '<svg ' + SVG_NS + '>' + defs + '<g><path d="M0 0"/></g><g><path d="M0 0"/></g></svg>');
+});
+
+test('tokenizer: 주석, CDATA, 텍스트, 속성 값은 바이트 단위로 그대로 둠', function () {
+    var body = '<!-- ns1:href="x" --><style><![CDATA[ ns1:href > a ]]></style>' +
+        '<text>ns1:href ___BASE64_PLACEHOLDER_0___ ___IDREF_PLACEHOLDER_0___ &amp; &#x41;</text>';
+    var svg = '<svg ' + SVG_NS + ' xmlns:ns1="http://www.w3.org/1999/xlink">' + body +
+        '<image ns1:href="data:image/png;base64,ns1:AAAA" data-a=\'q"&gt;\' /></svg>';
+    assert.strictEqual(normalize(svg), '<svg ' + SVG_NS + ' xmlns:xlink="http://www.w3.org/1999/xlink">' + body +
+        '<image xlink:href="data:image/png;base64,ns1:AAAA" data-a=\'q"&gt;\' /></svg>');
+});
+
+test('tokenizer: 요소와 속성의 접두사를 지우고 태그 안의 공백은 유지', function () {
+    var svg = '<ns0:svg xmlns:ns0="http://www.w3.org/2000/svg"><ns0:g  ns0:fill="red"  >' +
+        '<ns0:path d="M0 0"></ns0:path></ns0:g></ns0:svg>';
+    assert.strictEqual(normalize(svg), '<svg ' + SVG_NS + '><g  fill="red"  ><path d="M0 0"></path></g></svg>');
+});
+
+test('tokenizer: 접두사의 범위를 따라 안쪽 선언만 바꾸고 다른 URI로 다시 선언한 접두사는 둠', function () {
+    var scoped = '<svg ' + SVG_NS + '><g xmlns:ns1="http://www.w3.org/1999/xlink"><use ns1:href="#a"/></g>' +
+        '<use ns1:href="#b"/></svg>';
+    assert.strictEqual(normalize(scoped), '<svg ' + SVG_NS + '><g xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        '<use xlink:href="#a"/></g><use ns1:href="#b"/></svg>');
+
+    var shadowed = '<svg ' + SVG_NS + ' xmlns:ns1="http://www.w3.org/1999/xlink"><g xmlns:ns1="urn:other">' +
+        '<x ns1:href="#a"/></g></svg>';
+    assert.strictEqual(normalize(shadowed), '<svg ' + SVG_NS + ' xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        '<g xmlns:ns1="urn:other"><x ns1:href="#a"/></g></svg>');
+});
+
+test('tokenizer: 문제가 없는 SVG와 문자열이 아닌 입력은 그대로 반환', function () {
+    var svg = '<?xml version="1.0"?>\n<svg ' + SVG_NS + '><path d="M0 0"/></svg>\n';
+    assert.strictEqual(normalize(svg), svg);
+    assert.strictEqual(normalize(''), '');
+    assert.strictEqual(normalize(null), null);
+});
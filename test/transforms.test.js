@@ -0,0 +1,192 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><use ns1:href="#a" sketch:type="x"/></svg>';
+var FIXED = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"/></svg>';
+
+/**
+ * 등록한 패스를 테스트가 끝나면 제거합니다.
+ */
+function withTransforms(specs, run) {
+    Object.keys(specs).forEach(function (name) {
+        SvgNamespaceNormalizer.registerTransform(name, specs[name]);
+    });
+    try {
+        return run();
+    } finally {
+        Object.keys(specs).forEach(function (name) {
+            SvgNamespaceNormalizer.unregisterTransform(name);
+        });
+    }
+}
+
+function stripSketch() {
+    return {
+        detect: function (svg) {
+            return svg.indexOf('sketch:') !== -1;
+        },
+        apply: function (svg) {
+            return svg.replace(/\s+sketch:type="[^"]*"/g, '');
+        }
+    };
+}
+
+function passNames(result) {
+    return result.passes.map(function (pass) {
+        return pass.name + (pass.changed ? '*' : '');
+    });
+}
+
+test('transforms: 기본 패스를 실행 순서대로 나열하고 기본 활성화 여부를 알려줌', function () {
+    assert.deepStrictEqual(SvgNamespaceNormalizer.getTransforms().map(function (transform) {
+        return [transform.name, transform.order, transform.builtin, transform.enabled];
+    }), [
+        ['doctype-entities', 50, true, true],
+        ['namespaces', 100, true, true],
+        ['duplicate-attributes', 110, true, true],
+        ['embedded-svg', 120, true, true],
+        ['collapse-whitespace', 130, true, false],
+        ['inline-styles', 140, true, false],
+        ['normalize-size', 150, true, false],
+        ['cleanup', 160, true, false],
+        ['expand-use', 170, true, false]
+    ]);
+});
+
+test('transforms: 등록한 패스는 기본 패스 뒤에 실행되고 passes와 rewrites에 보고됨', function () {
+    withTransforms({ 'strip-sketch': stripSketch() }, function () {
+        var result = SvgNamespaceNormalizer.transform(SVG, { cache: false });
+        assert.strictEqual(result.svg, FIXED);
+        assert.deepStrictEqual(passNames(result), ['namespaces*', 'duplicate-attributes', 'embedded-svg', 'strip-sketch*']);
+        assert.strictEqual(result.passes[3].bytesSaved, 16);
+        assert.deepStrictEqual(result.rewrites[result.rewrites.length - 1], {
+            type: 'transform', element: null, from: null, to: null, uri: null, offset: null, pass: 'strip-sketch'
+        });
+        assert.strictEqual(SvgNamespaceNormalizer.getTransforms().pop().name, 'strip-sketch');
+    });
+});
+
+test('transforms: detect가 false이면 apply를 건너뛰고, hasIssue()는 detect를 사용', function () {
+    var applied = 0;
+    withTransforms({
+        'strip-sketch': {
+            detect: stripSketch().detect,
+            apply: function (svg) {
+                applied++;
+                return stripSketch().apply(svg);
+            }
+        }
+    }, function () {
+        var clean = '<svg xmlns="http://www.w3.org/2000/svg"/>';
+        assert.deepStrictEqual(passNames(SvgNamespaceNormalizer.transform(clean, { cache: false })),
+            ['namespaces', 'duplicate-attributes', 'embedded-svg']);
+        assert.strictEqual(applied, 0);
+        assert.strictEqual(SvgNamespaceNormalizer.hasIssue(clean), false);
+        assert.strictEqual(SvgNamespaceNormalizer.hasIssue('<svg xmlns="http://www.w3.org/2000/svg"><g sketch:type="a"/></svg>'), true);
+    });
+});
+
+test('transforms: order가 작은 패스가 먼저, 같으면 먼저 등록한 패스가 먼저 실행', function () {
+    var calls = [];
+    function marker(name, order) {
+        return {
+            order: order,
+            apply: function (svg) {
+                calls.push(name);
+                return svg;
+            }
+        };
+    }
+    withTransforms({ late: marker('late', 300), first: marker('first', 10), tie1: marker('tie1', 200), tie2: marker('tie2', 200) }, function () {
+        var result = SvgNamespaceNormalizer.transform(SVG, { cache: false });
+        assert.deepStrictEqual(calls, ['first', 'tie1', 'tie2', 'late']);
+        assert.deepStrictEqual(passNames(result), ['first', 'namespaces*', 'duplicate-attributes', 'embedded-svg', 'tie1', 'tie2', 'late']);
+    });
+});
+
+test('transforms: options.transforms로 호출마다 기본 패스와 등록한 패스를 켜고 끔', function () {
+    var uppercaseId = {
+        enabled: false,
+        apply: function (svg) {
+            return svg.replace('#a', '#A');
+        }
+    };
+    withTransforms({ 'strip-sketch': stripSketch(), 'uppercase-id': uppercaseId }, function () {
+        var off = SvgNamespaceNormalizer.transform(SVG, { transforms: { 'strip-sketch': false, namespaces: false }, cache: false });
+        assert.strictEqual(off.svg, SVG);
+        assert.deepStrictEqual(passNames(off), ['duplicate-attributes', 'embedded-svg']);
+
+        var on = SvgNamespaceNormalizer.transform(SVG, { transforms: { 'uppercase-id': true, 'collapse-whitespace': true }, cache: false });
+        assert.strictEqual(on.svg, FIXED.replace('#a', '#A'));
+        assert.deepStrictEqual(passNames(on), ['namespaces*', 'duplicate-attributes', 'embedded-svg', 'collapse-whitespace',
+            'strip-sketch*', 'uppercase-id*']);
+    });
+});
+
+test('transforms: { svg, rewrites }를 반환하면 그 rewrites를 패스 이름과 함께 기록', function () {
+    withTransforms({
+        'mark': {
+            apply: function (svg) {
+                return { svg: svg.replace('<use', '<use data-x="1"'), rewrites: [{ type: 'add-attribute', element: 'use', to: 'data-x', bytes: 11 }] };
+            }
+        }
+    }, function () {
+        var result = SvgNamespaceNormalizer.transform(FIXED, { cache: false });
+        assert.deepStrictEqual(result.rewrites, [
+            { type: 'add-attribute', element: 'use', from: null, to: 'data-x', uri: null, offset: null, pass: 'mark', bytes: 11 }
+        ]);
+    });
+});
+
+test('transforms: 문자열을 반환하지 않는 패스는 오류', function () {
+    withTransforms({ 'broken': { apply: function () {} } }, function () {
+        assert.throws(function () {
+            SvgNamespaceNormalizer.transform(FIXED, { cache: false });
+        }, /Transform "broken" must return an SVG string/);
+    });
+});
+
+test('transforms: 잘못된 등록과 기본 패스 교체, 제거를 거부', function () {
+    var apply = function (svg) {
+        return svg;
+    };
+    assert.throws(function () {
+        SvgNamespaceNormalizer.registerTransform('', { apply: apply });
+    }, /Transform name must be a non-empty string/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.registerTransform('x', {});
+    }, /Transform "x" must have an apply\(\) function/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.registerTransform('x', { apply: apply, detect: true });
+    }, /Transform "x" detect must be a function/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.registerTransform('x', { apply: apply, order: NaN });
+    }, /Transform "x" order must be a number/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.registerTransform('namespaces', { apply: apply });
+    }, /Cannot replace built-in transform: namespaces/);
+    assert.throws(function () {
+        SvgNamespaceNormalizer.unregisterTransform('cleanup');
+    }, /Cannot remove built-in transform: cleanup/);
+    assert.strictEqual(SvgNamespaceNormalizer.unregisterTransform('never-registered'), false);
+    assert.strictEqual(SvgNamespaceNormalizer.getTransforms().length, 9);
+});
+
+test('transforms: 같은 이름으로 다시 등록하면 덮어쓰고, 제거하면 더 이상 실행하지 않음', function () {
+    SvgNamespaceNormalizer.registerTransform('swap', {
+        apply: function (svg) {
+            return svg + '<!--1-->';
+        }
+    });
+    SvgNamespaceNormalizer.registerTransform('swap', {
+        apply: function (svg) {
+            return svg + '<!--2-->';
+        }
+    });
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(FIXED, { cache: false }), FIXED + '<!--2-->');
+    assert.strictEqual(SvgNamespaceNormalizer.unregisterTransform('swap'), true);
+    assert.strictEqual(SvgNamespaceNormalizer.normalize(FIXED, { cache: false }), FIXED);
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><use ns1:href="#a"/></svg>';
+var FIXED = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"/></svg>';
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+global.window = global;
+
+/**
+ * 보낸 본문을 기록하는 최소한의 XMLHttpRequest
+ */
+class FakeXHR extends EventTarget {
+    constructor() {
+        super();
+        this.readyState = 0;
+        this.sent = [];
+        this.failWith = null;
+    }
+
+    open() {
+        this.readyState = 1;
+    }
+
+    send(body) {
+        if (this.readyState !== 1 || this.sent.length > 0) {
+            throw new DOMException('The object\'s state must be OPENED.', 'InvalidStateError');
+        }
+        if (this.failWith) {
+            throw this.failWith;
+        }
+        this.sent.push(body);
+    }
+
+    abort() {}
+
+    getResponseHeader() {
+        return null;
+    }
+}
+
+function withPatchedXHR(run) {
+    var original = global.XMLHttpRequest;
+    global.XMLHttpRequest = FakeXHR;
+    SvgNamespaceNormalizer.patchXHR();
+    return Promise.resolve().then(run).finally(function () {
+        SvgNamespaceNormalizer.uninstall();
+        global.XMLHttpRequest = original;
+    });
+}
+
+function withPatchedFetch(run) {
+    var original = global.fetch;
+    var requests = [];
+    global.fetch = function (input, init) {
+        requests.push(new Request(input, init));
+        return Promise.resolve(new Response('ok', { headers: { 'content-type': 'text/plain' } }));
+    };
+    SvgNamespaceNormalizer.patchFetch();
+    return Promise.resolve().then(function () {
+        return run(requests);
+    }).finally(function () {
+        SvgNamespaceNormalizer.uninstall();
+        global.fetch = original;
+    });
+}
+
+function waitFor(xhr, type) {
+    return new Promise(function (resolve) {
+        xhr.addEventListener(type, resolve);
+    });
+}
+
+test('uploads: XHR 문자열 본문은 바로 정규화해서 보냄', function () {
+    return withPatchedXHR(function () {
+        var xhr = new XMLHttpRequest();
+        xhr.open('POST', '/save');
+        xhr.send(SVG);
+        assert.deepStrictEqual(xhr.sent, [FIXED]);
+    });
+});
+
+test('uploads: XHR SVG Blob 본문은 읽은 뒤 정규화한 Blob으로 보냄', function () {
+    return withPatchedXHR(function () {
+        var xhr = new XMLHttpRequest();
+        xhr.open('POST', '/save');
+        xhr.send(new Blob([SVG], { type: 'image/svg+xml' }));
+        assert.deepStrictEqual(xhr.sent, []);
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 20);
+        }).then(function () {
+            assert.strictEqual(xhr.sent.length, 1);
+            return xhr.sent[0].text();
+        }).then(function (text) {
+            assert.strictEqual(text, FIXED);
+        });
+    });
+});
+
+test('uploads: XHR 상태 오류는 Blob 본문이어도 send()에서 바로 던짐', function () {
+    return withPatchedXHR(function () {
+        var blob = new Blob([SVG], { type: 'image/svg+xml' });
+        var unopened = new XMLHttpRequest();
+        assert.throws(function () {
+            unopened.send(blob);
+        }, { name: 'InvalidStateError' });
+
+        var xhr = new XMLHttpRequest();
+        xhr.open('POST', '/save');
+        xhr.send(blob);
+        assert.throws(function () {
+            xhr.send(blob);
+        }, { name: 'InvalidStateError' });
+    });
+});
+
+test('uploads: 본문을 읽은 뒤 원래 send()가 실패하면 error, loadend 이벤트로 알림', function () {
+    return withPatchedXHR(function () {
+        var xhr = new XMLHttpRequest();
+        var events = [];
+        xhr.failWith = new DOMException('Network failure', 'NetworkError');
+        xhr.addEventListener('error', function (event) {
+            events.push(event.type);
+        });
+        var loadend = waitFor(xhr, 'loadend');
+        xhr.open('POST', '/save');
+        xhr.send(new Blob([SVG], { type: 'image/svg+xml' }));
+        return loadend.then(function () {
+            assert.deepStrictEqual(events, ['error']);
+            assert.deepStrictEqual(xhr.sent, []);
+        });
+    });
+});
+
+test('uploads: fetch의 options.body와 Request 본문을 모두 정규화', function () {
+    return withPatchedFetch(function (requests) {
+        return Promise.all([
+            fetch('http://example.com/a', { method: 'POST', body: SVG }),
+            fetch(new Request('http://example.com/b', { method: 'POST', body: SVG })),
+            fetch(new Request('http://example.com/c', {
+                method: 'POST',
+                body: new Blob([SVG], { type: 'image/svg+xml' })
+            }))
+        ]).then(function () {
+            return Promise.all(requests.map(function (request) {
+                return request.text();
+            }));
+        }).then(function (bodies) {
+            assert.deepStrictEqual(bodies, [FIXED, FIXED, FIXED]);
+            assert.strictEqual(requests[2].headers.get('content-type'), 'image/svg+xml');
+        });
+    });
+});
+
+test('uploads: fetch Request의 FormData SVG 파일을 정규화하고 새 경계로 보냄', function () {
+    return withPatchedFetch(function (requests) {
+        var form = new FormData();
+        form.append('name', 'shape');
+        form.append('file', new File([SVG], 'shape.svg', { type: 'image/svg+xml' }));
+        return fetch(new Request('http://example.com/upload', { method: 'POST', body: form })).then(function () {
+            return requests[0].formData();
+        }).then(function (received) {
+            assert.strictEqual(received.get('name'), 'shape');
+            assert.strictEqual(received.get('file').name, 'shape.svg');
+            return received.get('file').text();
+        }).then(function (text) {
+            assert.strictEqual(text, FIXED);
+        });
+    });
+});
+
+test('uploads: SVG가 아닌 Request 본문은 그대로 보냄', function () {
+    return withPatchedFetch(function (requests) {
+        var request = new Request('http://example.com/json', {
+            method: 'POST',
+            body: '{"a":1}',
+            headers: { 'content-type': 'application/json' }
+        });
+        return fetch(request).then(function () {
+            return requests[0].text();
+        }).then(function (text) {
+            assert.strictEqual(text, '{"a":1}');
+        });
+    });
+});
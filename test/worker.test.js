@@ -0,0 +1,143 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var vm = require('node:vm');
+var buffer = require('node:buffer');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><use ns1:href="#a"/></svg>';
+var FIXED = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"/></svg>';
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+
+var workers = { created: 0, messages: 0, crash: false };
+
+/**
+ * Blob URL의 스크립트를 별도 컨텍스트에서 실행하는 Worker.
+ * 메시지는 실제 워커처럼 구조화 복제해서 비동기로 주고받습니다.
+ */
+function FakeWorker(url) {
+    var worker = this;
+    var scope = { TextEncoder: TextEncoder, TextDecoder: TextDecoder };
+    scope.self = scope;
+    scope.postMessage = function (data) {
+        var copy = structuredClone(data);
+        setImmediate(function () {
+            worker.onmessage({ data: copy });
+        });
+    };
+    workers.created++;
+    this.ready = buffer.resolveObjectURL(url).text().then(function (source) {
+        vm.runInNewContext(source, scope);
+        return scope;
+    });
+    this.terminated = false;
+}
+FakeWorker.prototype.postMessage = function (data) {
+    var worker = this;
+    var copy = structuredClone(data);
+    workers.messages++;
+    if (workers.crash) {
+        setImmediate(function () {
+            worker.onerror({ message: 'crashed', preventDefault: function () {} });
+        });
+        return;
+    }
+    this.ready.then(function (scope) {
+        scope.onmessage({ data: copy });
+    });
+};
+FakeWorker.prototype.terminate = function () {
+    this.terminated = true;
+};
+
+global.Worker = FakeWorker;
+
+test('worker: normalizeAsync()는 모듈 자신의 소스로 만든 워커에서 정규화', function () {
+    return SvgNamespaceNormalizer.normalizeAsync(SVG, { cache: false }).then(function (svg) {
+        assert.strictEqual(svg, FIXED);
+        assert.strictEqual(workers.created, 1);
+        assert.strictEqual(workers.messages, 1);
+    });
+});
+
+test('worker: 메인 스레드에서 등록한 네임스페이스 규칙과 옵션을 워커에도 적용', function () {
+    var svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns5="http://example.com/e"><g ns5:a="1"/></svg>';
+    SvgNamespaceNormalizer.registerNamespace('http://example.com/e', 'my');
+    return Promise.all([
+        SvgNamespaceNormalizer.normalizeAsync(svg, { cache: false }),
+        SvgNamespaceNormalizer.normalizeAsync(SVG, { strategy: 'strip-all', cache: false })
+    ]).then(function (results) {
+        assert.strictEqual(results[0], SvgNamespaceNormalizer.normalize(svg, { cache: false }));
+        assert.strictEqual(results[1], SvgNamespaceNormalizer.normalize(SVG, { strategy: 'strip-all', cache: false }));
+        assert.strictEqual(workers.created, 1);
+    }).finally(function () {
+        SvgNamespaceNormalizer.unregisterNamespace('http://example.com/e');
+    });
+});
+
+test('worker: registerTransform()으로 추가한 패스가 켜져 있으면 워커로 보내지 않음', function () {
+    var before = workers.messages;
+    SvgNamespaceNormalizer.registerTransform('marker', {
+        apply: function (svg) {
+            return svg.replace('</svg>', '<!--m--></svg>');
+        }
+    });
+    return SvgNamespaceNormalizer.normalizeAsync(SVG, { cache: false }).then(function (svg) {
+        assert.strictEqual(svg, FIXED.replace('</svg>', '<!--m--></svg>'));
+        assert.strictEqual(workers.messages, before);
+    }).finally(function () {
+        SvgNamespaceNormalizer.unregisterTransform('marker');
+    });
+});
+
+test('worker: 패치된 fetch는 asyncThreshold 이상인 SVG만 워커에서 정규화', function () {
+    var original = global.fetch;
+    var defaults = SvgNamespaceNormalizer.defaults;
+    var previous = { streaming: defaults.streaming, asyncThreshold: defaults.asyncThreshold };
+    var small = SVG;
+    var large = SVG.replace('</svg>', new Array(200).join('<g/>') + '</svg>');
+    global.window = global;
+    global.fetch = function (url) {
+        return Promise.resolve(new Response(/large/.test(url) ? large : small,
+            { headers: { 'content-type': 'image/svg+xml' } }));
+    };
+    defaults.streaming = false;
+    defaults.asyncThreshold = 500;
+    SvgNamespaceNormalizer.patchFetch();
+
+    var before = workers.messages;
+    return fetch('http://example.com/small.svg').then(function (response) {
+        return response.text();
+    }).then(function (text) {
+        assert.strictEqual(text, FIXED);
+        assert.strictEqual(workers.messages, before);
+        return fetch('http://example.com/large.svg');
+    }).then(function (response) {
+        return response.text();
+    }).then(function (text) {
+        assert.strictEqual(text, SvgNamespaceNormalizer.normalize(large, { cache: false }));
+        assert.strictEqual(workers.messages, before + 1);
+    }).finally(function () {
+        SvgNamespaceNormalizer.uninstall();
+        defaults.streaming = previous.streaming;
+        defaults.asyncThreshold = previous.asyncThreshold;
+        global.fetch = original;
+    });
+});
+
+// 워커가 죽으면 다시 만들지 않으므로 마지막에 실행
+test('worker: 워커가 실패하면 대기 중인 요청과 이후 요청을 동기로 처리', function () {
+    workers.crash = true;
+    return SvgNamespaceNormalizer.normalizeAsync(SVG, { cache: false }).then(function (svg) {
+        assert.strictEqual(svg, FIXED);
+        var created = workers.created;
+        var messages = workers.messages;
+        return SvgNamespaceNormalizer.normalizeAsync(SVG, { cache: false }).then(function (again) {
+            assert.strictEqual(again, FIXED);
+            assert.strictEqual(workers.created, created);
+            assert.strictEqual(workers.messages, messages);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SvgNamespaceNormalizer = require('../hummm.js');
+
+var SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:ns1="http://www.w3.org/1999/xlink"><use ns1:href="#a"/></svg>';
+var FIXED = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"/></svg>';
+
+var SERVER = {
+    '/shape.svg': { type: 'text/plain', body: SVG },
+    '/asset?id=1': { type: 'image/svg+xml; charset=utf-8', body: SVG },
+    '/data.txt': { type: 'text/plain', body: SVG },
+    '/missing.svg': { type: 'image/svg+xml', body: SVG, status: 404 }
+};
+
+SvgNamespaceNormalizer.setLogger(null, 'silent');
+
+/**
+ * 응답 getter가 프로토타입에 있는 최소한의 XMLHttpRequest (응답은 SERVER에서 가져옴)
+ */
+class FakeXHR extends EventTarget {
+    constructor() {
+        super();
+        this.readyState = 0;
+        this.status = 0;
+        this.onreadystatechange = null;
+        this.onload = null;
+        this._type = '';
+        this._reply = null;
+    }
+
+    get responseType() {
+        return this._type;
+    }
+
+    set responseType(value) {
+        if (this.readyState > 2) {
+            throw new DOMException('Cannot change responseType', 'InvalidStateError');
+        }
+        this._type = value;
+    }
+
+    get responseText() {
+        return this.readyState === 4 ? this._reply.body : '';
+    }
+
+    get responseXML() {
+        return this.readyState === 4 ? new DOMParser().parseFromString(this._reply.body, 'image/svg+xml') : null;
+    }
+
+    get response() {
+        if (this.readyState !== 4) {
+            return null;
+        }
+        var body = this._reply.body;
+        switch (this._type) {
+        case 'arraybuffer':
+            return new TextEncoder().encode(body).buffer;
+        case 'blob':
+            return new Blob([body], { type: this._reply.type });
+        case 'document':
+            return this.responseXML;
+        default:
+            return body;
+        }
+    }
+
+    open(method, url) {
+        this._url = url;
+        this.readyState = 1;
+    }
+
+    send() {
+        var xhr = this;
+        setImmediate(function () {
+            xhr._reply = SERVER[xhr._url];
+            xhr.status = xhr._reply.status || 200;
+            xhr.readyState = 2;
+            xhr.fire('readystatechange');
+            xhr.readyState = 4;
+            xhr.fire('readystatechange');
+            xhr.fire('load');
+            xhr.fire('loadend');
+        });
+    }
+
+    fire(type) {
+        this.dispatchEvent(new Event(type));
+        if (typeof this['on' + type] === 'function') {
+            this['on' + type]();
+        }
+    }
+
+    abort() {}
+
+    getResponseHeader(name) {
+        return this._reply && name.toLowerCase() === 'content-type' ? this._reply.type : null;
+    }
+}
+
+// 문서 응답용: 원본 문자열을 그대로 들고 있는 문서
+global.DOMParser = function () {};
+global.DOMParser.prototype.parseFromString = function (text) {
+    return { source: text };
+};
+global.XMLSerializer = function () {};
+global.XMLSerializer.prototype.serializeToString = function (doc) {
+    return doc.source;
+};
+
+global.XMLHttpRequest = FakeXHR;
+SvgNamespaceNormalizer.patchXHR();
+test.after(function () {
+    SvgNamespaceNormalizer.uninstall();
+});
+
+function request(url, setup) {
+    return new Promise(function (resolve) {
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', url);
+        if (setup) {
+            setup(xhr);
+        }
+        xhr.addEventListener('loadend', function () {
+            resolve(xhr);
+        });
+        xhr.send();
+    });
+}
+
+test('xhr: send() 뒤에 등록한 onreadystatechange, onload, addEventListener 모두 정규화된 응답을 봄', function () {
+    var seen = [];
+    var xhr = new XMLHttpRequest();
+    var done = new Promise(function (resolve) {
+        xhr.addEventListener('loadend', function () {
+            seen.push('loadend ' + (xhr.responseText === FIXED));
+            resolve();
+        });
+    });
+    xhr.open('GET', '/shape.svg');
+    xhr.send();
+    xhr.onreadystatechange = function () {
+        if (xhr.readyState === 4) {
+            seen.push('readystatechange ' + (xhr.responseText === FIXED));
+        }
+    };
+    xhr.onload = function () {
+        seen.push('load ' + (xhr.response === FIXED));
+    };
+    xhr.addEventListener('load', function () {
+        seen.push('listener ' + (xhr.responseText === FIXED));
+    });
+    return done.then(function () {
+        assert.deepStrictEqual(seen.sort(), ['listener true', 'load true', 'loadend true', 'readystatechange true']);
+    });
+});
+
+test('xhr: URL이 .svg가 아니어도 Content-Type이 SVG이면 정규화하고, 둘 다 아니거나 실패 응답이면 그대로 둠', function () {
+    return Promise.all([
+        request('/asset?id=1'),
+        request('/data.txt'),
+        request('/missing.svg')
+    ]).then(function (xhrs) {
+        assert.strictEqual(xhrs[0].responseText, FIXED);
+        assert.strictEqual(xhrs[1].responseText, SVG);
+        assert.strictEqual(xhrs[2].responseText, SVG);
+    });
+});
+
+test('xhr: arraybuffer, blob, document 응답과 responseXML도 정규화', function () {
+    return Promise.all([
+        request('/shape.svg', function (xhr) {
+            xhr.responseType = 'arraybuffer';
+        }),
+        request('/shape.svg', function (xhr) {
+            xhr.responseType = 'blob';
+        }),
+        request('/shape.svg', function (xhr) {
+            xhr.responseType = 'document';
+        }),
+        request('/shape.svg')
+    ]).then(function (xhrs) {
+        assert.strictEqual(new TextDecoder().decode(xhrs[0].response), FIXED);
+        assert.strictEqual(xhrs[0].response, xhrs[0].response);
+
+        // blob은 헤더를 받을 때 arraybuffer로 바꿔 받은 뒤 다시 Blob으로 돌려줌
+        assert.strictEqual(xhrs[1].responseType, 'blob');
+        assert.ok(xhrs[1].response instanceof Blob);
+        assert.strictEqual(xhrs[1].response.type, 'text/plain');
+
+        assert.strictEqual(xhrs[2].response.source, FIXED);
+        assert.strictEqual(xhrs[3].responseXML.source, FIXED);
+        return xhrs[1].response.text();
+    }).then(function (text) {
+        assert.strictEqual(text, FIXED);
+    });
+});
+
+test('xhr: 보고 전용 모드에서는 응답을 바꾸지 않고 기록만 함', function () {
+    SvgNamespaceNormalizer.defaults.reportOnly = true;
+    SvgNamespaceNormalizer.clearReport();
+    return request('/shape.svg').then(function (xhr) {
+        assert.strictEqual(xhr.responseText, SVG);
+        assert.deepStrictEqual(SvgNamespaceNormalizer.getReport().entries.map(function (entry) {
+            return entry.source + ' ' + entry.url + ' ' + entry.changed;
+        }), ['xhr /shape.svg true']);
+    }).finally(function () {
+        SvgNamespaceNormalizer.defaults.reportOnly = false;
+    });
+});